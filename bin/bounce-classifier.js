@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * bounce-classifier command-line tool
+ * Run with --help for usage
+ */
+
+import { runCli } from "../src/cli.js";
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
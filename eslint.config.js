@@ -21,6 +21,11 @@ export default [
         URL: "readonly",
         Uint8Array: "readonly",
         ArrayBuffer: "readonly",
+        // Available in both environments
+        atob: "readonly",
+        btoa: "readonly",
+        TextDecoder: "readonly",
+        TextEncoder: "readonly",
       },
     },
     rules: {
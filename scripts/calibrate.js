@@ -0,0 +1,143 @@
+/**
+ * Fit confidence calibration from a labeled JSONL file
+ *
+ * Usage: node scripts/calibrate.js <samples.jsonl> [--method temperature|vector] [--model <dir>] [--holdout <file>] [--write]
+ *
+ * Each line of the input is { "message": "...", "label": "..." }. Use messages
+ * the model was not trained on. With --holdout the fitted parameters are also
+ * scored on a second file that was not used for fitting. With --write they
+ * are stored under "calibration" in the model's config.json.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import { join } from "path";
+import { fileURLToPath } from "url";
+
+import { createClassifier, readJsonl } from "../src/index.js";
+import { expectedCalibrationError } from "../src/calibration.js";
+
+const USAGE =
+  "Usage: node scripts/calibrate.js <samples.jsonl> [--method temperature|vector] [--model <dir>] [--holdout <file>] [--write]";
+
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    method: "temperature",
+    model: null,
+    holdout: null,
+    write: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--method") args.method = argv[++i];
+    else if (arg === "--model") args.model = argv[++i];
+    else if (arg === "--holdout") args.holdout = argv[++i];
+    else if (arg === "--write") args.write = true;
+    else if (!arg.startsWith("--") && !args.input) args.input = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.input) {
+    throw new Error(USAGE);
+  }
+  return args;
+}
+
+/**
+ * Label ids of holdout samples, rejecting labels the model does not know
+ */
+function holdoutLabelIds(samples, labels) {
+  return samples.map((sample, i) => {
+    const label = sample && sample.label;
+    const id = labels.indexOf(label);
+    if (id < 0) {
+      throw new Error(
+        `Holdout sample at index ${i} has unknown label: ${label}`,
+      );
+    }
+    return id;
+  });
+}
+
+/**
+ * ECE and NLL of the model scores on labeled samples with the given calibration
+ */
+async function scoreSamples(modelPath, calibration, samples, labelIds) {
+  const classifier = createClassifier({ modelPath, calibration });
+  const results = await classifier.classifyBatch(
+    samples.map((sample) => sample.message),
+  );
+  const labels = await classifier.getLabels();
+  const probabilities = results.map((result) => {
+    if (result.error) {
+      throw new Error(`Cannot score holdout: ${result.error}`);
+    }
+    return labels.map((label) => result.scores[label]);
+  });
+  const nll =
+    labelIds.reduce(
+      (sum, id, r) => sum - Math.log(Math.max(probabilities[r][id], 1e-12)),
+      0,
+    ) / samples.length;
+  return { ece: expectedCalibrationError(probabilities, labelIds), nll };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const modelPath =
+    args.model || join(fileURLToPath(new URL("..", import.meta.url)), "model");
+
+  const samples = await readJsonl(args.input);
+  const classifier = createClassifier({ modelPath });
+
+  // Checked before fitting, so a bad holdout file fails fast
+  const holdout = args.holdout ? await readJsonl(args.holdout) : null;
+  const holdoutIds = holdout
+    ? holdoutLabelIds(holdout, await classifier.getLabels())
+    : null;
+
+  const report = await classifier.fitCalibration(samples, {
+    method: args.method,
+  });
+
+  console.log(`Samples: ${report.samples}`);
+  console.log(`Method:  ${report.calibration.method}`);
+  if (report.calibration.method === "temperature") {
+    console.log(`Temperature: ${report.calibration.temperature.toFixed(4)}`);
+  }
+  console.log(
+    `ECE: ${report.ece.before.toFixed(4)} -> ${report.ece.after.toFixed(4)}`,
+  );
+  console.log(
+    `NLL: ${report.nll.before.toFixed(4)} -> ${report.nll.after.toFixed(4)}`,
+  );
+
+  if (holdout) {
+    const before = await scoreSamples(modelPath, false, holdout, holdoutIds);
+    const after = await scoreSamples(
+      modelPath,
+      report.calibration,
+      holdout,
+      holdoutIds,
+    );
+    console.log(`Holdout samples: ${holdout.length}`);
+    console.log(
+      `Holdout ECE: ${before.ece.toFixed(4)} -> ${after.ece.toFixed(4)}`,
+    );
+    console.log(
+      `Holdout NLL: ${before.nll.toFixed(4)} -> ${after.nll.toFixed(4)}`,
+    );
+  }
+
+  if (args.write) {
+    const configPath = join(modelPath, "config.json");
+    const config = JSON.parse(await readFile(configPath, "utf8"));
+    config.calibration = report.calibration;
+    await writeFile(configPath, JSON.stringify(config, null, 2) + "\n");
+    console.log(`Wrote calibration to ${configPath}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("Calibration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Evaluate the classifier on a labeled JSONL file
+ *
+ * Usage: node scripts/evaluate.js <dataset.jsonl> [--model <dir>] [--rules <file>] [--worst N] [--json]
+ *
+ * Each line of the input is { "message": "...", "label": "..." }. Prints
+ * accuracy, per-label precision/recall/F1, the confusion matrix, how often
+ * rules, text patterns and SMTP code fallbacks changed the model prediction,
+ * and the worst misclassifications. With --json the full report is printed
+ * as JSON instead.
+ */
+
+import { join } from "path";
+import { fileURLToPath } from "url";
+
+import { createClassifier, formatEvaluation } from "../src/index.js";
+
+const USAGE =
+  "Usage: node scripts/evaluate.js <dataset.jsonl> [--model <dir>] [--rules <file>] [--worst N] [--json]";
+
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    model: null,
+    rules: null,
+    worst: 10,
+    json: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--model") args.model = argv[++i];
+    else if (arg === "--rules") args.rules = argv[++i];
+    else if (arg === "--worst") args.worst = +argv[++i];
+    else if (arg === "--json") args.json = true;
+    else if (!arg.startsWith("--") && !args.input) args.input = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.input) {
+    throw new Error(USAGE);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const modelPath =
+    args.model || join(fileURLToPath(new URL("..", import.meta.url)), "model");
+
+  const classifier = createClassifier({ modelPath });
+  if (args.rules) await classifier.loadRules(args.rules);
+
+  const report = await classifier.evaluate(args.input, { worst: args.worst });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    process.stdout.write(formatEvaluation(report));
+  }
+}
+
+main().catch((err) => {
+  console.error("Evaluation failed:", err.message);
+  process.exit(1);
+});
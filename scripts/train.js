@@ -0,0 +1,70 @@
+/**
+ * Train a model from scratch on a labeled JSONL corpus
+ *
+ * Usage: node scripts/train.js <corpus.jsonl> --output <dir> [--labels a,b,c] [--max-tokens N] [--max-length N] [--embedding-dim N] [--hidden-units N] [--epochs N] [--batch-size N] [--learning-rate N] [--patience N] [--seed N]
+ *
+ * Each line of the input is { "message": "...", "label": "..." }. The output
+ * directory can be passed as modelPath to initialize() or createClassifier().
+ */
+
+import { trainModel } from "../src/index.js";
+
+const USAGE =
+  "Usage: node scripts/train.js <corpus.jsonl> --output <dir> [--labels a,b,c] [--max-tokens N] [--max-length N] [--embedding-dim N] [--hidden-units N] [--epochs N] [--batch-size N] [--learning-rate N] [--patience N] [--seed N]";
+
+// Numeric flags and the trainModel() option they set
+const NUMBER_FLAGS = {
+  "--max-tokens": "maxTokens",
+  "--max-length": "maxLength",
+  "--embedding-dim": "embeddingDim",
+  "--hidden-units": "hiddenUnits",
+  "--epochs": "epochs",
+  "--batch-size": "batchSize",
+  "--learning-rate": "learningRate",
+  "--patience": "patience",
+  "--seed": "seed",
+};
+
+function parseArgs(argv) {
+  const args = { input: null, options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--output") args.options.outputDir = argv[++i];
+    else if (arg === "--labels") args.options.labels = argv[++i].split(",");
+    else if (NUMBER_FLAGS[arg]) args.options[NUMBER_FLAGS[arg]] = +argv[++i];
+    else if (!arg.startsWith("--") && !args.input) args.input = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!args.input || !args.options.outputDir) {
+    throw new Error(USAGE);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const report = await trainModel(args.input, {
+    ...args.options,
+    onEpoch: (epoch) => {
+      console.log(
+        `Epoch ${epoch.epoch}: loss ${epoch.loss.toFixed(4)}, ` +
+          `accuracy ${epoch.accuracy.toFixed(4)}, ` +
+          `validation loss ${epoch.validationLoss.toFixed(4)}, ` +
+          `validation accuracy ${epoch.validationAccuracy.toFixed(4)}`,
+      );
+    },
+  });
+
+  console.log(`Labels: ${report.labels.join(", ")}`);
+  console.log(`Vocabulary: ${report.vocabSize} tokens`);
+  console.log(
+    `Best epoch ${report.bestEpoch}, validation accuracy ${report.validation.accuracy.toFixed(4)}`,
+  );
+  console.log(`Wrote model to ${report.modelPath}`);
+}
+
+main().catch((err) => {
+  console.error("Training failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+/**
+ * @postalsys/bounce-classifier
+ * Recommended actions per bounce label
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Action mapping based on bounce category
+export const ACTION_MAP = {
+  // Permanent failures - remove from list
+  user_unknown: "remove",
+  invalid_address: "remove",
+  mailbox_disabled: "remove",
+
+  // Temporary failures - retry later
+  greylisting: "retry",
+  rate_limited: "retry",
+  server_error: "retry",
+  mailbox_full: "retry",
+
+  // IP/domain issues - retry with different IP or fix configuration
+  ip_blacklisted: "retry_different_ip",
+  domain_blacklisted: "fix_configuration",
+
+  // Authentication issues - fix sender configuration
+  auth_failure: "fix_configuration",
+
+  // Content/policy issues - modify message or manual review
+  spam_blocked: "review",
+  policy_blocked: "review",
+  virus_detected: "remove_content",
+  geo_blocked: "retry_different_ip",
+  relay_denied: "fix_configuration",
+
+  // Unknown - manual review
+  unknown: "review",
+};
+
+/**
+ * Get recommended action based on category
+ */
+export function getAction(category) {
+  return ACTION_MAP[category] || "review";
+}
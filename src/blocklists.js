@@ -0,0 +1,1036 @@
+/**
+ * @postalsys/bounce-classifier
+ * Blocklist registry, identification and delisting details
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { toRegExp } from "./rules.js";
+
+// Version of the blocklist document format
+export const BLOCKLIST_FORMAT_VERSION = 1;
+
+export const BLOCKLIST_TYPES = ["ip", "domain", "uri"];
+
+// How specific an entry is. A "list" hit beats an "operator" hit of the same
+// operator, and any other hit beats a "generic" catch-all.
+export const BLOCKLIST_SCOPES = ["list", "operator", "generic"];
+
+export const BLOCKLIST_SEVERITIES = ["low", "medium", "high"];
+
+// DNSBL answers of the Spamhaus zones that refuse the query
+const SPAMHAUS_ERRORS = {
+  "127.255.255.252": { meaning: "Typing error in the zone name", listed: null },
+  "127.255.255.254": {
+    meaning: "Query through a public or open resolver, refused",
+    listed: null,
+  },
+  "127.255.255.255": {
+    meaning: "Excessive number of queries, refused",
+    listed: null,
+  },
+};
+const SPAMHAUS_SBL = {
+  "127.0.0.2": "SBL: spam source or spam operation",
+  "127.0.0.3": "SBL CSS: low-reputation or snowshoe sending",
+  "127.0.0.9": "SBL DROP: hijacked or criminal network",
+};
+const SPAMHAUS_XBL = {
+  "127.0.0.4": "XBL: compromised host or exploited device",
+  "127.0.0.5": "XBL: compromised host or exploited device",
+  "127.0.0.6": "XBL: compromised host or exploited device",
+  "127.0.0.7": "XBL: compromised host or exploited device",
+};
+const SPAMHAUS_PBL = {
+  "127.0.0.10":
+    "PBL: end-user range that should not send mail directly (ISP maintained)",
+  "127.0.0.11":
+    "PBL: end-user range that should not send mail directly (Spamhaus maintained)",
+};
+
+// Built-in registry, in the same format as files for loadBlocklists().
+// Regexes are strings so the registry can be stored as JSON.
+export const DEFAULT_BLOCKLISTS = {
+  version: BLOCKLIST_FORMAT_VERSION,
+  revision: "2026-10-19",
+  blocklists: [
+    {
+      id: "spamhaus",
+      name: "Spamhaus",
+      operator: "Spamhaus",
+      type: "ip",
+      scope: "operator",
+      patterns: ["spamhaus\\.org"],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: "https://check.spamhaus.org/",
+      procedure:
+        "Look up the IP or domain at check.spamhaus.org, fix the cause given for the listing, then use the removal link on the result page.",
+    },
+    {
+      id: "spamhaus-sbl",
+      name: "Spamhaus SBL",
+      operator: "Spamhaus",
+      type: "ip",
+      patterns: ["\\bsbl\\b"],
+      zones: ["sbl.spamhaus.org"],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: false,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: null,
+      returnCodes: { ...SPAMHAUS_SBL, ...SPAMHAUS_ERRORS },
+      procedure:
+        "SBL listings are removed by Spamhaus once the network owner has dealt with the spam source. Contact the owner of the IP range, usually the hosting provider.",
+    },
+    {
+      id: "spamhaus-xbl",
+      name: "Spamhaus XBL",
+      operator: "Spamhaus",
+      type: "ip",
+      patterns: ["\\bxbl\\b"],
+      zones: ["xbl.spamhaus.org"],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: "https://check.spamhaus.org/",
+      returnCodes: { ...SPAMHAUS_XBL, ...SPAMHAUS_ERRORS },
+      procedure:
+        "The IP shows signs of a compromised host or open proxy. Clean up the host, then request removal at check.spamhaus.org.",
+    },
+    {
+      id: "spamhaus-pbl",
+      name: "Spamhaus PBL",
+      operator: "Spamhaus",
+      type: "ip",
+      patterns: ["\\bpbl\\b"],
+      zones: ["pbl.spamhaus.org"],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: "https://check.spamhaus.org/",
+      returnCodes: { ...SPAMHAUS_PBL, ...SPAMHAUS_ERRORS },
+      procedure:
+        "The IP is in a range that should not send mail directly. Send through the provider's relay, or remove the IP at check.spamhaus.org if it is a static mail server.",
+    },
+    {
+      id: "spamhaus-dbl",
+      name: "Spamhaus DBL",
+      operator: "Spamhaus",
+      type: "domain",
+      patterns: ["\\bdbl\\.spamhaus"],
+      zones: ["dbl.spamhaus.org", "dbl.dq.spamhaus.net"],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: "https://check.spamhaus.org/",
+      returnCodes: {
+        "127.0.1.2": "Spam domain",
+        "127.0.1.4": "Phishing domain",
+        "127.0.1.5": "Malware domain",
+        "127.0.1.6": "Botnet command and control domain",
+        "127.0.1.102": "Abused legitimate domain, spam",
+        "127.0.1.103": "Abused legitimate domain, spammed redirector",
+        "127.0.1.104": "Abused legitimate domain, phishing",
+        "127.0.1.105": "Abused legitimate domain, malware",
+        "127.0.1.106": "Abused legitimate domain, botnet command and control",
+        "127.0.1.255": {
+          meaning: "IP queries are not supported",
+          listed: null,
+        },
+        ...SPAMHAUS_ERRORS,
+      },
+      procedure:
+        "Look up the domain at check.spamhaus.org, remove the cause of the listing, then request removal on the result page.",
+    },
+    {
+      id: "spamhaus-zen",
+      name: "Spamhaus ZEN",
+      operator: "Spamhaus",
+      type: "ip",
+      patterns: ["\\bzen\\.spamhaus"],
+      zones: [
+        "zen.spamhaus.org",
+        "zen.dq.spamhaus.net",
+        "sbl-xbl.spamhaus.org",
+      ],
+      domains: ["spamhaus.org", "spamhaus.net", "spamhaus.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://check.spamhaus.org/",
+      delistUrl: "https://check.spamhaus.org/",
+      returnCodes: {
+        ...SPAMHAUS_SBL,
+        ...SPAMHAUS_XBL,
+        ...SPAMHAUS_PBL,
+        ...SPAMHAUS_ERRORS,
+      },
+      procedure:
+        "ZEN combines SBL, XBL and PBL. Look up the IP at check.spamhaus.org to see which list it is on and follow the procedure for that list.",
+    },
+    {
+      id: "barracuda",
+      name: "Barracuda",
+      operator: "Barracuda",
+      type: "ip",
+      patterns: ["barracuda", "b\\.barracudacentral"],
+      zones: ["b.barracudacentral.org", "bb.barracudacentral.org"],
+      domains: [
+        "barracudacentral.org",
+        "barracudanetworks.com",
+        "barracuda.com",
+      ],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://www.barracudacentral.org/lookups",
+      delistUrl: "https://www.barracudacentral.org/rbl/removal-request",
+      returnCodes: {
+        "127.0.0.2": "Listed in the Barracuda Reputation Block List",
+      },
+      procedure:
+        "Check the IP at barracudacentral.org/lookups, then submit a removal request with the IP, a contact address and what was fixed. Requests are reviewed by hand.",
+    },
+    {
+      id: "sorbs",
+      name: "SORBS",
+      operator: "SORBS",
+      type: "ip",
+      patterns: ["sorbs\\.net", "dnsbl\\.sorbs"],
+      zones: [
+        "dnsbl.sorbs.net",
+        "spam.dnsbl.sorbs.net",
+        "new.spam.dnsbl.sorbs.net",
+        "recent.spam.dnsbl.sorbs.net",
+        "dul.dnsbl.sorbs.net",
+      ],
+      domains: ["sorbs.net"],
+      severity: "low",
+      listingDuration: null,
+      selfServiceDelisting: false,
+      lookupUrl: null,
+      delistUrl: null,
+      procedure:
+        "SORBS was shut down in 2024 and takes no delisting requests. Ask the receiving postmaster to stop querying its zones.",
+    },
+    {
+      id: "spamcop",
+      name: "SpamCop",
+      operator: "SpamCop",
+      type: "ip",
+      patterns: ["spamcop\\.net"],
+      zones: ["bl.spamcop.net"],
+      domains: ["spamcop.net"],
+      severity: "medium",
+      listingDuration: 86400,
+      selfServiceDelisting: false,
+      lookupUrl: "https://www.spamcop.net/bl.shtml",
+      delistUrl: null,
+      returnCodes: { "127.0.0.2": "Listed in the SpamCop Blocking List" },
+      procedure:
+        "SpamCop listings expire on their own 24 hours after the last spam report. Stop the source of the reports and wait.",
+    },
+    {
+      id: "uribl",
+      name: "URIBL",
+      operator: "URIBL",
+      type: "uri",
+      patterns: ["uribl\\.com", "multi\\.uribl"],
+      zones: [
+        "multi.uribl.com",
+        "black.uribl.com",
+        "grey.uribl.com",
+        "red.uribl.com",
+      ],
+      domains: ["uribl.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://admin.uribl.com/",
+      delistUrl: "https://admin.uribl.com/",
+      returnCodes: {
+        "127.0.0.1": {
+          meaning:
+            "Query refused, the resolver is blocked or over the free limit",
+          listed: null,
+        },
+        "127.0.0.2": "URIBL black: domain seen in spam",
+        "127.0.0.4": "URIBL grey: domain of a bulk sender",
+        "127.0.0.8": "URIBL red: domain of a newly seen sender",
+      },
+      procedure:
+        "Look up the domain at admin.uribl.com and request removal there once the domain no longer appears in unsolicited mail.",
+    },
+    {
+      id: "cloudmark",
+      name: "Cloudmark",
+      operator: "Cloudmark",
+      type: "ip",
+      patterns: ["cloudmark"],
+      domains: ["cloudmark.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://csi.cloudmark.com/en/reset/",
+      delistUrl: "https://csi.cloudmark.com/en/reset/",
+      procedure:
+        "Request a reputation reset for the IP at csi.cloudmark.com/en/reset.",
+    },
+    {
+      id: "proofpoint",
+      name: "Proofpoint",
+      operator: "Proofpoint",
+      type: "ip",
+      patterns: ["proofpoint"],
+      domains: ["proofpoint.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://ipcheck.proofpoint.com/",
+      delistUrl: "https://ipcheck.proofpoint.com/",
+      procedure:
+        "Check the IP at ipcheck.proofpoint.com and submit the delisting form on the result page.",
+    },
+    {
+      id: "mimecast",
+      name: "Mimecast",
+      operator: "Mimecast",
+      type: "ip",
+      patterns: ["mimecast"],
+      domains: ["mimecast.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: false,
+      lookupUrl: null,
+      delistUrl: "https://www.mimecast.com/senderfeedback/",
+      procedure:
+        "Submit the rejection details through the Mimecast sender feedback form, or ask the recipient's administrator to permit the sender.",
+    },
+    {
+      id: "microsoft",
+      name: "Microsoft Blocklist",
+      operator: "Microsoft",
+      type: "ip",
+      patterns: ["\\bS3150\\b"],
+      domains: ["office.com", "outlook.com"],
+      severity: "high",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: null,
+      delistUrl: "https://sender.office.com/",
+      procedure:
+        "Request removal at sender.office.com for Microsoft 365. Outlook.com listings (S3140, S3150) are handled through a ticket at olcsupport.office.com.",
+    },
+    {
+      id: "invaluement",
+      name: "Invaluement",
+      operator: "Invaluement",
+      type: "ip",
+      patterns: ["invaluement"],
+      domains: ["invaluement.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://www.invaluement.com/lookup/",
+      delistUrl: "https://www.invaluement.com/removal/",
+      procedure:
+        "Look up the IP or domain at invaluement.com and submit the removal form.",
+    },
+    {
+      id: "hostkarma",
+      name: "Hostkarma",
+      operator: "Junk Email Filter",
+      type: "ip",
+      patterns: ["hostkarma"],
+      zones: ["hostkarma.junkemailfilter.com"],
+      domains: ["junkemailfilter.com"],
+      severity: "low",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: null,
+      delistUrl: "http://ipadmin.junkemailfilter.com/remove.php",
+      returnCodes: {
+        "127.0.0.1": { meaning: "Whitelisted", listed: false },
+        "127.0.0.2": "Blacklisted",
+        "127.0.0.3": {
+          meaning: "Yellowlisted: mixed mail source",
+          listed: false,
+        },
+        "127.0.0.4": "Brownlisted: mostly spam",
+        "127.0.0.5": { meaning: "Not on the blacklist", listed: false },
+      },
+      procedure: "Request removal of the IP at ipadmin.junkemailfilter.com.",
+    },
+    {
+      id: "trendmicro",
+      name: "Trend Micro",
+      operator: "Trend Micro",
+      type: "ip",
+      patterns: ["trend\\s*micro"],
+      domains: ["trendmicro.com"],
+      severity: "medium",
+      listingDuration: null,
+      selfServiceDelisting: true,
+      lookupUrl: "https://ers.trendmicro.com/",
+      delistUrl: "https://ers.trendmicro.com/",
+      procedure:
+        "Look up the IP at ers.trendmicro.com and submit a reclassification request.",
+    },
+
+    // Catch-alls for replies that do not name the list
+    {
+      id: "rbl",
+      name: "RBL",
+      type: "ip",
+      scope: "generic",
+      patterns: ["\\brbl\\b"],
+    },
+    {
+      id: "dnsbl",
+      name: "DNSBL",
+      type: "ip",
+      scope: "generic",
+      patterns: ["\\bdnsbl\\b"],
+    },
+    {
+      id: "blocklist",
+      name: "Blocklist",
+      type: "ip",
+      scope: "generic",
+      patterns: ["blacklist", "blocklist"],
+    },
+  ],
+};
+
+/**
+ * Escape a string for use in a regex
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Normalize a list of hostnames
+ */
+function toHostList(value, context) {
+  if (value === undefined || value === null) return [];
+  if (
+    !Array.isArray(value) ||
+    value.some((host) => typeof host !== "string" || !host)
+  ) {
+    throw new Error(`${context} must be an array of hostnames`);
+  }
+  return value.map((host) => host.toLowerCase().replace(/\.$/, ""));
+}
+
+/**
+ * Check an optional string field
+ */
+function toOptionalString(value, context) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") {
+    throw new Error(`${context} must be a string or null`);
+  }
+  return value;
+}
+
+/**
+ * Check a field against a list of allowed values
+ */
+function toEnum(value, allowed, fallback, context) {
+  if (value === undefined) return fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`${context} must be one of ${allowed.join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Normalize DNSBL answer meanings to { meaning, listed }
+ * A string is shorthand for an answer that means the target is listed.
+ */
+function toReturnCodes(value, context) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const codes = {};
+  for (const [code, entry] of Object.entries(value)) {
+    if (!/^127(?:\.\d{1,3}){3}$/.test(code)) {
+      throw new Error(`${context} key ${code} must be a 127.x.x.x address`);
+    }
+    if (typeof entry === "string") {
+      codes[code] = { meaning: entry, listed: true };
+    } else if (
+      entry &&
+      typeof entry === "object" &&
+      typeof entry.meaning === "string" &&
+      [true, false, null].includes(entry.listed)
+    ) {
+      codes[code] = { meaning: entry.meaning, listed: entry.listed };
+    } else {
+      throw new Error(
+        `${context}.${code} must be a string or { meaning, listed }`,
+      );
+    }
+  }
+  return codes;
+}
+
+/**
+ * Freeze an object and everything in it
+ * Registry entries are handed out in hits and documents, freezing them
+ * keeps callers from changing the registry through a result.
+ */
+function deepFreeze(value) {
+  for (const child of Object.values(value)) {
+    if (child && typeof child === "object") deepFreeze(child);
+  }
+  return Object.freeze(value);
+}
+
+/**
+ * Validate and compile a single blocklist entry
+ * @param {Object} definition - Blocklist definition
+ * @param {string} context - Context for error messages
+ * @returns {Object} Compiled entry
+ */
+export function compileBlocklist(definition, context = "Blocklist") {
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`${context} must be an object`);
+  }
+  if (typeof definition.id !== "string" || !definition.id) {
+    throw new Error(`${context} must have a string id`);
+  }
+  context = `Blocklist "${definition.id}"`;
+
+  if (typeof definition.name !== "string" || !definition.name) {
+    throw new Error(`${context} must have a string name`);
+  }
+  if (!BLOCKLIST_TYPES.includes(definition.type)) {
+    throw new Error(
+      `${context} type must be one of ${BLOCKLIST_TYPES.join(", ")}`,
+    );
+  }
+
+  const patterns = definition.patterns === undefined ? [] : definition.patterns;
+  if (!Array.isArray(patterns)) {
+    throw new Error(`${context} patterns must be an array`);
+  }
+  const flags = definition.flags !== undefined ? definition.flags : "i";
+  const compiledPatterns = patterns.map((pattern, i) =>
+    toRegExp(pattern, flags, `${context} pattern at index ${i}`),
+  );
+
+  const zones = toHostList(definition.zones, `${context} zones`);
+  if (compiledPatterns.length === 0 && zones.length === 0) {
+    throw new Error(`${context} must have at least one pattern or zone`);
+  }
+  // A zone named in the reply identifies the list too
+  for (const zone of zones) {
+    compiledPatterns.push(new RegExp(`\\b${escapeRegExp(zone)}\\b`, "i"));
+  }
+
+  const listingDuration =
+    definition.listingDuration === undefined
+      ? null
+      : definition.listingDuration;
+  if (
+    listingDuration !== null &&
+    !(Number.isFinite(listingDuration) && listingDuration >= 0)
+  ) {
+    throw new Error(
+      `${context} listingDuration must be a number of seconds or null`,
+    );
+  }
+  const selfServiceDelisting =
+    definition.selfServiceDelisting === undefined
+      ? false
+      : definition.selfServiceDelisting;
+  if (typeof selfServiceDelisting !== "boolean") {
+    throw new Error(`${context} selfServiceDelisting must be a boolean`);
+  }
+
+  const returnCodes = toReturnCodes(
+    definition.returnCodes,
+    `${context} returnCodes`,
+  );
+
+  const normalized = {
+    id: definition.id,
+    name: definition.name,
+    operator:
+      toOptionalString(definition.operator, `${context} operator`) ||
+      definition.name,
+    type: definition.type,
+    scope: toEnum(
+      definition.scope,
+      BLOCKLIST_SCOPES,
+      "list",
+      `${context} scope`,
+    ),
+    patterns: [...patterns],
+    zones,
+    domains: toHostList(definition.domains, `${context} domains`),
+    severity: toEnum(
+      definition.severity,
+      BLOCKLIST_SEVERITIES,
+      "medium",
+      `${context} severity`,
+    ),
+    listingDuration,
+    selfServiceDelisting,
+    lookupUrl: toOptionalString(definition.lookupUrl, `${context} lookupUrl`),
+    delistUrl: toOptionalString(definition.delistUrl, `${context} delistUrl`),
+    procedure: toOptionalString(definition.procedure, `${context} procedure`),
+    returnCodes,
+  };
+  if (definition.flags !== undefined) normalized.flags = definition.flags;
+
+  return { definition: deepFreeze(normalized), patterns: compiledPatterns };
+}
+
+const HOSTNAME = "(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+[a-z]{2,}";
+const HOSTNAME_TOKEN = new RegExp(
+  `(?<![\\w.@-])(${HOSTNAME})(?![\\w-]|\\.[a-z0-9])`,
+  "gi",
+);
+
+// "https://check.spamhaus.org/listed/?searchterm=203.0.113.5" or a bare
+// "barracudacentral.org/rbl/removal-request"
+const URL_PATTERN = new RegExp(
+  `\\bhttps?:\\/\\/[^\\s"'<>()[\\]]+|(?<![\\w.@/-])${HOSTNAME}\\/[^\\s"'<>()[\\]]*`,
+  "gi",
+);
+
+// Zone named by the MTA when the list is not in the registry
+const GENERIC_ZONE = new RegExp(
+  `\\b(?:blocked using|listed (?:in|on|at|by)|(?:black|block) ?list at|(?:rbl|dnsbl)[:\\s])\\s*(${HOSTNAME})(?![\\w-]|\\.[a-z0-9])`,
+  "i",
+);
+
+const IPV4 = /(?<![\w.-])((?:\d{1,3}\.){3}\d{1,3})(?![\w-]|\.\d)/g;
+const IPV6 = /\[(?:IPv6:)?([0-9a-f]{0,4}(?::[0-9a-f]{0,4}){2,7})\]/i;
+
+// "mx.example.com[198.51.100.1]" names the receiving MTA, not the listed IP
+const MTA_ADDRESS = new RegExp(`${HOSTNAME}\\[$`, "i");
+
+const LISTED_DOMAIN = [
+  new RegExp(`[?&](?:domain|searchterm|query|q)=(${HOSTNAME})\\b`, "i"),
+  new RegExp(`\\/(?:domain|dbl|uri)\\/(${HOSTNAME})\\b`, "i"),
+  new RegExp(`\\b(${HOSTNAME}) (?:is )?listed\\b`, "i"),
+  new RegExp(`@(${HOSTNAME})>`, "i"),
+];
+
+/**
+ * Check an IPv4 address for valid octets
+ */
+function isIpv4(value) {
+  return value.split(".").every((octet) => Number(octet) <= 255);
+}
+
+/**
+ * Host part of a URL as printed in a reply
+ */
+function urlHost(url) {
+  return url
+    .replace(/^https?:\/\//i, "")
+    .split(/[/?#:]/)[0]
+    .toLowerCase();
+}
+
+/**
+ * Check if a host is a domain or one of its subdomains
+ */
+function inDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Find the URLs and DNSBL zones printed in a message
+ * @param {string} message - Bounce/error message
+ * @param {Object[]} ordered - Registry entries in precedence order
+ */
+function scanMessage(message, ordered) {
+  const urls = [];
+  const text = message.replace(URL_PATTERN, (url) => {
+    urls.push(url.replace(/[.,;:!?]+$/, ""));
+    return " ";
+  });
+
+  // Zones from the registry, also as full query names such as
+  // "5.113.0.203.zen.spamhaus.org"
+  const zones = [];
+  for (const [, token] of text.matchAll(HOSTNAME_TOKEN)) {
+    const host = token.toLowerCase();
+    for (const entry of ordered) {
+      const zone = entry.definition.zones.find((zone) => inDomain(host, zone));
+      if (!zone) continue;
+      const prefix = host.slice(0, -zone.length - 1);
+      zones.push({ owner: entry.definition, zone, prefix });
+      break;
+    }
+  }
+
+  const generic = text.match(GENERIC_ZONE);
+  if (generic) {
+    zones.push({ owner: null, zone: generic[1].toLowerCase(), prefix: "" });
+  }
+
+  return { text, urls, zones };
+}
+
+/**
+ * Find the IP address the listing is about
+ */
+function findListedIp(message, url, zone) {
+  // A query name holds the IP reversed: "5.113.0.203.zen.spamhaus.org"
+  if (zone && /^(?:\d{1,3}\.){3}\d{1,3}$/.test(zone.prefix)) {
+    const ip = zone.prefix.split(".").reverse().join(".");
+    if (isIpv4(ip)) return ip;
+  }
+
+  for (const source of [url, message]) {
+    if (!source) continue;
+    for (const match of source.matchAll(IPV4)) {
+      if (!isIpv4(match[1])) continue;
+      if (MTA_ADDRESS.test(source.slice(0, match.index))) continue;
+      return match[1];
+    }
+  }
+
+  const ipv6 = message.match(IPV6);
+  return ipv6 ? ipv6[1].toLowerCase() : null;
+}
+
+/**
+ * Find the domain the listing is about
+ */
+function findListedDomain(message, url, zone) {
+  if (zone && zone.prefix.includes(".") && !/^[\d.]+$/.test(zone.prefix)) {
+    return zone.prefix;
+  }
+  for (const source of [url, message]) {
+    if (!source) continue;
+    for (const pattern of LISTED_DOMAIN) {
+      const match = source.match(pattern);
+      if (match) return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Add the listed entity, zone, URL and registry entry to a hit
+ */
+function describeHit(entry, scan) {
+  const { definition } = entry;
+  const generic = definition.scope === "generic";
+
+  // A zone of this operator, preferably one of the entry's own zones or
+  // the one its patterns name. Catch-alls take zones of unknown lists.
+  const candidates = scan.zones.filter((zone) =>
+    generic
+      ? zone.owner === null
+      : zone.owner && zone.owner.operator === definition.operator,
+  );
+  const zone =
+    candidates.find((candidate) => candidate.owner === definition) ||
+    candidates.find((candidate) =>
+      entry.patterns.some((pattern) => pattern.test(candidate.zone)),
+    ) ||
+    candidates[0] ||
+    null;
+
+  // Lookup and delist pages on the list's web domains, or on the domain of
+  // the zone when none are known
+  const domains =
+    definition.domains.length > 0
+      ? definition.domains
+      : zone
+        ? [zone.zone.split(".").slice(-2).join(".")]
+        : [];
+  const url =
+    scan.urls.find((printed) =>
+      domains.some((domain) => inDomain(urlHost(printed), domain)),
+    ) || null;
+
+  const listed =
+    definition.type === "ip"
+      ? findListedIp(scan.text, url, zone)
+      : findListedDomain(scan.text, url, zone);
+
+  const info = { name: definition.name, type: definition.type };
+  if (listed) info.listed = listed;
+  if (zone) info.zone = zone.zone;
+  if (url) info.url = url;
+  if (!generic) info.registry = definition;
+  return info;
+}
+
+/**
+ * Create a blocklist registry, starting with the built-in entries
+ * Each classifier instance has its own registry, the top-level functions
+ * of this module use the registry of the default instance.
+ * @returns {Object} Registry with the same methods as the top-level functions, and its patterns
+ */
+export function createBlocklistRegistry() {
+  // Registered entries in registration order, and sorted by precedence
+  let registry = [];
+  let ordered = [];
+  let revision = null;
+
+  // Flat view of the registry in precedence order, updated in place
+  const patterns = [];
+
+  /**
+   * Sort the registry by precedence and refresh the patterns
+   * Entries of the same scope keep their registration order.
+   */
+  function rebuild() {
+    ordered = BLOCKLIST_SCOPES.flatMap((scope) =>
+      registry.filter((entry) => entry.definition.scope === scope),
+    );
+    patterns.length = 0;
+    for (const { definition, patterns: entryPatterns } of ordered) {
+      for (const pattern of entryPatterns) {
+        patterns.push({
+          pattern,
+          name: definition.name,
+          type: definition.type,
+          id: definition.id,
+          operator: definition.operator,
+        });
+      }
+    }
+  }
+
+  /**
+   * Add compiled entries, replacing entries with the same id in place
+   */
+  function mergeEntries(entries) {
+    for (const entry of entries) {
+      const index = registry.findIndex(
+        (existing) => existing.definition.id === entry.definition.id,
+      );
+      if (index >= 0) registry[index] = entry;
+      else registry.push(entry);
+    }
+    rebuild();
+  }
+
+  /**
+   * Add or replace a single blocklist entry
+   * @param {Object} definition - Blocklist definition
+   */
+  function registerBlocklist(definition) {
+    mergeEntries([compileBlocklist(definition)]);
+  }
+
+  /**
+   * Remove a blocklist entry
+   * @param {string} id - Blocklist id
+   * @returns {boolean} True if an entry was removed
+   */
+  function removeBlocklist(id) {
+    const count = registry.length;
+    registry = registry.filter((entry) => entry.definition.id !== id);
+    rebuild();
+    return registry.length !== count;
+  }
+
+  /**
+   * Add the entries of a blocklist document to the registry
+   * Everything is compiled first so an invalid entry does not leave a partial update.
+   * @param {Object} document - { version, revision, blocklists: [...] }
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Drop all current entries first (default: false)
+   */
+  function importBlocklists(document, options = {}) {
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+      throw new Error("Blocklist document must be an object");
+    }
+    if (document.version !== BLOCKLIST_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported blocklist format version ${document.version}, expected ${BLOCKLIST_FORMAT_VERSION}`,
+      );
+    }
+    if (!Array.isArray(document.blocklists)) {
+      throw new Error(
+        `blocklists must be an array, got ${typeof document.blocklists}`,
+      );
+    }
+    const documentRevision = toOptionalString(document.revision, "revision");
+
+    const compiled = document.blocklists.map((definition, i) =>
+      compileBlocklist(definition, `Blocklist at index ${i}`),
+    );
+    if (options.replace) {
+      registry = [];
+      revision = null;
+    }
+    if (documentRevision !== null) revision = documentRevision;
+    mergeEntries(compiled);
+  }
+
+  /**
+   * Get the registry as a blocklist document
+   * @returns {Object} { version, revision, blocklists: [...] } in registration order
+   */
+  function getBlocklists() {
+    return {
+      version: BLOCKLIST_FORMAT_VERSION,
+      revision,
+      blocklists: registry.map((entry) => entry.definition),
+    };
+  }
+
+  /**
+   * Find the registry entry that publishes a DNSBL zone
+   * @param {string} zone - Zone hostname (e.g., 'zen.spamhaus.org')
+   * @returns {Object|null} Registry entry, or null
+   */
+  function getBlocklistByZone(zone) {
+    zone = String(zone).toLowerCase().replace(/\.$/, "");
+    const entry = ordered.find(({ definition }) =>
+      definition.zones.includes(zone),
+    );
+    return entry ? entry.definition : null;
+  }
+
+  /**
+   * Restore the built-in registry
+   */
+  function resetBlocklists() {
+    importBlocklists(DEFAULT_BLOCKLISTS, { replace: true });
+  }
+
+  /**
+   * Identify blocklists mentioned in message
+   * More specific entries win: a list beats the catch-all of its operator,
+   * and any named list beats the generic catch-alls. Each hit carries the
+   * listed IP or domain, the DNSBL zone and the lookup or delist URL when the
+   * reply prints them, and its registry entry.
+   * @param {string} message - Bounce/error message
+   * @returns {Object|null} { name, type, listed, zone, url, registry }, { lists } for several blocklists, or null
+   */
+  function identifyBlocklist(message) {
+    const found = [];
+    for (const entry of ordered) {
+      if (found.some((hit) => hit.definition.name === entry.definition.name)) {
+        continue;
+      }
+      if (entry.patterns.some((pattern) => pattern.test(message))) {
+        found.push(entry);
+      }
+    }
+    if (found.length === 0) return null;
+
+    const scan = scanMessage(message, ordered);
+    const specific = found.filter(
+      ({ definition }) =>
+        definition.scope === "list" ||
+        (definition.scope === "operator" &&
+          !found.some(
+            (hit) =>
+              hit.definition.scope === "list" &&
+              hit.definition.operator === definition.operator,
+          )),
+    );
+    if (specific.length > 0) {
+      const lists = specific.map((entry) => describeHit(entry, scan));
+      return lists.length === 1 ? lists[0] : { lists };
+    }
+    return describeHit(found[0], scan);
+  }
+
+  resetBlocklists();
+
+  return {
+    identifyBlocklist,
+    registerBlocklist,
+    removeBlocklist,
+    importBlocklists,
+    getBlocklists,
+    getBlocklistByZone,
+    resetBlocklists,
+    patterns,
+  };
+}
+
+// Registry of the default classifier instance
+export const defaultBlocklistRegistry = createBlocklistRegistry();
+
+// Patterns of the default registry in precedence order, updated in place
+export const BLOCKLIST_PATTERNS = defaultBlocklistRegistry.patterns;
+
+/**
+ * Identify blocklists mentioned in message, using the default registry
+ * @param {string} message - Bounce/error message
+ * @returns {Object|null} { name, type, listed, zone, url, registry }, { lists } for several blocklists, or null
+ */
+export function identifyBlocklist(message) {
+  return defaultBlocklistRegistry.identifyBlocklist(message);
+}
+
+/**
+ * Add or replace a single entry of the default registry
+ * @param {Object} definition - Blocklist definition
+ */
+export function registerBlocklist(definition) {
+  defaultBlocklistRegistry.registerBlocklist(definition);
+}
+
+/**
+ * Remove an entry of the default registry
+ * @param {string} id - Blocklist id
+ * @returns {boolean} True if an entry was removed
+ */
+export function removeBlocklist(id) {
+  return defaultBlocklistRegistry.removeBlocklist(id);
+}
+
+/**
+ * Add the entries of a blocklist document to the default registry
+ * @param {Object} document - { version, revision, blocklists: [...] }
+ * @param {Object} options - Options ({ replace })
+ */
+export function importBlocklists(document, options = {}) {
+  defaultBlocklistRegistry.importBlocklists(document, options);
+}
+
+/**
+ * Get the default registry as a blocklist document
+ * @returns {Object} { version, revision, blocklists: [...] } in registration order
+ */
+export function getBlocklists() {
+  return defaultBlocklistRegistry.getBlocklists();
+}
+
+/**
+ * Find the entry of the default registry that publishes a DNSBL zone
+ * @param {string} zone - Zone hostname (e.g., 'zen.spamhaus.org')
+ * @returns {Object|null} Registry entry, or null
+ */
+export function getBlocklistByZone(zone) {
+  return defaultBlocklistRegistry.getBlocklistByZone(zone);
+}
+
+/**
+ * Restore the built-in entries of the default registry
+ */
+export function resetBlocklists() {
+  defaultBlocklistRegistry.resetBlocklists();
+}
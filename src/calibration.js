@@ -0,0 +1,283 @@
+/**
+ * @postalsys/bounce-classifier
+ * Confidence calibration
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+export const CALIBRATION_METHODS = ["temperature", "vector"];
+
+// Number of equal-width confidence bins for expected calibration error
+const ECE_BINS = 15;
+
+/**
+ * Validate calibration parameters, e.g. the "calibration" entry of model/config.json
+ * @param {Object|null} calibration - { method: "temperature", temperature } or { method: "vector", scale, bias }
+ * @param {number} numLabels - Number of model outputs (optional, checked when given)
+ * @returns {Object|null} Validated calibration, or null for none
+ */
+export function parseCalibration(calibration, numLabels) {
+  if (calibration === undefined || calibration === null) return null;
+  if (typeof calibration !== "object") {
+    throw new Error("calibration must be an object");
+  }
+
+  if (calibration.method === "temperature") {
+    const { temperature } = calibration;
+    if (
+      typeof temperature !== "number" ||
+      !Number.isFinite(temperature) ||
+      temperature <= 0
+    ) {
+      throw new Error("calibration temperature must be a positive number");
+    }
+    return { method: "temperature", temperature };
+  }
+
+  if (calibration.method === "vector") {
+    for (const key of ["scale", "bias"]) {
+      const values = calibration[key];
+      if (
+        !Array.isArray(values) ||
+        !values.every((v) => typeof v === "number" && Number.isFinite(v))
+      ) {
+        throw new Error(`calibration ${key} must be an array of numbers`);
+      }
+      if (numLabels !== undefined && values.length !== numLabels) {
+        throw new Error(
+          `calibration ${key} must be an array of ${numLabels} numbers`,
+        );
+      }
+    }
+    if (calibration.scale.length !== calibration.bias.length) {
+      throw new Error("calibration scale and bias must have the same length");
+    }
+    return {
+      method: "vector",
+      scale: calibration.scale.slice(),
+      bias: calibration.bias.slice(),
+    };
+  }
+
+  throw new Error(
+    `calibration method must be one of ${CALIBRATION_METHODS.join(", ")}`,
+  );
+}
+
+/**
+ * Apply calibration to logits
+ * @param {number[]} logits - Raw model outputs
+ * @param {Object|null} calibration - Validated calibration
+ * @returns {number[]} Calibrated logits
+ */
+export function calibrateLogits(logits, calibration) {
+  if (!calibration) return logits;
+  if (calibration.method === "temperature") {
+    return logits.map((z) => z / calibration.temperature);
+  }
+  return logits.map((z, i) => z * calibration.scale[i] + calibration.bias[i]);
+}
+
+/**
+ * Log-softmax of one row of logits
+ */
+function logSoftmax(logits) {
+  const max = Math.max(...logits);
+  let sum = 0;
+  for (const z of logits) sum += Math.exp(z - max);
+  const logSum = max + Math.log(sum);
+  return logits.map((z) => z - logSum);
+}
+
+/**
+ * Mean negative log-likelihood of the true labels
+ */
+function meanNll(logitRows, labelIds, calibration) {
+  let total = 0;
+  for (let r = 0; r < logitRows.length; r++) {
+    total -= logSoftmax(calibrateLogits(logitRows[r], calibration))[
+      labelIds[r]
+    ];
+  }
+  return total / logitRows.length;
+}
+
+/**
+ * Expected calibration error: the weighted gap between confidence and
+ * accuracy over equal-width confidence bins
+ * @param {number[][]} probabilities - Probabilities per sample
+ * @param {number[]} labelIds - True label index per sample
+ * @param {number} bins - Number of bins (default: 15)
+ * @returns {number} ECE between 0 and 1
+ */
+export function expectedCalibrationError(
+  probabilities,
+  labelIds,
+  bins = ECE_BINS,
+) {
+  const count = new Array(bins).fill(0);
+  const confidenceSum = new Array(bins).fill(0);
+  const correctSum = new Array(bins).fill(0);
+
+  for (let r = 0; r < probabilities.length; r++) {
+    const row = probabilities[r];
+    let best = 0;
+    for (let i = 1; i < row.length; i++) {
+      if (row[i] > row[best]) best = i;
+    }
+    const bin = Math.min(bins - 1, Math.floor(row[best] * bins));
+    count[bin]++;
+    confidenceSum[bin] += row[best];
+    if (best === labelIds[r]) correctSum[bin]++;
+  }
+
+  let ece = 0;
+  for (let b = 0; b < bins; b++) {
+    if (!count[b]) continue;
+    ece += Math.abs(confidenceSum[b] - correctSum[b]) / probabilities.length;
+  }
+  return ece;
+}
+
+/**
+ * Fit a temperature by minimizing the negative log-likelihood
+ * NLL is unimodal in log(T), so a golden-section search is enough
+ */
+function fitTemperature(logitRows, labelIds) {
+  const phi = (Math.sqrt(5) - 1) / 2;
+  const nllAt = (logT) =>
+    meanNll(logitRows, labelIds, {
+      method: "temperature",
+      temperature: Math.exp(logT),
+    });
+
+  let lo = Math.log(0.05);
+  let hi = Math.log(20);
+  let a = hi - phi * (hi - lo);
+  let b = lo + phi * (hi - lo);
+  let fa = nllAt(a);
+  let fb = nllAt(b);
+
+  for (let i = 0; i < 60; i++) {
+    if (fa < fb) {
+      hi = b;
+      b = a;
+      fb = fa;
+      a = hi - phi * (hi - lo);
+      fa = nllAt(a);
+    } else {
+      lo = a;
+      a = b;
+      fa = fb;
+      b = lo + phi * (hi - lo);
+      fb = nllAt(b);
+    }
+  }
+
+  return { method: "temperature", temperature: Math.exp((lo + hi) / 2) };
+}
+
+/**
+ * Fit per-class scale and bias by gradient descent on the negative
+ * log-likelihood, starting from the fitted temperature
+ */
+function fitVector(logitRows, labelIds, numLabels, iterations, l2) {
+  const { temperature } = fitTemperature(logitRows, labelIds);
+  const scale = new Array(numLabels).fill(1 / temperature);
+  const bias = new Array(numLabels).fill(0);
+
+  // Adam keeps the step size reasonable for both parameter groups
+  const rate = 0.01;
+  const beta1 = 0.9;
+  const beta2 = 0.999;
+  const m = new Float64Array(numLabels * 2);
+  const v = new Float64Array(numLabels * 2);
+
+  for (let step = 1; step <= iterations; step++) {
+    const grad = new Float64Array(numLabels * 2);
+
+    for (let r = 0; r < logitRows.length; r++) {
+      const logits = logitRows[r];
+      const logProbs = logSoftmax(
+        calibrateLogits(logits, { method: "vector", scale, bias }),
+      );
+      for (let i = 0; i < numLabels; i++) {
+        // d NLL / d calibrated logit = p - onehot
+        const delta = Math.exp(logProbs[i]) - (i === labelIds[r] ? 1 : 0);
+        grad[i] += delta * logits[i];
+        grad[numLabels + i] += delta;
+      }
+    }
+
+    for (let k = 0; k < numLabels * 2; k++) {
+      const param = k < numLabels ? scale[k] : bias[k - numLabels];
+      // L2 pulls scales toward the temperature solution and biases toward 0
+      const anchor = k < numLabels ? 1 / temperature : 0;
+      const g = grad[k] / logitRows.length + l2 * (param - anchor);
+
+      m[k] = beta1 * m[k] + (1 - beta1) * g;
+      v[k] = beta2 * v[k] + (1 - beta2) * g * g;
+      const update =
+        (rate * (m[k] / (1 - beta1 ** step))) /
+        (Math.sqrt(v[k] / (1 - beta2 ** step)) + 1e-8);
+
+      if (k < numLabels) scale[k] -= update;
+      else bias[k - numLabels] -= update;
+    }
+  }
+
+  return { method: "vector", scale, bias };
+}
+
+/**
+ * Fit calibration parameters from raw logits and true labels
+ * @param {number[][]} logitRows - Raw model outputs per sample
+ * @param {number[]} labelIds - True label index per sample
+ * @param {Object} options - Fit options
+ * @param {string} options.method - "temperature" (default) or "vector"
+ * @param {number} options.iterations - Gradient steps for vector scaling (default: 500)
+ * @param {number} options.l2 - L2 regularization for vector scaling (default: 0.01)
+ * @returns {Object} { calibration, ece: { before, after }, nll: { before, after }, samples }
+ */
+export function fitCalibration(logitRows, labelIds, options = {}) {
+  const method = options.method || "temperature";
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(
+      `calibration method must be one of ${CALIBRATION_METHODS.join(", ")}`,
+    );
+  }
+  if (!logitRows.length) {
+    throw new Error("At least one labeled sample is required");
+  }
+
+  const numLabels = logitRows[0].length;
+  const calibration =
+    method === "temperature"
+      ? fitTemperature(logitRows, labelIds)
+      : fitVector(
+          logitRows,
+          labelIds,
+          numLabels,
+          options.iterations ?? 500,
+          options.l2 ?? 0.01,
+        );
+
+  const probabilities = (cal) =>
+    logitRows.map((row) =>
+      logSoftmax(calibrateLogits(row, cal)).map((x) => Math.exp(x)),
+    );
+
+  return {
+    calibration,
+    ece: {
+      before: expectedCalibrationError(probabilities(null), labelIds),
+      after: expectedCalibrationError(probabilities(calibration), labelIds),
+    },
+    nll: {
+      before: meanNll(logitRows, labelIds, null),
+      after: meanNll(logitRows, labelIds, calibration),
+    },
+    samples: logitRows.length,
+  };
+}
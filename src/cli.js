@@ -0,0 +1,485 @@
+/**
+ * @postalsys/bounce-classifier
+ * Command-line interface: classify, explain and labels
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { readFile } from "fs/promises";
+
+import { createClassifier } from "./index.js";
+import { formatTable } from "./evaluation.js";
+import { createServer } from "./server.js";
+
+// Process exit codes
+export const EXIT_OK = 0;
+export const EXIT_ERROR = 1; // Model could not be loaded or another failure
+export const EXIT_USAGE = 2; // Unknown command, flag or flag value
+export const EXIT_INPUT = 3; // Some input could not be parsed or classified
+
+const FORMATS = ["json", "ndjson", "csv", "table"];
+const COMMANDS = ["classify", "explain", "labels", "serve"];
+const DEFAULT_FIELDS = ["message", "label", "confidence", "action"];
+const TABLE_MESSAGE_LENGTH = 60;
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+
+const USAGE = `Usage: bounce-classifier [classify|explain|labels|serve] [options] [message...]
+
+Classify bounce messages given as arguments, in files or on stdin.
+Without messages or --file, messages are read from stdin, one per line.
+
+Commands:
+  classify           Classify messages (default)
+  explain            Show the per-word attributions behind each label
+  labels             List the labels of the model and their actions
+  serve              Run the HTTP classification service
+
+Options:
+  --file <path>      Read messages from a file, one per line ("-" for stdin), repeatable
+  --jsonl            Input lines are JSON objects
+  --field <path>     Field with the message in JSONL input, dots for nesting (default: message)
+  --format <format>  json, ndjson, csv or table (default: table on a terminal, ndjson otherwise)
+  --fields <list>    Comma-separated result fields to output, dots for nesting
+  --top-k <n>        Add the n best runner-up labels as alternatives
+  --model-path <dir> Load the model from this directory
+  --port <n>         Port for serve (default: ${DEFAULT_PORT})
+  --host <address>   Address for serve to listen on (default: ${DEFAULT_HOST})
+  -h, --help         Show this help
+  -v, --version      Show the package version
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 some input could not be parsed`;
+
+/**
+ * Error for invalid command-line usage
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed command and options
+ */
+export function parseArgs(argv) {
+  const args = {
+    command: "classify",
+    messages: [],
+    files: [],
+    jsonl: false,
+    field: "message",
+    format: null,
+    fields: null,
+    topK: 0,
+    modelPath: null,
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    help: false,
+    version: false,
+  };
+
+  const value = (i, flag) => {
+    if (i >= argv.length) throw usageError(`${flag} needs a value`);
+    return argv[i];
+  };
+
+  let i = 0;
+  if (COMMANDS.includes(argv[0])) {
+    args.command = argv[0];
+    i = 1;
+  }
+
+  for (; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--file") args.files.push(value(++i, arg));
+    else if (arg === "--jsonl") args.jsonl = true;
+    else if (arg === "--field") {
+      args.field = value(++i, arg);
+      args.jsonl = true;
+    } else if (arg === "--format") args.format = value(++i, arg);
+    else if (arg === "--fields") {
+      args.fields = value(++i, arg)
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean);
+    } else if (arg === "--top-k") args.topK = Number(value(++i, arg));
+    else if (arg === "--model-path") args.modelPath = value(++i, arg);
+    else if (arg === "--port") args.port = Number(value(++i, arg));
+    else if (arg === "--host") args.host = value(++i, arg);
+    else if (arg === "-h" || arg === "--help") args.help = true;
+    else if (arg === "-v" || arg === "--version") args.version = true;
+    else if (arg === "--") {
+      args.messages.push(...argv.slice(i + 1));
+      break;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw usageError(`Unknown option: ${arg}`);
+    } else args.messages.push(arg);
+  }
+
+  if (args.format !== null && !FORMATS.includes(args.format)) {
+    throw usageError(
+      `--format must be one of ${FORMATS.join(", ")}, got ${args.format}`,
+    );
+  }
+  if (!Number.isInteger(args.topK) || args.topK < 0) {
+    throw usageError("--top-k must be a non-negative integer");
+  }
+  if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+    throw usageError("--port must be an integer from 0 to 65535");
+  }
+  if (args.fields && !args.fields.length) {
+    throw usageError("--fields must list at least one field");
+  }
+  return args;
+}
+
+/**
+ * Read a value by a dotted path ("smtpReply.code")
+ */
+function getPath(object, path) {
+  let current = object;
+  for (const key of path.split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Read all of a stream as text
+ */
+async function readStream(stream) {
+  let text = "";
+  for await (const chunk of stream) {
+    text += typeof chunk === "string" ? chunk : chunk.toString("utf8");
+  }
+  return text;
+}
+
+/**
+ * Turn input text into messages, one per non-empty line
+ * @param {string} text - Input text
+ * @param {string} origin - Name of the input for error messages
+ * @param {Object} args - Parsed arguments (jsonl, field)
+ * @returns {Object[]} Items with { origin, message } or { origin, error }
+ */
+export function parseInput(text, origin, args) {
+  const items = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const where = `${origin}:${i + 1}`;
+    if (!args.jsonl) {
+      items.push({ origin: where, message: line });
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      items.push({ origin: where, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+    const message = getPath(record, args.field);
+    if (typeof message !== "string") {
+      items.push({
+        origin: where,
+        error: `Field "${args.field}" is missing or not a string`,
+      });
+      return;
+    }
+    items.push({ origin: where, message });
+  });
+  return items;
+}
+
+/**
+ * Collect messages from arguments, files and stdin
+ */
+async function readMessages(args, io) {
+  if (args.messages.length) {
+    return args.messages.map((message, i) => ({
+      origin: `argument ${i + 1}`,
+      message,
+    }));
+  }
+
+  const sources = args.files.length ? args.files : ["-"];
+  const items = [];
+  for (const file of sources) {
+    let text;
+    if (file === "-") {
+      text = await readStream(io.stdin);
+    } else {
+      try {
+        text = await readFile(file, "utf8");
+      } catch (error) {
+        throw usageError(`Cannot read ${file}: ${error.message}`);
+      }
+    }
+    items.push(...parseInput(text, file === "-" ? "stdin" : file, args));
+  }
+  return items;
+}
+
+/**
+ * Render a value for a CSV or table cell
+ */
+function cellText(value, field, table) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "number") {
+    return table && !Number.isInteger(value) ? value.toFixed(4) : String(value);
+  }
+  if (
+    Array.isArray(value) &&
+    value.every((entry) => entry?.label && typeof entry.score === "number")
+  ) {
+    // Alternatives: "label:score label:score"
+    return value
+      .map((entry) => `${entry.label}:${entry.score.toFixed(4)}`)
+      .join(" ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  const text = String(value);
+  if (table && field === "message" && text.length > TABLE_MESSAGE_LENGTH) {
+    return text.slice(0, TABLE_MESSAGE_LENGTH - 3) + "...";
+  }
+  return text;
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format records as JSON, NDJSON, CSV or a table
+ * @param {Object[]} records - Output records
+ * @param {string} format - Output format
+ * @param {string[]} fields - Columns for CSV and table output
+ * @returns {string} Output text
+ */
+export function formatRecords(records, format, fields) {
+  if (format === "json") return JSON.stringify(records, null, 2) + "\n";
+  if (format === "ndjson") {
+    return records.map((record) => JSON.stringify(record) + "\n").join("");
+  }
+
+  const table = format === "table";
+  const rows = records.map((record) =>
+    fields.map((field) => cellText(getPath(record, field), field, table)),
+  );
+  if (table) return formatTable([fields, ...rows]) + "\n";
+  return [fields, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * Keep only the given fields of a record, by dotted path
+ */
+function pickFields(record, fields) {
+  const picked = {};
+  for (const field of fields) {
+    const value = getPath(record, field);
+    if (value !== undefined) picked[field] = value;
+  }
+  return picked;
+}
+
+/**
+ * Classify the input messages
+ */
+async function runClassify(classifier, items, args, format) {
+  const valid = items.filter((item) => item.error === undefined);
+  const results = await classifier.classifyBatch(
+    valid.map((item) => item.message),
+    { topK: args.topK },
+  );
+
+  let index = 0;
+  const records = items.map((item) => {
+    if (item.error !== undefined) return item;
+    const result = results[index++];
+    return result.error !== undefined
+      ? { origin: item.origin, error: result.error }
+      : { message: item.message, ...result };
+  });
+
+  const hasErrors = records.some((record) => record.error !== undefined);
+  let fields = args.fields;
+  if (!fields && (format === "csv" || format === "table")) {
+    fields = [...DEFAULT_FIELDS];
+    if (args.topK > 0) fields.push("alternatives");
+  }
+  if (fields && hasErrors && !fields.includes("error")) {
+    fields = [...fields, "error"];
+  }
+
+  const output =
+    args.fields && (format === "json" || format === "ndjson")
+      ? records.map((record) => pickFields(record, fields))
+      : records;
+  return {
+    text: formatRecords(output, format, fields),
+    errors: records.filter((record) => record.error !== undefined),
+  };
+}
+
+/**
+ * Explain the labels of the input messages
+ */
+async function runExplain(classifier, items, args, format) {
+  const explanations = [];
+  for (const item of items) {
+    if (item.error !== undefined) {
+      explanations.push(item);
+      continue;
+    }
+    try {
+      explanations.push(
+        await classifier.explain(item.message, { topK: args.topK }),
+      );
+    } catch (error) {
+      explanations.push({ origin: item.origin, error: error.message });
+    }
+  }
+
+  const errors = explanations.filter(
+    (explanation) => explanation.error !== undefined,
+  );
+  if (format === "json" || format === "ndjson") {
+    return { text: formatRecords(explanations, format), errors };
+  }
+
+  // One row per word, with the message number in front
+  const fields = ["n", "label", "word", "id", "oov", "attribution"];
+  const rows = [];
+  explanations.forEach((explanation, n) => {
+    if (explanation.error !== undefined) {
+      rows.push({ n: n + 1, label: "", word: `error: ${explanation.error}` });
+      return;
+    }
+    for (const token of explanation.tokens) {
+      rows.push({
+        n: n + 1,
+        label: explanation.label,
+        word: token.word,
+        id: token.id,
+        oov: token.oov,
+        attribution: token.attribution,
+      });
+    }
+  });
+  return { text: formatRecords(rows, format, fields), errors };
+}
+
+/**
+ * List the labels of the model with their actions
+ */
+async function runLabels(classifier, args, format) {
+  const labels = await classifier.getLabels();
+  const records = labels.map((label) => ({
+    label,
+    action: classifier.getAction(label),
+  }));
+  return formatRecords(records, format, args.fields || ["label", "action"]);
+}
+
+/**
+ * Run the HTTP service until SIGINT or SIGTERM
+ */
+async function runServe(classifier, args, stderr) {
+  const server = createServer(classifier, {
+    onError: (error) => stderr.write(`bounce-classifier: ${error.stack}\n`),
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(args.port, args.host, resolve);
+  });
+  const { address, port } = server.address();
+  stderr.write(`Listening on http://${address}:${port}\n`);
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      stderr.write("Shutting down\n");
+      server.shutdown().then(resolve, resolve);
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+}
+
+/**
+ * Run the command-line interface
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} io - Streams ({ stdin, stdout, stderr }, default: the process streams)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv, io = {}) {
+  const stdin = io.stdin || process.stdin;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (args.version) {
+    const pkg = JSON.parse(
+      await readFile(new URL("../package.json", import.meta.url), "utf8"),
+    );
+    stdout.write(`${pkg.version}\n`);
+    return EXIT_OK;
+  }
+
+  const format = args.format || (stdout.isTTY ? "table" : "ndjson");
+
+  try {
+    const classifier = createClassifier(
+      args.modelPath ? { modelPath: args.modelPath } : {},
+    );
+
+    if (args.command === "serve") {
+      await runServe(classifier, args, stderr);
+      return EXIT_OK;
+    }
+    if (args.command === "labels") {
+      stdout.write(await runLabels(classifier, args, format));
+      return EXIT_OK;
+    }
+
+    const items = await readMessages(args, { stdin });
+    const { text, errors } =
+      args.command === "explain"
+        ? await runExplain(classifier, items, args, format)
+        : await runClassify(classifier, items, args, format);
+    stdout.write(text);
+
+    // Output keeps the input order, the errors are repeated on stderr
+    for (const error of errors) {
+      stderr.write(`${error.origin}: ${error.error}\n`);
+    }
+    return errors.length ? EXIT_INPUT : EXIT_OK;
+  } catch (error) {
+    stderr.write(`bounce-classifier: ${error.message}\n`);
+    return error.exitCode || EXIT_ERROR;
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * @postalsys/bounce-classifier/dnsbl
+ * TypeScript type definitions for DNSBL verification
+ */
+
+import type {
+  BlocklistEntry,
+  BlocklistInfo,
+  ClassificationResult,
+  MultipleBlocklistInfo,
+} from "./index.js";
+
+/**
+ * Resolver used for DNSBL lookups, node:dns/promises or a compatible object.
+ * Not-found answers reject with code ENOTFOUND or ENODATA.
+ */
+export interface DnsblResolver {
+  resolve4(hostname: string): Promise<string[]>;
+}
+
+/**
+ * Options for createBlocklistVerifier
+ */
+export interface BlocklistVerifierOptions {
+  /** Resolver (default: node:dns/promises) */
+  resolver?: DnsblResolver;
+  /** Lookups per second (default: 10) */
+  rate?: number;
+  /** How long answers are cached in milliseconds (default: 300000) */
+  cacheTtl?: number;
+  /** Maximum number of cached answers (default: 1000) */
+  cacheSize?: number;
+}
+
+/**
+ * Targets to check, default: the IP or domain printed in the reply
+ */
+export interface VerifyBlocklistingOptions {
+  /** IP address to check on IP lists */
+  ip?: string;
+  /** Domain to check on domain and URI lists */
+  domain?: string;
+}
+
+/**
+ * Decoded DNSBL answer address
+ */
+export interface DnsblCode {
+  code: string;
+  /** Meaning from the registry entry, null if unknown */
+  meaning: string | null;
+  /** True if the answer means listed, false if not, null if refused or not a DNSBL answer */
+  listed: boolean | null;
+}
+
+/**
+ * Lookup result for one zone
+ */
+export interface DnsblZoneResult {
+  /** Blocklist name of the hit */
+  name: string;
+  zone: string;
+  /** IP address or domain that was checked */
+  target: string | null;
+  /** Query name (e.g., '5.113.0.203.zen.spamhaus.org') */
+  query: string | null;
+  /** True if listed, false if not, null if the lookup failed or was refused */
+  listed: boolean | null;
+  codes: DnsblCode[];
+  error: string | null;
+  /** Whether the answer came from the cache */
+  cached: boolean;
+}
+
+/**
+ * Verification result
+ */
+export interface VerifyBlocklistingResult {
+  /** True if any zone lists the target, null if none does and a check failed */
+  listed: boolean | null;
+  zones: DnsblZoneResult[];
+}
+
+export interface BlocklistVerifier {
+  verify(
+    result: ClassificationResult | BlocklistInfo | MultipleBlocklistInfo,
+    options?: VerifyBlocklistingOptions,
+  ): Promise<VerifyBlocklistingResult>;
+  /** Drop all cached answers */
+  clearCache(): void;
+}
+
+/**
+ * Build the DNSBL query name for an IP address or a domain
+ * @returns Query name, or null if the target is not a valid IP or domain
+ */
+export function dnsblQueryName(target: string, zone: string): string | null;
+
+/**
+ * Decode the A records a DNSBL returned with the zone's registry entry
+ */
+export function decodeDnsblAnswer(
+  zone: string,
+  addresses: string[],
+  /** Registry entry of the zone (default: looked up in the default registry) */
+  entry?: BlocklistEntry | null,
+): { listed: boolean | null; codes: DnsblCode[]; error: string | null };
+
+/**
+ * Create a verifier with its own cache and rate limit
+ */
+export function createBlocklistVerifier(
+  options?: BlocklistVerifierOptions,
+): BlocklistVerifier;
+
+/**
+ * Check whether the blocklist hits of a classification result or an
+ * identifyBlocklist() result are still listed. Uses a shared verifier per
+ * resolver with the default rate limit and cache.
+ * @param result - Classification result or identifyBlocklist() result
+ * @param options - Targets and resolver
+ */
+export function verifyBlocklisting(
+  result: ClassificationResult | BlocklistInfo | MultipleBlocklistInfo,
+  options?: VerifyBlocklistingOptions & { resolver?: DnsblResolver },
+): Promise<VerifyBlocklistingResult>;
@@ -0,0 +1,339 @@
+/**
+ * @postalsys/bounce-classifier
+ * DNSBL verification of blocklist hits, with rate limiting and caching
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import dns from "node:dns/promises";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { getBlocklistByZone } from "./blocklists.js";
+
+// Resolver errors that mean the name does not exist, i.e. not listed
+const NOT_FOUND_CODES = ["ENOTFOUND", "ENODATA"];
+
+const IPV4 = /^(?:\d{1,3}\.){3}\d{1,3}$/;
+const DOMAIN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+/**
+ * Check an IPv4 address for valid octets
+ * Leading zeros are rejected, "010" would be queried as a different name.
+ */
+function isIpv4(value) {
+  return (
+    IPV4.test(value) &&
+    value
+      .split(".")
+      .every((octet) => !/^0\d/.test(octet) && Number(octet) <= 255)
+  );
+}
+
+/**
+ * Expand an IPv6 address to its 32 nibbles, or null if it is not valid
+ */
+function ipv6Nibbles(value) {
+  if (!/^[0-9a-f:]+$/i.test(value) || value.split("::").length > 2) {
+    return null;
+  }
+  const [head, tail = null] = value.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === null ? missing !== 0 : missing < 1) return null;
+
+  const groups = [
+    ...headGroups,
+    ...new Array(tail === null ? 0 : missing).fill("0"),
+    ...tailGroups,
+  ];
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups
+    .map((group) => group.toLowerCase().padStart(4, "0"))
+    .join("")
+    .split("");
+}
+
+/**
+ * Build the DNSBL query name for an IP address or a domain
+ * IPs are reversed ("5.113.0.203.zen.spamhaus.org"), IPv6 by nibble,
+ * domains are prefixed as they are.
+ * @param {string} target - IP address or domain
+ * @param {string} zone - DNSBL zone
+ * @returns {string|null} Query name, or null if the target is not valid
+ */
+export function dnsblQueryName(target, zone) {
+  if (isIpv4(target)) {
+    return `${target.split(".").reverse().join(".")}.${zone}`;
+  }
+  const nibbles = ipv6Nibbles(target);
+  if (nibbles) return `${nibbles.reverse().join(".")}.${zone}`;
+  if (DOMAIN.test(target)) {
+    return `${target.toLowerCase().replace(/\.$/, "")}.${zone}`;
+  }
+  return null;
+}
+
+/**
+ * Decode the A records a DNSBL returned
+ * Answers outside 127.0.0.0/8 are not DNSBL answers, usually a resolver
+ * that rewrites NXDOMAIN, and are reported as errors.
+ * @param {string} zone - DNSBL zone
+ * @param {string[]} addresses - A records of the query
+ * @param {Object} entry - Registry entry with the return codes of the zone (default: looked up in the registry)
+ * @returns {Object} { listed, codes: [{ code, meaning, listed }], error }
+ */
+export function decodeDnsblAnswer(zone, addresses, entry) {
+  if (addresses.length === 0) {
+    return { listed: false, codes: [], error: null };
+  }
+
+  if (entry === undefined) entry = getBlocklistByZone(zone);
+  const codes = addresses.map((code) => {
+    if (!code.startsWith("127.")) {
+      return { code, meaning: null, listed: null };
+    }
+    const known = entry && entry.returnCodes[code];
+    return known
+      ? { code, meaning: known.meaning, listed: known.listed }
+      : { code, meaning: null, listed: true };
+  });
+
+  if (codes.some((code) => code.listed === true)) {
+    return { listed: true, codes, error: null };
+  }
+  const refused = codes.find((code) => code.listed === null);
+  if (refused) {
+    return {
+      listed: null,
+      codes,
+      error: refused.meaning || `Unexpected answer ${refused.code}`,
+    };
+  }
+  return { listed: false, codes, error: null };
+}
+
+/**
+ * Collect the hits of a classification result or an identifyBlocklist() result
+ */
+function getHits(result) {
+  if (!result || typeof result !== "object") {
+    throw new Error(
+      `result must be an object, got ${result === null ? "null" : typeof result}`,
+    );
+  }
+  const info = "label" in result ? result.blocklist : result;
+  if (!info) return [];
+  return info.lists || [info];
+}
+
+/**
+ * Create a verifier with its own cache and rate limit
+ * @param {Object} options - Verifier options
+ * @param {Object} options.resolver - Object with resolve4(hostname), default: node:dns/promises
+ * @param {number} options.rate - Lookups per second (default: 10)
+ * @param {number} options.cacheTtl - How long answers are cached in milliseconds (default: 300000)
+ * @param {number} options.cacheSize - Maximum number of cached answers (default: 1000)
+ * @returns {Object} { verify, clearCache }
+ */
+export function createBlocklistVerifier(options = {}) {
+  const resolver = options.resolver || dns;
+  if (typeof resolver.resolve4 !== "function") {
+    throw new Error("resolver must have a resolve4 method");
+  }
+  const rate = options.rate === undefined ? 10 : options.rate;
+  if (!(typeof rate === "number" && rate > 0)) {
+    throw new Error(`rate must be a positive number, got ${rate}`);
+  }
+  const cacheTtl = options.cacheTtl === undefined ? 300000 : options.cacheTtl;
+  if (!(Number.isFinite(cacheTtl) && cacheTtl >= 0)) {
+    throw new Error(`cacheTtl must be a non-negative number, got ${cacheTtl}`);
+  }
+  const cacheSize = options.cacheSize === undefined ? 1000 : options.cacheSize;
+  if (!(Number.isInteger(cacheSize) && cacheSize >= 0)) {
+    throw new Error(
+      `cacheSize must be a non-negative integer, got ${cacheSize}`,
+    );
+  }
+
+  const interval = 1000 / rate;
+  let nextSlot = 0;
+
+  // query name -> { expires, answer }, in insertion order for eviction.
+  // Lookups in flight are shared so parallel checks query only once.
+  const cache = new Map();
+  const pending = new Map();
+
+  /**
+   * Wait for the next lookup slot
+   */
+  async function throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  /**
+   * Resolve a query name, not-found answers become an empty list
+   */
+  async function lookup(query) {
+    await throttle();
+    try {
+      return { addresses: await resolver.resolve4(query), error: null };
+    } catch (error) {
+      if (NOT_FOUND_CODES.includes(error.code)) {
+        return { addresses: [], error: null };
+      }
+      return { addresses: null, error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Resolve through the cache, failed lookups are not cached
+   */
+  async function cachedLookup(query) {
+    const hit = cache.get(query);
+    if (hit && hit.expires > Date.now()) return { ...hit.answer, cached: true };
+    cache.delete(query);
+
+    if (!pending.has(query)) {
+      pending.set(
+        query,
+        lookup(query).finally(() => pending.delete(query)),
+      );
+    }
+    const answer = await pending.get(query);
+    if (answer.error === null && cacheSize > 0 && cacheTtl > 0) {
+      cache.set(query, { expires: Date.now() + cacheTtl, answer });
+      while (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+    return { ...answer, cached: false };
+  }
+
+  /**
+   * Check one zone
+   */
+  async function checkZone(hit, zone, target) {
+    const report = {
+      name: hit.name,
+      zone,
+      target: target || null,
+      query: null,
+      listed: null,
+      codes: [],
+      error: null,
+      cached: false,
+    };
+    if (!target) {
+      report.error =
+        hit.type === "ip" ? "No IP address to check" : "No domain to check";
+      return report;
+    }
+    report.query = dnsblQueryName(target, zone);
+    if (!report.query) {
+      report.error = `Cannot build a query for ${target}`;
+      return report;
+    }
+
+    const answer = await cachedLookup(report.query);
+    report.cached = answer.cached;
+    if (answer.error !== null) {
+      report.error = answer.error;
+      return report;
+    }
+    // The hit's own entry, which may come from the registry of a classifier
+    // instance rather than the default one
+    const entry =
+      hit.registry && hit.registry.zones.includes(zone)
+        ? hit.registry
+        : undefined;
+    const decoded = decodeDnsblAnswer(zone, answer.addresses, entry);
+    report.listed = decoded.listed;
+    report.codes = decoded.codes;
+    report.error = decoded.error;
+    return report;
+  }
+
+  /**
+   * Check whether the blocklist hits of a result are still listed
+   * Zones come from the hits, or from the registry entry when the reply
+   * did not print one. The IP or domain comes from the options, or from
+   * what the reply printed. `listed` is null when no zone lists the target
+   * and a check failed.
+   * @param {Object} result - Classification result or identifyBlocklist() result
+   * @param {Object} checkOptions - Check options
+   * @param {string} checkOptions.ip - IP address to check on IP lists (optional)
+   * @param {string} checkOptions.domain - Domain to check on domain and URI lists (optional)
+   * @returns {Promise<Object>} { listed, zones: [{ name, zone, target, query, listed, codes, error, cached }] }
+   */
+  async function verify(result, checkOptions = {}) {
+    for (const key of ["ip", "domain"]) {
+      const value = checkOptions[key];
+      if (value !== undefined && typeof value !== "string") {
+        throw new Error(`${key} must be a string, got ${typeof value}`);
+      }
+    }
+
+    const checks = [];
+    const seen = new Set();
+    for (const hit of getHits(result)) {
+      const zone = hit.zone || (hit.registry && hit.registry.zones[0]) || null;
+      if (!zone) continue;
+      const target =
+        (hit.type === "ip" ? checkOptions.ip : checkOptions.domain) ||
+        hit.listed;
+      const key = `${zone}|${target}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      checks.push(checkZone(hit, zone, target));
+    }
+
+    // A failed check is not a clean answer, so no zone listing the target
+    // means "unknown" rather than "not listed" when any check failed
+    const zones = await Promise.all(checks);
+    let listed = false;
+    if (zones.some((zone) => zone.listed === true)) {
+      listed = true;
+    } else if (zones.some((zone) => zone.listed === null)) {
+      listed = null;
+    }
+    return { listed, zones };
+  }
+
+  /**
+   * Drop all cached answers
+   */
+  function clearCache() {
+    cache.clear();
+  }
+
+  return { verify, clearCache };
+}
+
+// One verifier per resolver, so cached answers of a stub never leak into
+// lookups through another resolver
+const verifiers = new WeakMap();
+
+/**
+ * Check whether the blocklist hits of a result are still listed
+ * Uses a shared verifier per resolver with the default rate limit and cache.
+ * @param {Object} result - Classification result or identifyBlocklist() result
+ * @param {Object} options - Options
+ * @param {string} options.ip - IP address to check on IP lists (optional)
+ * @param {string} options.domain - Domain to check on domain and URI lists (optional)
+ * @param {Object} options.resolver - Object with resolve4(hostname), default: node:dns/promises
+ * @returns {Promise<Object>} { listed, zones: [...] }
+ */
+export async function verifyBlocklisting(result, options = {}) {
+  const resolver = options.resolver || dns;
+  let verifier = verifiers.get(resolver);
+  if (!verifier) {
+    verifier = createBlocklistVerifier({ resolver });
+    verifiers.set(resolver, verifier);
+  }
+  return verifier.verify(result, options);
+}
@@ -0,0 +1,166 @@
+/**
+ * @postalsys/bounce-classifier
+ * RFC 3464 delivery status notification parser
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import {
+  splitMessage,
+  parseHeaderLines,
+  parseHeaders,
+  decodeMimeWords,
+  parseMime,
+  walkMime,
+  getText,
+} from "./mime.js";
+
+// Content types that carry delivery status fields (RFC 3464, RFC 6533)
+const DELIVERY_STATUS_TYPES = [
+  "message/delivery-status",
+  "message/global-delivery-status",
+];
+
+// Content types that carry the returned original message or its headers
+const ORIGINAL_MESSAGE_TYPES = [
+  "message/rfc822",
+  "message/global",
+  "text/rfc822-headers",
+  "message/rfc822-headers",
+  "message/global-headers",
+];
+
+/**
+ * Strip the type prefix from a typed DSN field ("rfc822; user@example.com")
+ * @param {string} value - Field value
+ * @returns {{ type: string|null, value: string }}
+ */
+function parseTypedField(value) {
+  const match = value.match(/^([\w-]+)\s*;\s*([\s\S]*)$/);
+  if (!match) return { type: null, value: value.trim() };
+  return { type: match[1].toLowerCase(), value: match[2].trim() };
+}
+
+/**
+ * Split delivery-status content into field groups separated by blank lines
+ * @param {string} text - Decoded delivery-status body
+ * @returns {Object<string, string>[]} Field groups keyed by lowercase name
+ */
+function parseFieldGroups(text) {
+  const groups = [];
+  const blocks = text.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/);
+  for (const block of blocks) {
+    const fields = {};
+    for (const { key, value } of parseHeaderLines(block)) {
+      if (!(key in fields)) fields[key] = value;
+    }
+    if (Object.keys(fields).length) groups.push(fields);
+  }
+  return groups;
+}
+
+/**
+ * Build per-message fields from the first delivery-status group
+ */
+function toMessageFields(fields) {
+  return {
+    reportingMta: fields["reporting-mta"]
+      ? parseTypedField(fields["reporting-mta"]).value
+      : null,
+    receivedFromMta: fields["received-from-mta"]
+      ? parseTypedField(fields["received-from-mta"]).value
+      : null,
+    arrivalDate: fields["arrival-date"] || null,
+    envelopeId: fields["original-envelope-id"] || null,
+    fields,
+  };
+}
+
+/**
+ * Build per-recipient fields from a delivery-status group
+ */
+function toRecipientFields(fields) {
+  const typed = (key) =>
+    fields[key] ? parseTypedField(fields[key]).value : null;
+  const diagnostic = fields["diagnostic-code"]
+    ? parseTypedField(fields["diagnostic-code"])
+    : null;
+
+  return {
+    finalRecipient: typed("final-recipient"),
+    originalRecipient: typed("original-recipient"),
+    action: fields.action ? fields.action.toLowerCase() : null,
+    status: fields.status ? fields.status.split(/[\s(]/)[0] : null,
+    remoteMta: typed("remote-mta"),
+    diagnosticCode: diagnostic ? diagnostic.value : null,
+    diagnosticType: diagnostic ? diagnostic.type : null,
+    lastAttemptDate: fields["last-attempt-date"] || null,
+    willRetryUntil: fields["will-retry-until"] || null,
+    fields,
+  };
+}
+
+/**
+ * Parse an RFC 3464 delivery status notification
+ * @param {string} rawEmail - Full RFC 5322 bounce message
+ * @returns {Object|null} Parsed DSN, or null if the message has no delivery-status part
+ */
+export function parseDsn(rawEmail) {
+  if (typeof rawEmail !== "string") {
+    throw new Error(`rawEmail must be a string, got ${typeof rawEmail}`);
+  }
+
+  const root = parseMime(rawEmail);
+
+  let statusNode = null;
+  let originalNode = null;
+  let textNode = null;
+  walkMime(root, (node) => {
+    if (!statusNode && DELIVERY_STATUS_TYPES.includes(node.contentType)) {
+      statusNode = node;
+    } else if (
+      statusNode &&
+      !originalNode &&
+      ORIGINAL_MESSAGE_TYPES.includes(node.contentType)
+    ) {
+      originalNode = node;
+    } else if (!statusNode && !textNode && node.contentType === "text/plain") {
+      // Human readable explanation precedes the delivery-status part
+      textNode = node;
+    }
+  });
+
+  if (!statusNode) return null;
+
+  const groups = parseFieldGroups(getText(statusNode));
+
+  // Some MTAs omit the per-message group and start with a recipient
+  const messageGroup =
+    groups.length && !groups[0]["final-recipient"] ? groups.shift() : {};
+  const recipientGroups = groups;
+
+  let originalHeaders = null;
+  if (originalNode) {
+    // message/rfc822 is already parsed into a child node, header-only
+    // parts are parsed from their text content
+    originalHeaders = originalNode.parts.length
+      ? { ...originalNode.parts[0].headers }
+      : parseHeaders(
+          splitMessage(getText(originalNode).replace(/^\s+/, "")).header,
+        );
+    for (const key of Object.keys(originalHeaders)) {
+      originalHeaders[key] = decodeMimeWords(originalHeaders[key]);
+    }
+  }
+
+  return {
+    ...toMessageFields(messageGroup),
+    recipients: recipientGroups
+      .filter((fields) => fields["final-recipient"] || fields.action)
+      .map(toRecipientFields),
+    originalHeaders,
+    messageId: originalHeaders ? originalHeaders["message-id"] || null : null,
+    humanReadable: textNode ? getText(textNode).trim() : null,
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * @postalsys/bounce-classifier
+ * Evaluation metrics: accuracy, per-label scores, confusion matrix and fallback impact
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Sources that can replace the label predicted by the model
+const OVERRIDE_SOURCES = ["text_pattern", "provider", "code_fallback", "rule"];
+
+const DEFAULT_WORST = 10;
+
+/**
+ * Divide, with 0 for an empty denominator
+ */
+function ratio(numerator, denominator) {
+  return denominator ? numerator / denominator : 0;
+}
+
+/**
+ * Summarize labeled predictions
+ * @param {Object[]} records - One per sample: { index, message, expected, predicted, modelLabel, source, confidence, expectedScore }
+ * @param {Object} options - Summary options
+ * @param {string[]} options.labels - Labels of the model, in output order (default: none)
+ * @param {number} options.worst - Number of misclassifications to list (default: 10)
+ * @returns {Object} { samples, accuracy, modelAccuracy, labels, perLabel, macro, confusion, fallbacks, worst }
+ */
+export function summarizeEvaluation(records, options = {}) {
+  const worstCount =
+    options.worst !== undefined ? options.worst : DEFAULT_WORST;
+  if (!Number.isInteger(worstCount) || worstCount < 0) {
+    throw new Error("worst must be a non-negative integer");
+  }
+
+  // Model labels first, then labels only seen in the data or from rules
+  const seen = new Set();
+  for (const record of records) {
+    seen.add(record.expected);
+    seen.add(record.predicted);
+  }
+  const labels = (options.labels || []).filter((label) => seen.has(label));
+  for (const label of seen) {
+    if (!labels.includes(label)) labels.push(label);
+  }
+  const position = new Map(labels.map((label, i) => [label, i]));
+
+  const matrix = labels.map(() => new Array(labels.length).fill(0));
+  const fallbacks = Object.fromEntries(
+    OVERRIDE_SOURCES.map((source) => [
+      source,
+      { used: 0, changed: 0, helped: 0, hurt: 0 },
+    ]),
+  );
+  let correct = 0;
+  let modelCorrect = 0;
+
+  for (const record of records) {
+    matrix[position.get(record.expected)][position.get(record.predicted)]++;
+    const isCorrect = record.predicted === record.expected;
+    const modelIsCorrect = record.modelLabel === record.expected;
+    if (isCorrect) correct++;
+    if (modelIsCorrect) modelCorrect++;
+
+    const stats = fallbacks[record.source];
+    if (!stats) continue;
+    stats.used++;
+    if (record.predicted !== record.modelLabel) {
+      stats.changed++;
+      if (isCorrect) stats.helped++;
+      if (modelIsCorrect) stats.hurt++;
+    }
+  }
+
+  const perLabel = {};
+  const withSupport = [];
+  labels.forEach((label, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    perLabel[label] = {
+      precision,
+      recall,
+      f1: ratio(2 * precision * recall, precision + recall),
+      support,
+    };
+    if (support) withSupport.push(perLabel[label]);
+  });
+
+  // Averaged over the labels that occur in the data
+  const average = (key) =>
+    ratio(
+      withSupport.reduce((sum, metrics) => sum + metrics[key], 0),
+      withSupport.length,
+    );
+
+  // Most confident mistakes first
+  const worst = records
+    .filter((record) => record.predicted !== record.expected)
+    .sort((a, b) => b.confidence - a.confidence || a.index - b.index)
+    .slice(0, worstCount)
+    .map((record) => ({ ...record }));
+
+  return {
+    samples: records.length,
+    accuracy: ratio(correct, records.length),
+    modelAccuracy: ratio(modelCorrect, records.length),
+    labels,
+    perLabel,
+    macro: {
+      precision: average("precision"),
+      recall: average("recall"),
+      f1: average("f1"),
+    },
+    confusion: { labels, matrix },
+    fallbacks,
+    worst,
+  };
+}
+
+/**
+ * Pad a table cell to a width, numbers to the right
+ */
+function cell(value, width) {
+  const text = String(value);
+  return typeof value === "number" ? text.padStart(width) : text.padEnd(width);
+}
+
+/**
+ * Render rows as aligned columns, the first row is the header
+ * @param {Array[]} rows - Table rows, numbers are aligned to the right
+ * @returns {string} Table text
+ */
+export function formatTable(rows) {
+  const widths = rows[0].map((_, col) =>
+    Math.max(...rows.map((row) => String(row[col]).length)),
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((value, col) => cell(value, widths[col]))
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+}
+
+/**
+ * Format an evaluation report as readable text tables
+ * @param {Object} report - Result of summarizeEvaluation() or evaluate()
+ * @returns {string} Report text
+ */
+export function formatEvaluation(report) {
+  const fixed = (value) => value.toFixed(4);
+  const sections = [];
+
+  sections.push(
+    [
+      `Samples:  ${report.samples}`,
+      `Accuracy: ${fixed(report.accuracy)} (model alone: ${fixed(report.modelAccuracy)})`,
+    ].join("\n"),
+  );
+
+  const labelRows = [["Label", "Precision", "Recall", "F1", "Support"]];
+  for (const label of report.labels) {
+    const metrics = report.perLabel[label];
+    labelRows.push([
+      label,
+      fixed(metrics.precision),
+      fixed(metrics.recall),
+      fixed(metrics.f1),
+      metrics.support,
+    ]);
+  }
+  labelRows.push([
+    "macro avg",
+    fixed(report.macro.precision),
+    fixed(report.macro.recall),
+    fixed(report.macro.f1),
+    report.samples,
+  ]);
+  sections.push(formatTable(labelRows));
+
+  // Columns are numbered, label names would make the matrix too wide
+  const { labels, matrix } = report.confusion;
+  const confusionRows = [
+    ["Expected \\ predicted", ...labels.map((_, i) => `[${i}]`)],
+    ...labels.map((label, i) => [`[${i}] ${label}`, ...matrix[i]]),
+  ];
+  sections.push(
+    "Confusion matrix (rows: expected, columns: predicted)\n" +
+      formatTable(confusionRows),
+  );
+
+  const fallbackRows = [["Source", "Used", "Changed", "Helped", "Hurt"]];
+  for (const [source, stats] of Object.entries(report.fallbacks)) {
+    fallbackRows.push([
+      source,
+      stats.used,
+      stats.changed,
+      stats.helped,
+      stats.hurt,
+    ]);
+  }
+  sections.push(
+    "Overrides of the model prediction\n" + formatTable(fallbackRows),
+  );
+
+  if (report.worst.length) {
+    const lines = report.worst.map((record) => {
+      const message =
+        record.message.length > 100
+          ? record.message.slice(0, 97) + "..."
+          : record.message;
+      return (
+        `#${record.index}: expected ${record.expected}, got ${record.predicted} ` +
+        `(${record.source}, confidence ${fixed(record.confidence)})\n  ${message}`
+      );
+    });
+    sections.push("Worst misclassifications\n" + lines.join("\n"));
+  }
+
+  return sections.join("\n\n") + "\n";
+}
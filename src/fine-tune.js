@@ -0,0 +1,476 @@
+/**
+ * @postalsys/bounce-classifier
+ * Fine-tuning of the classifier head
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Order of the weight tensors in group1-shard1of1.bin and the weightsManifest
+export const WEIGHT_ORDER = [
+  { key: "dense1Kernel", name: "dense/kernel" },
+  { key: "dense1Bias", name: "dense/bias" },
+  { key: "dense2Kernel", name: "dense_1/kernel" },
+  { key: "dense2Bias", name: "dense_1/bias" },
+  { key: "embedding", name: "embedding/embeddings" },
+];
+
+const DEFAULTS = {
+  epochs: 30,
+  batchSize: 16,
+  learningRate: 0.001,
+  validationSplit: 0.2,
+  patience: 3,
+  trainEmbeddings: false,
+  dropout: 0,
+  seed: 1,
+};
+
+// Adam parameters
+const BETA1 = 0.9;
+const BETA2 = 0.999;
+const EPSILON = 1e-8;
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so splits and shuffles repeat
+ * @param {number} seed - Seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle in place
+ */
+function shuffle(list, random) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Hold out a random share of the examples for validation
+ * @param {Object[]} examples - Examples
+ * @param {number} validationSplit - Share to hold out, between 0 and 1
+ * @param {Function} random - Generator from createRandom()
+ * @returns {Object} { train, validation }
+ */
+export function splitExamples(examples, validationSplit, random) {
+  if (!(validationSplit > 0 && validationSplit < 1)) {
+    throw new Error("validationSplit must be a number between 0 and 1");
+  }
+  const shuffled = shuffle(examples.slice(), random);
+  const held = Math.max(1, Math.round(shuffled.length * validationSplit));
+  if (held >= shuffled.length) {
+    throw new Error("At least 2 examples are required for a validation split");
+  }
+  return { train: shuffled.slice(held), validation: shuffled.slice(0, held) };
+}
+
+/**
+ * Copy weights so training never touches the loaded model
+ * @param {Object} weights - Parsed model weights
+ * @returns {Object} Deep copy
+ */
+export function cloneWeights(weights) {
+  const copy = {};
+  for (const { key } of WEIGHT_ORDER) {
+    copy[key] = Float32Array.from(weights[key]);
+  }
+  return copy;
+}
+
+/**
+ * Serialize weights in the binary layout read by parseWeights()
+ * @param {Object} weights - Model weights
+ * @returns {Float32Array} Concatenated weights
+ */
+export function serializeWeights(weights) {
+  const total = WEIGHT_ORDER.reduce(
+    (sum, { key }) => sum + weights[key].length,
+    0,
+  );
+  const data = new Float32Array(total);
+  let offset = 0;
+  for (const { key } of WEIGHT_ORDER) {
+    data.set(weights[key], offset);
+    offset += weights[key].length;
+  }
+  return data;
+}
+
+/**
+ * Build the weightsManifest entry of model.json for the given weights
+ * @param {Object} weights - Model weights
+ * @returns {Object[]} weightsManifest
+ */
+export function buildWeightsManifest(weights) {
+  const { hidden, embeddingDim, numLabels } = getDimensions(weights);
+  const shapes = {
+    dense1Kernel: [embeddingDim, hidden],
+    dense1Bias: [hidden],
+    dense2Kernel: [hidden, numLabels],
+    dense2Bias: [numLabels],
+    embedding: [weights.embedding.length / embeddingDim, embeddingDim],
+  };
+  return [
+    {
+      paths: ["group1-shard1of1.bin"],
+      weights: WEIGHT_ORDER.map(({ key, name }) => ({
+        name,
+        shape: shapes[key],
+        dtype: "float32",
+      })),
+    },
+  ];
+}
+
+/**
+ * Layer sizes, read from the weights themselves
+ */
+function getDimensions(weights) {
+  const hidden = weights.dense1Bias.length;
+  return {
+    hidden,
+    embeddingDim: weights.dense1Kernel.length / hidden,
+    numLabels: weights.dense2Bias.length,
+  };
+}
+
+/**
+ * Inverted dropout mask: 0 for dropped units, 1 / (1 - rate) for kept ones
+ */
+function dropoutMask(size, rate, random) {
+  const mask = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    mask[i] = random() < rate ? 0 : 1 / (1 - rate);
+  }
+  return mask;
+}
+
+/**
+ * Run one sequence forward, keeping what backprop needs
+ * With dropout, the pooled vector and the hidden activations are masked and
+ * the masks are returned for the backward pass
+ */
+function forwardExample(tokens, weights, dims, dropout = null) {
+  const { hidden, embeddingDim, numLabels } = dims;
+  const length = tokens.length;
+
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+
+  const pooled = new Float64Array(embeddingDim);
+  for (const [token, count] of counts) {
+    const offset = token * embeddingDim;
+    for (let k = 0; k < embeddingDim; k++) {
+      pooled[k] += (count * weights.embedding[offset + k]) / length;
+    }
+  }
+
+  let pooledMask = null;
+  let hiddenMask = null;
+  if (dropout) {
+    pooledMask = dropoutMask(embeddingDim, dropout.rate, dropout.random);
+    hiddenMask = dropoutMask(hidden, dropout.rate, dropout.random);
+    for (let k = 0; k < embeddingDim; k++) pooled[k] *= pooledMask[k];
+  }
+
+  const activations = new Float64Array(hidden);
+  for (let j = 0; j < hidden; j++) {
+    let sum = weights.dense1Bias[j];
+    for (let k = 0; k < embeddingDim; k++) {
+      sum += pooled[k] * weights.dense1Kernel[k * hidden + j];
+    }
+    activations[j] = Math.max(0, sum) * (hiddenMask ? hiddenMask[j] : 1);
+  }
+
+  const probs = new Float64Array(numLabels);
+  let max = -Infinity;
+  for (let i = 0; i < numLabels; i++) {
+    let sum = weights.dense2Bias[i];
+    for (let j = 0; j < hidden; j++) {
+      sum += activations[j] * weights.dense2Kernel[j * numLabels + i];
+    }
+    probs[i] = sum;
+    if (sum > max) max = sum;
+  }
+  let total = 0;
+  for (let i = 0; i < numLabels; i++) {
+    probs[i] = Math.exp(probs[i] - max);
+    total += probs[i];
+  }
+  for (let i = 0; i < numLabels; i++) probs[i] /= total;
+
+  return {
+    counts,
+    pooled,
+    activations,
+    probs,
+    length,
+    pooledMask,
+    hiddenMask,
+  };
+}
+
+/**
+ * Mean cross-entropy loss and accuracy over a set of examples
+ */
+function evaluate(examples, weights, dims) {
+  let loss = 0;
+  let correct = 0;
+  for (const { tokens, labelId } of examples) {
+    const { probs } = forwardExample(tokens, weights, dims);
+    loss -= Math.log(Math.max(probs[labelId], 1e-12));
+    let best = 0;
+    for (let i = 1; i < probs.length; i++) {
+      if (probs[i] > probs[best]) best = i;
+    }
+    if (best === labelId) correct++;
+  }
+  return { loss: loss / examples.length, accuracy: correct / examples.length };
+}
+
+/**
+ * Create an Adam optimizer for a parameter array
+ */
+function createAdam(size) {
+  return { m: new Float64Array(size), v: new Float64Array(size) };
+}
+
+/**
+ * Apply one Adam step to params[offset..offset+grad.length]
+ */
+function adamStep(params, grad, state, step, rate, offset = 0) {
+  const correction1 = 1 - BETA1 ** step;
+  const correction2 = 1 - BETA2 ** step;
+  for (let i = 0; i < grad.length; i++) {
+    const k = offset + i;
+    state.m[k] = BETA1 * state.m[k] + (1 - BETA1) * grad[i];
+    state.v[k] = BETA2 * state.v[k] + (1 - BETA2) * grad[i] * grad[i];
+    params[k] -=
+      (rate * (state.m[k] / correction1)) /
+      (Math.sqrt(state.v[k] / correction2) + EPSILON);
+  }
+}
+
+/**
+ * Train model weights with backprop on labeled token sequences
+ * Trains both dense layers, and the embedding rows of tokens seen in the
+ * training examples when trainEmbeddings is set. Stops when the validation
+ * loss has not improved for `patience` epochs and returns the best weights.
+ * @param {Object} weights - Parsed model weights (not modified)
+ * @param {Object[]} examples - Training examples ({ tokens, labelId })
+ * @param {Object} options - Training options
+ * @param {Object[]} options.validation - Held-out examples (default: split off the examples)
+ * @param {number} options.validationSplit - Share of examples held out when no validation set is given (default: 0.2)
+ * @param {number} options.epochs - Maximum number of passes over the training examples (default: 30)
+ * @param {number} options.batchSize - Examples per gradient step (default: 16)
+ * @param {number} options.learningRate - Adam learning rate (default: 0.001)
+ * @param {number} options.patience - Epochs without improvement before stopping (default: 3)
+ * @param {boolean} options.trainEmbeddings - Also train embedding rows (default: false)
+ * @param {number} options.dropout - Dropout rate for the pooled vector and hidden layer while training (default: 0)
+ * @param {number} options.seed - Seed for the split and shuffling (default: 1)
+ * @param {Function} options.onEpoch - Called with each history entry (optional)
+ * @returns {Object} { weights, history, bestEpoch, stoppedEarly, train, validation }
+ */
+export function trainWeights(weights, examples, options = {}) {
+  const settings = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+
+  for (const key of ["epochs", "batchSize", "patience"]) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      throw new Error(`${key} must be a positive integer`);
+    }
+  }
+  if (!(settings.learningRate > 0)) {
+    throw new Error("learningRate must be a positive number");
+  }
+  if (!(settings.dropout >= 0 && settings.dropout < 1)) {
+    throw new Error("dropout must be a number from 0 to below 1");
+  }
+
+  const random = createRandom(settings.seed);
+  let train = examples;
+  let validation = options.validation;
+  if (!validation) {
+    ({ train, validation } = splitExamples(
+      examples,
+      settings.validationSplit,
+      random,
+    ));
+  }
+  if (!train.length || !validation.length) {
+    throw new Error("Training and validation examples must not be empty");
+  }
+
+  const dims = getDimensions(weights);
+  const { hidden, embeddingDim, numLabels } = dims;
+  const current = cloneWeights(weights);
+
+  const optimizers = {
+    dense1Kernel: createAdam(current.dense1Kernel.length),
+    dense1Bias: createAdam(hidden),
+    dense2Kernel: createAdam(current.dense2Kernel.length),
+    dense2Bias: createAdam(numLabels),
+  };
+  // Embedding rows get their own state, created when a row is first touched
+  const embeddingState = new Map();
+  const embeddingSteps = new Map();
+
+  let best = {
+    weights: cloneWeights(current),
+    epoch: 0,
+    ...evaluate(validation, current, dims),
+  };
+  const history = [];
+  let step = 0;
+  let stoppedEarly = false;
+  const dropout =
+    settings.dropout > 0 ? { rate: settings.dropout, random } : null;
+
+  for (let epoch = 1; epoch <= settings.epochs; epoch++) {
+    const order = shuffle(train.slice(), random);
+
+    for (let start = 0; start < order.length; start += settings.batchSize) {
+      const batch = order.slice(start, start + settings.batchSize);
+      const grads = {
+        dense1Kernel: new Float64Array(current.dense1Kernel.length),
+        dense1Bias: new Float64Array(hidden),
+        dense2Kernel: new Float64Array(current.dense2Kernel.length),
+        dense2Bias: new Float64Array(numLabels),
+      };
+      const embeddingGrads = new Map();
+
+      for (const { tokens, labelId } of batch) {
+        const {
+          counts,
+          pooled,
+          activations,
+          probs,
+          length,
+          pooledMask,
+          hiddenMask,
+        } = forwardExample(tokens, current, dims, dropout);
+
+        // Softmax with cross-entropy: d loss / d logit = p - onehot
+        const dLogits = new Float64Array(numLabels);
+        for (let i = 0; i < numLabels; i++) {
+          dLogits[i] = (probs[i] - (i === labelId ? 1 : 0)) / batch.length;
+        }
+
+        const dHidden = new Float64Array(hidden);
+        for (let j = 0; j < hidden; j++) {
+          // ReLU gradient is 0, or the unit was dropped
+          if (activations[j] <= 0) continue;
+          let sum = 0;
+          for (let i = 0; i < numLabels; i++) {
+            grads.dense2Kernel[j * numLabels + i] +=
+              activations[j] * dLogits[i];
+            sum += current.dense2Kernel[j * numLabels + i] * dLogits[i];
+          }
+          dHidden[j] = hiddenMask ? sum * hiddenMask[j] : sum;
+        }
+        for (let i = 0; i < numLabels; i++) grads.dense2Bias[i] += dLogits[i];
+
+        const dPooled = new Float64Array(embeddingDim);
+        for (let k = 0; k < embeddingDim; k++) {
+          let sum = 0;
+          for (let j = 0; j < hidden; j++) {
+            if (dHidden[j] === 0) continue;
+            grads.dense1Kernel[k * hidden + j] += pooled[k] * dHidden[j];
+            sum += current.dense1Kernel[k * hidden + j] * dHidden[j];
+          }
+          dPooled[k] = pooledMask ? sum * pooledMask[k] : sum;
+        }
+        for (let j = 0; j < hidden; j++) grads.dense1Bias[j] += dHidden[j];
+
+        if (settings.trainEmbeddings) {
+          // Each occurrence of a token contributes 1/length of the pooled vector
+          for (const [token, count] of counts) {
+            let row = embeddingGrads.get(token);
+            if (!row) {
+              row = new Float64Array(embeddingDim);
+              embeddingGrads.set(token, row);
+            }
+            for (let k = 0; k < embeddingDim; k++) {
+              row[k] += (dPooled[k] * count) / length;
+            }
+          }
+        }
+      }
+
+      step++;
+      for (const key of Object.keys(grads)) {
+        adamStep(
+          current[key],
+          grads[key],
+          optimizers[key],
+          step,
+          settings.learningRate,
+        );
+      }
+
+      for (const [token, row] of embeddingGrads) {
+        if (!embeddingState.has(token)) {
+          embeddingState.set(token, createAdam(embeddingDim));
+          embeddingSteps.set(token, 0);
+        }
+        const rowStep = embeddingSteps.get(token) + 1;
+        embeddingSteps.set(token, rowStep);
+
+        const state = embeddingState.get(token);
+        const offset = token * embeddingDim;
+        const params = current.embedding.subarray(
+          offset,
+          offset + embeddingDim,
+        );
+        adamStep(params, row, state, rowStep, settings.learningRate);
+      }
+    }
+
+    const trainMetrics = evaluate(train, current, dims);
+    const validationMetrics = evaluate(validation, current, dims);
+    const entry = {
+      epoch,
+      loss: trainMetrics.loss,
+      accuracy: trainMetrics.accuracy,
+      validationLoss: validationMetrics.loss,
+      validationAccuracy: validationMetrics.accuracy,
+    };
+    history.push(entry);
+    if (options.onEpoch) options.onEpoch(entry);
+
+    if (validationMetrics.loss < best.loss) {
+      best = { weights: cloneWeights(current), epoch, ...validationMetrics };
+    } else if (epoch - best.epoch >= settings.patience) {
+      stoppedEarly = epoch < settings.epochs;
+      break;
+    }
+  }
+
+  return {
+    weights: best.weights,
+    history,
+    bestEpoch: best.epoch,
+    stoppedEarly,
+    train: train.length,
+    validation: {
+      examples: validation.length,
+      loss: best.loss,
+      accuracy: best.accuracy,
+    },
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * @postalsys/bounce-classifier
+ * Gmail error code and help-link interpretation
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+const HELP_URL = "https://support.google.com/mail/?p=";
+
+// Help link at the end of a Gmail reply, "https://support.google.com/mail/?p=NoSuchUser"
+const HELP_LINK =
+  /\bsupport\.google\.com\/(?:mail|a)\/(?:answer\/\d+)?\?(?:[\w%.-]+=[\w%.-]*&)*p=([A-Za-z0-9]+)/i;
+
+// Bare anchor, trusted only in replies that end with the gsmtp suffix
+const BARE_ANCHOR = /[?&\s]p=([A-Za-z0-9]+)\b/;
+
+// "d2e1a72fcca58-6e9a3b2c1a5si123456b3a.2 - gsmtp"
+const GSMTP_SUFFIX = /\s-\s?gsmtp\s*$/i;
+
+// Help-link anchors and what they stand for
+export const GMAIL_ANCHORS = {
+  NoSuchUser: {
+    label: "user_unknown",
+    reason: "no_such_user",
+    description: "The Gmail account does not exist",
+  },
+  DisabledUser: {
+    label: "mailbox_disabled",
+    reason: "disabled_user",
+    description: "The Gmail account is disabled",
+  },
+  OverQuotaTemp: {
+    label: "mailbox_full",
+    reason: "over_quota",
+    description: "The recipient's mailbox is out of storage space",
+  },
+  OverQuotaPerm: {
+    label: "mailbox_full",
+    reason: "over_quota_permanent",
+    description:
+      "The recipient's mailbox has been out of storage space for too long",
+  },
+  ReceivingRate: {
+    label: "rate_limited",
+    reason: "receiving_rate",
+    description: "The recipient is receiving mail too fast",
+  },
+  UnsolicitedRateLimitError: {
+    label: "rate_limited",
+    reason: "unsolicited_rate_limit",
+    description:
+      "Gmail detected an unusual rate of unsolicited mail from the sender",
+  },
+  UnsolicitedMessageError: {
+    label: "spam_blocked",
+    reason: "unsolicited_message",
+    description: "Gmail blocked the message as likely unsolicited mail",
+  },
+  DmarcRejection: {
+    label: "auth_failure",
+    reason: "dmarc_rejection",
+    description: "The message failed the DMARC policy of the From domain",
+  },
+  IPv6AuthError: {
+    label: "auth_failure",
+    reason: "ipv6_authentication",
+    description:
+      "Mail sent over IPv6 must pass SPF or DKIM and have a PTR record",
+  },
+  BadCredentials: {
+    label: "auth_failure",
+    reason: "bad_credentials",
+    description: "The username or password was not accepted",
+  },
+  BulkSenderGuidelines: {
+    label: "policy_blocked",
+    reason: "bulk_sender_guidelines",
+    description: "The sender does not meet the Gmail bulk sender guidelines",
+  },
+  NotAuthorizedError: {
+    label: "ip_blacklisted",
+    reason: "not_authorized",
+    description:
+      "The sending IP may not send directly to Gmail, use the provider's SMTP relay",
+  },
+  MaxSizeError: {
+    label: "policy_blocked",
+    reason: "message_too_large",
+    description: "The message exceeds the Gmail size limit",
+  },
+  BlockedMessage: {
+    label: "virus_detected",
+    reason: "blocked_content",
+    description:
+      "The message content presents a potential security issue, such as a blocked attachment",
+  },
+};
+
+/**
+ * Interpret the help-link anchor of a Gmail reply
+ * @param {string} message - Bounce/error message
+ * @returns {Object|null} { provider, code, label, reason, description, url }, or null if no known anchor was found
+ */
+export function lookupGmailError(message) {
+  if (typeof message !== "string") {
+    throw new Error(`message must be a string, got ${typeof message}`);
+  }
+
+  const match =
+    message.match(HELP_LINK) ||
+    (GSMTP_SUFFIX.test(message) ? message.match(BARE_ANCHOR) : null);
+  if (!match || !Object.hasOwn(GMAIL_ANCHORS, match[1])) return null;
+
+  const anchor = match[1];
+  return {
+    provider: "google",
+    code: anchor,
+    ...GMAIL_ANCHORS[anchor],
+    url: HELP_URL + anchor,
+  };
+}
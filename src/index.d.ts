@@ -51,6 +51,101 @@ export interface BlocklistInfo {
   name: string;
   /** Type of blocklist */
   type: BlocklistType;
+  /** Listed IP address, or domain for domain and URI blocklists, when printed in the reply */
+  listed?: string;
+  /** DNSBL zone that was queried (e.g., 'zen.spamhaus.org') */
+  zone?: string;
+  /** Lookup or delist URL printed in the reply */
+  url?: string;
+  /** Registry entry with the delisting procedure, frozen, not set for generic catch-alls */
+  registry?: Readonly<BlocklistEntry>;
+}
+
+/**
+ * How specific a blocklist entry is: a list beats the operator catch-all of
+ * the same operator, any named list beats the generic catch-alls
+ */
+export type BlocklistScope = "list" | "operator" | "generic";
+
+/**
+ * How much a listing affects delivery
+ */
+export type BlocklistSeverity = "low" | "medium" | "high";
+
+/**
+ * Meaning of a DNSBL answer address
+ */
+export interface BlocklistReturnCode {
+  meaning: string;
+  /** True if the answer means listed, false if not, null if the query was refused */
+  listed: boolean | null;
+}
+
+/**
+ * Blocklist registry entry as given to registerBlocklist() or in a blocklist document.
+ * Regexes may be strings so entries can be stored as JSON.
+ */
+export interface BlocklistDefinition {
+  /** Unique id, registering the same id again replaces the entry */
+  id: string;
+  /** Name reported in hits (e.g., 'Spamhaus ZEN') */
+  name: string;
+  /** Operator name (default: name) */
+  operator?: string;
+  type: BlocklistType;
+  /** Default: 'list' */
+  scope?: BlocklistScope;
+  /** Patterns that identify the list in a reply */
+  patterns?: Array<string | RegExp>;
+  /** Flags for string patterns (default: 'i') */
+  flags?: string;
+  /** DNSBL zone hostnames, a zone named in the reply identifies the list too */
+  zones?: string[];
+  /** Web domains of the lookup and delist pages */
+  domains?: string[];
+  /** Default: 'medium' */
+  severity?: BlocklistSeverity;
+  /** Typical listing duration in seconds, null if listings stay until delisted or it is not published */
+  listingDuration?: number | null;
+  /** Whether senders can request removal themselves (default: false) */
+  selfServiceDelisting?: boolean;
+  /** Page to check a listing */
+  lookupUrl?: string | null;
+  /** Page to request removal */
+  delistUrl?: string | null;
+  /** Standard delisting procedure */
+  procedure?: string | null;
+  /** Meanings of DNSBL answers by address, a string means the target is listed */
+  returnCodes?: Record<string, string | BlocklistReturnCode>;
+}
+
+/**
+ * Normalized blocklist registry entry, frozen with everything in it
+ */
+export interface BlocklistEntry extends BlocklistDefinition {
+  operator: string;
+  scope: BlocklistScope;
+  patterns: Array<string | RegExp>;
+  zones: string[];
+  domains: string[];
+  severity: BlocklistSeverity;
+  listingDuration: number | null;
+  selfServiceDelisting: boolean;
+  lookupUrl: string | null;
+  delistUrl: string | null;
+  procedure: string | null;
+  returnCodes: Record<string, BlocklistReturnCode>;
+}
+
+/**
+ * Versioned blocklist registry document
+ */
+export interface BlocklistDocument {
+  /** Format version, must be BLOCKLIST_FORMAT_VERSION */
+  version: number;
+  /** Revision of the data (e.g., a date) */
+  revision?: string | null;
+  blocklists: BlocklistDefinition[];
 }
 
 /**
@@ -71,6 +166,91 @@ export interface BlocklistPattern {
   name: string;
   /** Type of blocklist */
   type: BlocklistType;
+  /** Id of the registry entry */
+  id: string;
+  /** Operator name */
+  operator: string;
+}
+
+/**
+ * Receiving provider id
+ */
+export type ProviderId =
+  | "google"
+  | "microsoft"
+  | "yahoo"
+  | "apple"
+  | "mimecast"
+  | "proofpoint";
+
+/**
+ * How the receiving provider was recognized
+ */
+export type ProviderSource = "remote_host" | "reply_host" | "marker";
+
+/**
+ * Receiving provider identification result
+ */
+export interface ProviderInfo {
+  /** Provider id (e.g., 'microsoft'), used in rules and providerActions */
+  id: ProviderId;
+  /** Display name (e.g., 'Microsoft') */
+  name: string;
+  /** Evidence: the remote MTA hostname, a hostname in the reply, or a reply marker or code */
+  source: ProviderSource;
+  /** Hostname or text that matched */
+  match: string;
+}
+
+/**
+ * Receiving provider definition
+ */
+export interface ProviderPattern {
+  id: ProviderId;
+  name: string;
+  /** Patterns for lowercase remote MTA hostnames */
+  hosts: RegExp[];
+  /** Patterns for markers and codes in the reply text */
+  markers: RegExp[];
+}
+
+/**
+ * Provider-specific error identified in a reply
+ */
+export interface ProviderReason {
+  /** Provider the identifier belongs to */
+  provider: ProviderId;
+  /** Identifier found in the reply (e.g., '5.7.606', 'S3150', 'AS(201806281)', 'NoSuchUser') */
+  code: string;
+  /** Label the identifier stands for */
+  label: BounceLabel;
+  /** Precise sub-reason (e.g., 'banned_sending_ip') */
+  reason: string;
+  /** What the identifier means and how to fix it */
+  description: string;
+  /** Delist, remediation or help page */
+  url: string;
+}
+
+/**
+ * Meaning of a Gmail help-link anchor
+ */
+export interface GmailAnchor {
+  label: BounceLabel;
+  reason: string;
+  description: string;
+}
+
+/**
+ * Entry of a provider knowledge base
+ */
+export interface ProviderErrorPattern {
+  /** Regex for the identifier, the first capture group is reported as code */
+  pattern: RegExp;
+  label: BounceLabel;
+  reason: string;
+  description: string;
+  url: string;
 }
 
 /**
@@ -87,10 +267,62 @@ export interface ClassificationResult {
   scores: Record<BounceLabel, number>;
   /** Whether SMTP code fallback was used (present if true) */
   usedFallback?: boolean;
-  /** Retry time in seconds (only present if timing found in message) */
+  /** Whether the abstainBelow or minMargin threshold was not met (present if true, action is then "review") */
+  uncertain?: boolean;
+  /** Runner-up model labels ranked by score (only present if topK was given) */
+  alternatives?: LabelScore[];
+  /** Relative retry delay in seconds (only present for delays of up to one day, see retry for absolute times) */
   retryAfter?: number;
+  /** Structured retry timing (only present if timing found in message) */
+  retry?: RetryInfo;
   /** Identified blocklist (only present if blocklist found in message) */
   blocklist?: BlocklistInfo | MultipleBlocklistInfo;
+  /** Receiving provider (only present if recognized from the reply or the remote host) */
+  provider?: ProviderInfo;
+  /** Error identifier of the identified provider with its sub-reason and remediation URL (only present if found) */
+  providerReason?: ProviderReason;
+  /** Parsed SMTP reply (only present if a reply or enhanced code was found) */
+  smtpReply?: SmtpReply;
+  /** Id of the override rule that set the label (only present if a rule fired) */
+  ruleId?: string;
+  /** Metadata of the override rule that fired (only present if the rule has metadata) */
+  metadata?: Record<string, unknown>;
+}
+
+/**
+ * A label with its model score
+ */
+export interface LabelScore {
+  label: BounceLabel;
+  score: number;
+}
+
+/**
+ * Per-item error in a batch classification result
+ */
+export interface BatchItemError {
+  /** Validation error message for this input */
+  error: string;
+}
+
+/**
+ * Batch classification options
+ */
+export interface BatchOptions {
+  /** Messages per vectorized forward pass (default: 256) */
+  batchSize?: number;
+  /** Reference time for retry timing (default: current time) */
+  now?: Date | number;
+  /** Number of runner-up labels to return in alternatives (default: 0) */
+  topK?: number;
+  /** Confidence below which the result is uncertain (default: 0) */
+  abstainBelow?: number;
+  /** Minimum gap between the two best model scores, below which the result is uncertain (default: 0) */
+  minMargin?: number;
+  /** Confidence below which SMTP code fallback is used (default: instance setting, 0.3) */
+  codeFallbackThreshold?: number;
+  /** Use SMTP code fallback when the model predicts "unknown" (default: true) */
+  codeFallbackOnUnknown?: boolean;
 }
 
 /**
@@ -103,12 +335,926 @@ export interface SmtpCodes {
   extendedCode: string | null;
 }
 
+/**
+ * Options for a single classification
+ */
+export interface ClassifyOptions {
+  /** Seed codes for the SMTP code fallback, used when the message has none */
+  smtpCodes?: Partial<SmtpCodes>;
+  /** Reference time for retry timing (default: current time) */
+  now?: Date | number;
+  /** DSN Will-Retry-Until value, used as the upper bound for retry timing */
+  willRetryUntil?: string;
+  /** Remote host for host-based override rules, when the message has none */
+  remoteHost?: string;
+  /** Number of runner-up labels to return in alternatives (default: 0) */
+  topK?: number;
+  /** Confidence below which the result is uncertain (default: 0) */
+  abstainBelow?: number;
+  /** Minimum gap between the two best model scores, below which the result is uncertain (default: 0) */
+  minMargin?: number;
+  /** Confidence below which SMTP code fallback is used (default: instance setting, 0.3) */
+  codeFallbackThreshold?: number;
+  /** Use SMTP code fallback when the model predicts "unknown" (default: true) */
+  codeFallbackOnUnknown?: boolean;
+}
+
+/**
+ * Where retry timing was found
+ */
+export type RetrySource =
+  | "duration"
+  | "range"
+  | "timestamp"
+  | "will-retry-until";
+
+/**
+ * Structured retry timing
+ */
+export interface RetryInfo {
+  /** Earliest retry, in seconds from now */
+  minSeconds: number;
+  /** Latest suggested retry, in seconds from now */
+  maxSeconds: number;
+  /** Earliest retry time (null if only Will-Retry-Until is known) */
+  notBefore: Date | null;
+  /** Time after which the reporting MTA gives up (from Will-Retry-Until) */
+  notAfter: Date | null;
+  /** Where the timing was found */
+  source: RetrySource;
+}
+
+/**
+ * Backoff settings for one label, durations in seconds
+ */
+export interface BackoffSettings {
+  /** Delay after the first failure */
+  initialDelay: number;
+  /** Factor applied to the delay for each further failure */
+  multiplier: number;
+  /** Upper limit for the delay */
+  maxDelay: number;
+  /** Give up when the label persists this long */
+  giveUpAfter: number;
+  /** Give up after this many consecutive failures (null for no limit) */
+  maxAttempts: number | null;
+  /** Give up after this many sending IPs were blocked */
+  maxIpSwitches: number;
+  /** Recommended action when giving up */
+  giveUpAction: BounceAction;
+}
+
+/**
+ * Options for createRetryPolicy
+ */
+export interface RetryPolicyOptions {
+  /** Per-label backoff overrides, merged over the defaults */
+  backoff?: Record<string, Partial<BackoffSettings>>;
+  /** Backoff for labels without their own settings */
+  defaultBackoff?: Partial<BackoffSettings>;
+  /** Label to action mapping for uncertain results (default: getAction) */
+  getAction?: (label: BounceLabel | string) => BounceAction | string;
+}
+
+/**
+ * A prior delivery attempt for a recipient
+ */
+export interface RetryAttempt {
+  /** Time of the attempt */
+  timestamp: Date | number;
+  /** Classification label of the attempt */
+  label: BounceLabel | string;
+  /** Sending IP used for the attempt */
+  ip?: string;
+}
+
+/**
+ * Options for RetryPolicy.decide
+ */
+export interface RetryDecisionOptions {
+  /** Time of the current attempt (default: current time) */
+  now?: Date | number;
+  /** Sending IP of the current attempt */
+  ip?: string;
+}
+
+/**
+ * Retry policy decision
+ */
+export interface RetryDecision {
+  /** What to do with the recipient */
+  decision: "retry" | "give_up" | "switch_ip";
+  /** Earliest time for the next attempt (null when giving up) */
+  notBefore: Date | null;
+  /** Human readable explanation */
+  reason: string;
+  /** Recommended action, escalated when giving up */
+  action: BounceAction;
+  /** Sending IPs to avoid (only for switch_ip) */
+  excludeIps?: string[];
+}
+
+/**
+ * Retry policy engine
+ */
+export interface RetryPolicy {
+  /** Decide what to do after a failed delivery attempt */
+  decide(
+    result: Pick<ClassificationResult, "label" | "action"> &
+      Partial<ClassificationResult>,
+    attempts?: RetryAttempt[],
+    options?: RetryDecisionOptions,
+  ): RetryDecision;
+  /** Get the backoff settings for a label */
+  getBackoff(label: string): BackoffSettings;
+}
+
+/**
+ * Suppression status of a recipient
+ */
+export type SuppressionStatus = "active" | "soft_bouncing" | "suppressed";
+
+/**
+ * A soft bounce counted toward suppression
+ */
+export interface SoftBounce {
+  /** Time of the bounce in milliseconds */
+  timestamp: number;
+  /** Classification label of the bounce */
+  label: string;
+}
+
+/**
+ * Tracked state of a recipient
+ */
+export interface RecipientState {
+  /** Normalized (lowercase) recipient address */
+  recipient: string;
+  /** Current status */
+  status: SuppressionStatus;
+  /** Why the recipient has this status */
+  reason: string | null;
+  /** Label of the last counted bounce */
+  label: string | null;
+  /** Soft bounces inside the tracking window */
+  softBounces: SoftBounce[];
+  /** Time of suppression in milliseconds */
+  suppressedAt: number | null;
+  /** Time of the last change in milliseconds */
+  updatedAt: number | null;
+}
+
+/**
+ * Storage adapter for suppression state. Methods may return promises.
+ */
+export interface SuppressionStore {
+  get(
+    recipient: string,
+  ): RecipientState | undefined | Promise<RecipientState | undefined>;
+  set(recipient: string, state: RecipientState): void | Promise<void>;
+  delete(recipient: string): void | Promise<void>;
+  entries():
+    | Iterable<[string, RecipientState]>
+    | Promise<Iterable<[string, RecipientState]>>;
+  clear(): void | Promise<void>;
+}
+
+/**
+ * Exported suppression state
+ */
+export interface SuppressionState {
+  version: 1;
+  recipients: Record<string, RecipientState>;
+}
+
+/**
+ * Options for createSuppressionTracker
+ */
+export interface SuppressionTrackerOptions {
+  /** Storage adapter (default: in-memory store) */
+  store?: SuppressionStore;
+  /** Soft bounces that lead to suppression (default: 5) */
+  softBounceThreshold?: number;
+  /** Time window for counting soft bounces, in seconds (default: 7 days) */
+  window?: number;
+  /** Per-label thresholds, counting only bounces with that label */
+  thresholds?: Record<string, { count: number; window?: number }>;
+  /** Label to action mapping for results without an action (default: getAction) */
+  getAction?: (label: string) => BounceAction | string;
+}
+
+/**
+ * Recipient suppression tracker
+ */
+export interface SuppressionTracker {
+  /** Record a bounce for a recipient */
+  record(
+    recipient: string,
+    result: Pick<ClassificationResult, "label"> &
+      Partial<Pick<ClassificationResult, "action">>,
+    timestamp?: Date | number,
+  ): Promise<RecipientState>;
+  /** Record a successful delivery, which clears soft bounces */
+  recordDelivery(
+    recipient: string,
+    timestamp?: Date | number,
+  ): Promise<RecipientState>;
+  /** Release a recipient, removing all tracked state */
+  release(recipient: string): Promise<void>;
+  /** Get the state of a recipient */
+  getState(recipient: string): Promise<RecipientState>;
+  /** Check if a recipient is suppressed */
+  isSuppressed(recipient: string): Promise<boolean>;
+  /** Export all recipient state as a JSON-serializable object */
+  exportState(): Promise<SuppressionState>;
+  /** Replace all recipient state with previously exported state */
+  importState(data: SuppressionState | string): Promise<void>;
+}
+
+/**
+ * Options for extractRetryInfo
+ */
+export interface RetryInfoOptions {
+  /** Reference time for relative timing (default: current time) */
+  now?: Date | number;
+  /** DSN Will-Retry-Until value, if not part of the message */
+  willRetryUntil?: string;
+}
+
+/**
+ * Per-recipient fields of a delivery status notification
+ */
+export interface DsnRecipient {
+  /** Final-Recipient address, without the address type */
+  finalRecipient: string | null;
+  /** Original-Recipient address, without the address type */
+  originalRecipient: string | null;
+  /** Action field (failed, delayed, delivered, relayed, expanded) */
+  action: string | null;
+  /** Status field, e.g. '5.1.1' */
+  status: string | null;
+  /** Remote-MTA host name, without the MTA name type */
+  remoteMta: string | null;
+  /** Diagnostic-Code text, without the diagnostic type */
+  diagnosticCode: string | null;
+  /** Diagnostic-Code type, e.g. 'smtp' */
+  diagnosticType: string | null;
+  /** Last-Attempt-Date field */
+  lastAttemptDate: string | null;
+  /** Will-Retry-Until field */
+  willRetryUntil: string | null;
+  /** All fields of the recipient group, keyed by lowercase name */
+  fields: Record<string, string>;
+}
+
+/**
+ * Parsed RFC 3464 delivery status notification
+ */
+export interface DsnReport {
+  /** Reporting-MTA host name, without the MTA name type */
+  reportingMta: string | null;
+  /** Received-From-MTA host name, without the MTA name type */
+  receivedFromMta: string | null;
+  /** Arrival-Date field */
+  arrivalDate: string | null;
+  /** Original-Envelope-Id field */
+  envelopeId: string | null;
+  /** All per-message fields, keyed by lowercase name */
+  fields: Record<string, string>;
+  /** Per-recipient fields */
+  recipients: DsnRecipient[];
+  /** Headers of the returned original message, keyed by lowercase name */
+  originalHeaders: Record<string, string> | null;
+  /** Message-ID of the returned original message */
+  messageId: string | null;
+  /** Text of the human readable notification part */
+  humanReadable: string | null;
+}
+
+/**
+ * Classification of a single DSN recipient
+ */
+export interface DsnClassification {
+  /** Recipient address */
+  recipient: string | null;
+  /** Parsed DSN fields for the recipient */
+  dsn: DsnRecipient;
+  /** Classification result (absent if the recipient had nothing to classify) */
+  result?: ClassificationResult;
+  /** Reason the recipient was not classified */
+  error?: string;
+}
+
+/**
+ * Vendor bounce template recognized by extractBounceDetails()
+ */
+export type BounceTemplate = "qmail" | "yahoo" | "exchange" | "postfix";
+
+/**
+ * Failed recipient extracted from a vendor bounce
+ */
+export interface BounceRecipientDetails {
+  /** Failed recipient address */
+  recipient: string | null;
+  /** Remote server host name, if reported */
+  remoteServer: string | null;
+  /** Remote server IP address, if reported */
+  remoteIp: string | null;
+  /** Diagnostic line, e.g. the remote server reply */
+  diagnostic: string;
+}
+
+/**
+ * Details extracted from a non-standard vendor bounce
+ */
+export interface BounceDetails {
+  /** Vendor template that matched */
+  template: BounceTemplate;
+  /** Host that generated the bounce, if reported */
+  reportingMta: string | null;
+  /** Failed recipients */
+  recipients: BounceRecipientDetails[];
+  /** Decoded notification text the details were extracted from */
+  text: string;
+}
+
+/**
+ * Classification of a single recipient from a vendor bounce
+ */
+export interface NdrClassification {
+  /** Recipient address */
+  recipient: string | null;
+  /** Vendor template that matched */
+  template: BounceTemplate;
+  /** Extracted details for the recipient */
+  details: BounceRecipientDetails;
+  /** Classification result for the diagnostic line */
+  result: ClassificationResult;
+}
+
+/**
+ * MTA log format
+ */
+export type LogFormat = "postfix" | "exim" | "sendmail" | "haraka";
+
+/**
+ * Options for parseLog and classifyLog
+ */
+export interface LogOptions {
+  /** Log format, or "auto" to detect per line (default: "auto") */
+  format?: LogFormat | "auto";
+}
+
+/**
+ * Bounced or deferred delivery from an MTA log line
+ */
+export interface LogEntry {
+  /** Format of the line */
+  format: LogFormat;
+  /** Queue ID of the message */
+  queueId: string | null;
+  /** Recipient address */
+  recipient: string | null;
+  /** Delivery status */
+  status: "bounced" | "deferred";
+  /** DSN status code (e.g., '5.1.1'), from the line or the reply */
+  dsn: string | null;
+  /** Relay host name */
+  relayHost: string | null;
+  /** Relay IP address */
+  relayIp: string | null;
+  /** Remote reply text, without the MTA's prefix and suffix */
+  reply: string;
+}
+
+/**
+ * Log entry with the line number it was parsed from
+ */
+export interface ParsedLogEntry extends LogEntry {
+  /** 1-based line number */
+  line: number;
+}
+
+/**
+ * Classification of a log entry
+ */
+export interface LogClassification extends ParsedLogEntry {
+  /** Classification result for the reply */
+  result?: ClassificationResult;
+  /** Set instead of result when the line has no reply text or DSN status */
+  error?: string;
+}
+
+/**
+ * Parsed SMTP reply
+ */
+export interface SmtpReply {
+  /** Basic reply code (e.g., '550') */
+  code: string | null;
+  /** Enhanced status code (e.g., '5.1.1') */
+  enhancedCode: string | null;
+  /** Reply text with continuation lines joined and codes removed */
+  text: string;
+  /** Remote host name reported in front of the reply */
+  host: string | null;
+  /** Remote IP address reported in front of the reply */
+  ip: string | null;
+  /** Whether the reply spans several lines */
+  multiline: boolean;
+  /** Whether the codes disagree, e.g. a 4xx reply with a 5.x.x enhanced code */
+  inconsistent: boolean;
+}
+
 /**
  * Initialization options
  */
 export interface InitializeOptions {
   /** Path or URL to model directory (optional, uses default if not provided) */
   modelPath?: string;
+  /** Override rules, or a path or URL to a JSON rules file */
+  rules?: OverrideRule[] | OverrideRuleFile | string;
+}
+
+/**
+ * Confidence calibration applied to the model logits before the softmax,
+ * stored under "calibration" in the model's config.json
+ */
+export type Calibration =
+  | {
+      /** Temperature scaling: logits are divided by the temperature */
+      method: "temperature";
+      temperature: number;
+    }
+  | {
+      /** Vector scaling: logit i becomes logit * scale[i] + bias[i] */
+      method: "vector";
+      scale: number[];
+      bias: number[];
+    };
+
+/**
+ * Labeled message for fitting calibration
+ */
+export interface CalibrationSample {
+  message: string;
+  label: BounceLabel;
+}
+
+/**
+ * Options for fitCalibration
+ */
+export interface FitCalibrationOptions {
+  /** Calibration method (default: "temperature") */
+  method?: "temperature" | "vector";
+  /** Messages per forward pass (default: 256) */
+  batchSize?: number;
+}
+
+/**
+ * Fitted calibration with before and after metrics
+ * "before" is measured on the raw model outputs
+ */
+export interface CalibrationReport {
+  calibration: Calibration;
+  /** Expected calibration error over 15 confidence bins */
+  ece: { before: number; after: number };
+  /** Mean negative log-likelihood of the true labels */
+  nll: { before: number; after: number };
+  /** Number of samples used */
+  samples: number;
+}
+
+/**
+ * Options for fineTune
+ */
+export interface FineTuneOptions {
+  /** Directory for the new model (required) */
+  outputDir: string;
+  /** Held-out labeled messages for early stopping (default: split off the examples) */
+  validation?: CalibrationSample[];
+  /** Share of examples held out when no validation set is given (default: 0.2) */
+  validationSplit?: number;
+  /** Maximum number of epochs (default: 30) */
+  epochs?: number;
+  /** Examples per gradient step (default: 16) */
+  batchSize?: number;
+  /** Adam learning rate (default: 0.001) */
+  learningRate?: number;
+  /** Epochs without validation improvement before stopping (default: 3) */
+  patience?: number;
+  /** Also train the embedding rows of words in the examples (default: false) */
+  trainEmbeddings?: boolean;
+  /** Dropout rate for the pooled vector and hidden layer while training (default: 0) */
+  dropout?: number;
+  /** Seed for the validation split and shuffling (default: 1) */
+  seed?: number;
+  /** Called after every epoch */
+  onEpoch?: (epoch: FineTuneEpoch) => void;
+}
+
+/**
+ * Metrics of one fine-tuning epoch
+ */
+export interface FineTuneEpoch {
+  epoch: number;
+  /** Mean cross-entropy on the training examples */
+  loss: number;
+  accuracy: number;
+  /** Mean cross-entropy on the validation examples */
+  validationLoss: number;
+  validationAccuracy: number;
+}
+
+/**
+ * Result of fineTune
+ */
+export interface FineTuneReport {
+  /** Directory of the new model, pass it as modelPath */
+  modelPath: string;
+  history: FineTuneEpoch[];
+  /** Epoch whose weights were written (0 if no epoch improved on the source model) */
+  bestEpoch: number;
+  /** Whether training stopped before the maximum number of epochs */
+  stoppedEarly: boolean;
+  /** Number of training examples */
+  train: number;
+  /** Validation metrics of the written weights */
+  validation: { examples: number; loss: number; accuracy: number };
+}
+
+/**
+ * Options for evaluate
+ */
+export interface EvaluateOptions {
+  /** Messages per forward pass (default: 256) */
+  batchSize?: number;
+  /** Number of misclassifications to list (default: 10) */
+  worst?: number;
+  /** Reference time for retry timing (default: current time) */
+  now?: Date | number;
+  /** As for classify() */
+  codeFallbackThreshold?: number;
+  /** As for classify() */
+  codeFallbackOnUnknown?: boolean;
+  /** As for classify() */
+  abstainBelow?: number;
+  /** As for classify() */
+  minMargin?: number;
+}
+
+/**
+ * Precision, recall and F1 of one label
+ */
+export interface LabelMetrics {
+  precision: number;
+  recall: number;
+  f1: number;
+  /** Number of samples with this expected label */
+  support: number;
+}
+
+/**
+ * How often one source replaced the label predicted by the model
+ */
+export interface OverrideStats {
+  /** Samples whose final label came from this source */
+  used: number;
+  /** Of those, samples where the final label differs from the model label */
+  changed: number;
+  /** Changed from a wrong model label to the expected one */
+  helped: number;
+  /** Changed from the expected model label to a wrong one */
+  hurt: number;
+}
+
+/**
+ * A misclassified sample
+ */
+export interface Misclassification {
+  /** Position in the dataset */
+  index: number;
+  message: string;
+  expected: string;
+  predicted: string;
+  /** Label with the highest model score */
+  modelLabel: string;
+  /** What decided the final label */
+  source: "model" | "text_pattern" | "provider" | "code_fallback" | "rule";
+  /** Model confidence, as in the classification result */
+  confidence: number;
+  /** Model score of the expected label, null if the model does not have it */
+  expectedScore: number | null;
+}
+
+/**
+ * Result of evaluate
+ */
+export interface EvaluationReport {
+  samples: number;
+  /** Accuracy of the final labels */
+  accuracy: number;
+  /** Accuracy of the model predictions alone */
+  modelAccuracy: number;
+  /** Labels in the report, model labels first */
+  labels: string[];
+  perLabel: Record<string, LabelMetrics>;
+  /** Unweighted mean over the labels that occur in the dataset */
+  macro: { precision: number; recall: number; f1: number };
+  /** Rows are expected labels, columns predicted labels, both in labels order */
+  confusion: { labels: string[]; matrix: number[][] };
+  fallbacks: {
+    text_pattern: OverrideStats;
+    provider: OverrideStats;
+    code_fallback: OverrideStats;
+    rule: OverrideStats;
+  };
+  /** Most confident misclassifications first */
+  worst: Misclassification[];
+}
+
+/**
+ * A labeled message of a training corpus
+ */
+export interface TrainingExample {
+  message: string;
+  /** Any label name, the label set is defined by the corpus or the labels option */
+  label: string;
+}
+
+/**
+ * Options for trainModel
+ */
+export interface TrainModelOptions {
+  /** Directory for the new model (required) */
+  outputDir: string;
+  /** Label set in output order (default: the corpus labels, sorted) */
+  labels?: string[];
+  /** Vocabulary size including padding and OOV entries (default: 5000) */
+  maxTokens?: number;
+  /** Sequence length in words (default: 100) */
+  maxLength?: number;
+  /** Embedding size (default: 64) */
+  embeddingDim?: number;
+  /** Hidden layer size (default: 64) */
+  hiddenUnits?: number;
+  /** Maximum number of epochs (default: 30) */
+  epochs?: number;
+  /** Examples per gradient step (default: 32) */
+  batchSize?: number;
+  /** Adam learning rate (default: 0.001) */
+  learningRate?: number;
+  /** Share of the corpus held out for early stopping (default: 0.2) */
+  validationSplit?: number;
+  /** Epochs without validation improvement before stopping (default: 3) */
+  patience?: number;
+  /** Dropout rate for the pooled vector and hidden layer while training (default: 0.2) */
+  dropout?: number;
+  /** Seed for initialization, the validation split and shuffling (default: 1) */
+  seed?: number;
+  /** Called after every epoch */
+  onEpoch?: (epoch: FineTuneEpoch) => void;
+}
+
+/**
+ * Result of trainModel
+ */
+export interface TrainModelReport extends FineTuneReport {
+  /** Label set of the new model, position is the label id */
+  labels: string[];
+  /** Number of vocabulary entries, including padding and OOV */
+  vocabSize: number;
+}
+
+/**
+ * Options for explain
+ */
+export interface ExplainOptions extends ClassifyOptions {
+  /** Label to attribute toward (default: the classified label) */
+  label?: BounceLabel;
+}
+
+/**
+ * A word of the message with its attribution
+ */
+export interface ExplainedToken {
+  /** Word after preprocessing (lowercased, punctuation removed) */
+  word: string;
+  /** Start offset of the word in the message */
+  start: number;
+  /** End offset of the word in the message */
+  end: number;
+  /** Vocabulary id (1 for out-of-vocabulary words) */
+  id: number;
+  /** Whether the word is not in the vocabulary */
+  oov: boolean;
+  /** Drop in log-odds of the target label when the word is removed */
+  attribution: number;
+}
+
+/**
+ * Explanation of a classification
+ */
+export interface Explanation {
+  /** The message as classified (after truncation to 10000 characters) */
+  message: string;
+  /** Final label of the classification */
+  label: string;
+  /** Label the attributions are computed toward */
+  target: BounceLabel;
+  /** Model probability of the target label */
+  targetScore: number;
+  /** Label predicted by the model alone */
+  modelLabel: BounceLabel;
+  /** Pipeline stage that decided the label */
+  source: "rule" | "text_pattern" | "provider" | "model" | "code_fallback";
+  /** Words used by the model, at most 100 */
+  tokens: ExplainedToken[];
+  /** Number of words in the message */
+  wordCount: number;
+  /** Number of out-of-vocabulary words among tokens */
+  oovCount: number;
+  /** Whether words beyond the first 100 were ignored */
+  truncated: boolean;
+  /** Everything that would have fired, regardless of what decided the label */
+  matches: {
+    /** Matching override rules */
+    rules: Array<{ id: string; priority: RulePriority }>;
+    /** Label from the built-in text patterns */
+    textPattern: BounceLabel | null;
+    /** Provider-specific error identifier */
+    providerReason: ProviderReason | null;
+    /** SMTP codes found in the message */
+    smtpCodes: SmtpCodes;
+    /** Label from the SMTP code maps */
+    codeFallback: BounceLabel | null;
+  };
+  /** The classification result, as returned by classify() */
+  result: ClassificationResult;
+}
+
+/**
+ * Where an override rule is checked in the classification pipeline
+ * - before_text: before the built-in text patterns (overrides everything)
+ * - before_model: after the text patterns, before Gmail knowledge and the model prediction
+ * - before_code: when the model is not confident, before Microsoft knowledge and the SMTP code fallback
+ * - after_code: when the SMTP code fallback found nothing either
+ */
+export type RulePriority =
+  | "before_text"
+  | "before_model"
+  | "before_code"
+  | "after_code";
+
+/**
+ * Conditions of an override rule. All given conditions must match.
+ */
+export interface RuleMatch {
+  /** Regex for the message text, as a RegExp or a string */
+  pattern?: RegExp | string;
+  /** Flags for a string pattern (default: "i") */
+  flags?: string;
+  /** SMTP reply code(s) */
+  code?: string | string[];
+  /** Enhanced status code(s) */
+  enhancedCode?: string | string[];
+  /** Remote host name, "*.example.com" matches subdomains */
+  host?: string;
+  /** Regex for the remote host name, as a RegExp or a string */
+  hostPattern?: RegExp | string;
+  /** Receiving provider id(s), see identifyProvider() */
+  provider?: ProviderId | string | Array<ProviderId | string>;
+}
+
+/**
+ * User-defined override rule
+ */
+export interface OverrideRule {
+  /** Unique id, reported as ruleId when the rule fires */
+  id: string;
+  /** Pipeline stage (default: "before_text") */
+  priority?: RulePriority;
+  /** Conditions, at least one is required */
+  match: RuleMatch;
+  /** Label to assign */
+  label: BounceLabel | string;
+  /** Action to assign (default: the action for the label) */
+  action?: BounceAction | string;
+  /** Extra data copied to the result as metadata */
+  metadata?: Record<string, unknown>;
+}
+
+/**
+ * Rules file layout
+ */
+export interface OverrideRuleFile {
+  rules: OverrideRule[];
+}
+
+/**
+ * Options for creating an independent classifier instance
+ */
+export interface ClassifierOptions {
+  /** Path or URL to model directory (optional, uses default if not provided) */
+  modelPath?: string;
+  /** Label to action overrides, merged over ACTION_MAP */
+  actionMap?: Partial<Record<BounceLabel, BounceAction>>;
+  /** Label to action overrides per receiving provider id, over actionMap */
+  providerActions?: Partial<
+    Record<ProviderId | string, Partial<Record<BounceLabel, BounceAction>>>
+  >;
+  /** Confidence below which SMTP code fallback is used (default: 0.3, 0.5 before calibration) */
+  codeFallbackThreshold?: number;
+  /** Override rules */
+  rules?: OverrideRule[] | OverrideRuleFile;
+  /** Calibration replacing the one in the model's config.json, or false to disable calibration */
+  calibration?: Calibration | false;
+}
+
+/**
+ * Independent classifier instance with its own model and settings
+ */
+export interface Classifier {
+  /** Load the model. Called automatically on first classification */
+  initialize(options?: InitializeOptions): Promise<void>;
+  /** Classify a single bounce message */
+  classify(
+    message: string,
+    options?: ClassifyOptions,
+  ): Promise<ClassificationResult>;
+  /** Classify many bounce messages in one vectorized pass */
+  classifyBatch(
+    messages: unknown[],
+    options?: BatchOptions,
+  ): Promise<Array<ClassificationResult | BatchItemError>>;
+  /** Parse a delivery status notification and classify every recipient */
+  classifyDsn(rawEmail: string): Promise<DsnClassification[] | null>;
+  /** Extract details from a vendor bounce and classify every recipient */
+  classifyNdr(rawEmail: string): Promise<NdrClassification[] | null>;
+  /** Parse MTA log lines and classify every bounced or deferred delivery */
+  classifyLog(
+    lines: string | string[],
+    options?: LogOptions,
+  ): Promise<LogClassification[]>;
+  /** Explain a classification with per-word attributions */
+  explain(message: string, options?: ExplainOptions): Promise<Explanation>;
+  /** Fit calibration parameters from labeled messages */
+  fitCalibration(
+    samples: CalibrationSample[],
+    options?: FitCalibrationOptions,
+  ): Promise<CalibrationReport>;
+  /** Evaluate on labeled messages, or a JSONL file of them (Node.js) */
+  evaluate(
+    dataset: TrainingExample[] | string,
+    options?: EvaluateOptions,
+  ): Promise<EvaluationReport>;
+  /** Fine-tune the model on labeled messages and write a new model directory (Node.js only) */
+  fineTune(
+    examples: CalibrationSample[],
+    options: FineTuneOptions,
+  ): Promise<FineTuneReport>;
+  /** Get list of all possible labels */
+  getLabels(): Promise<BounceLabel[]>;
+  /** Get recommended action using this instance's action map and the provider's overrides */
+  getAction(
+    category: BounceLabel,
+    providerId?: ProviderId | string,
+  ): BounceAction;
+  /** Add override rules, replacing rules with the same id */
+  addRules(rules: OverrideRule[] | OverrideRuleFile): void;
+  /** Load override rules from a JSON file (Node.js) or URL (browser) */
+  loadRules(rulesPath: string): Promise<void>;
+  /** Remove an override rule, returns true if it existed */
+  removeRule(id: string): boolean;
+  /** Get all override rules in match order */
+  getRules(): OverrideRule[];
+  /** Remove all override rules */
+  clearRules(): void;
+  /** Identify blocklists mentioned in a message, using this instance's registry */
+  identifyBlocklist(
+    message: string,
+  ): BlocklistInfo | MultipleBlocklistInfo | null;
+  /** Add or replace an entry of this instance's blocklist registry */
+  registerBlocklist(definition: BlocklistDefinition): void;
+  /** Remove an entry of this instance's blocklist registry, returns true if it existed */
+  removeBlocklist(id: string): boolean;
+  /** Load blocklist entries into this instance's registry */
+  loadBlocklists(
+    source: BlocklistDocument | string,
+    options?: { replace?: boolean },
+  ): Promise<void>;
+  /** Get this instance's blocklist registry as a document */
+  getBlocklists(): BlocklistDocument & {
+    revision: string | null;
+    blocklists: BlocklistEntry[];
+  };
+  /** Find the entry of this instance's registry that publishes a DNSBL zone */
+  getBlocklistByZone(zone: string): BlocklistEntry | null;
+  /** Restore the built-in entries of this instance's blocklist registry */
+  resetBlocklists(): void;
+  /** Check if the model for this instance is loaded */
+  isReady(): boolean;
+  /** Release the loaded model. The instance initializes again on next use */
+  dispose(): void;
 }
 
 /**
@@ -117,10 +1263,36 @@ export interface InitializeOptions {
 export const ACTION_MAP: Record<BounceLabel, BounceAction>;
 
 /**
- * Known blocklist patterns for identification
+ * Patterns of the blocklist registry in precedence order, updated in place
+ * when the registry changes
  */
 export const BLOCKLIST_PATTERNS: BlocklistPattern[];
 
+/**
+ * Built-in blocklist registry
+ */
+export const DEFAULT_BLOCKLISTS: BlocklistDocument;
+
+/**
+ * Supported blocklist document format version
+ */
+export const BLOCKLIST_FORMAT_VERSION: number;
+
+/**
+ * Known receiving providers, checked in order
+ */
+export const PROVIDER_PATTERNS: ProviderPattern[];
+
+/**
+ * Microsoft 365 / Outlook.com error identifiers, checked in order
+ */
+export const MICROSOFT_ERRORS: ProviderErrorPattern[];
+
+/**
+ * Gmail help-link anchors ("?p=NoSuchUser") and what they stand for
+ */
+export const GMAIL_ANCHORS: Record<string, GmailAnchor>;
+
 /**
  * SMTP Enhanced Status Code mapping (RFC 3463)
  */
@@ -132,10 +1304,17 @@ export const SMTP_CODE_MAP: Record<string, BounceLabel>;
 export const SMTP_MAIN_CODE_MAP: Record<string, BounceLabel>;
 
 /**
- * Confidence threshold below which code-based fallback is used
+ * Confidence threshold below which code-based fallback is used (0.3).
+ * It was 0.5 before confidences were calibrated, and calibrated confidences
+ * are lower, so the threshold was lowered to match.
  */
 export const CODE_FALLBACK_THRESHOLD: number;
 
+/**
+ * Maximum message length in characters, longer messages are truncated
+ */
+export const MAX_MESSAGE_LENGTH: number;
+
 /**
  * Initialize the classifier by loading the model and vocabulary.
  * This is called automatically on first classification, but can be
@@ -147,9 +1326,94 @@ export function initialize(options?: InitializeOptions): Promise<void>;
 /**
  * Classify a single bounce message
  * @param message - The bounce/error message to classify
+ * @param options - Classification options
  * @returns Classification result with label, confidence, action, and scores
  */
-export function classify(message: string): Promise<ClassificationResult>;
+export function classify(
+  message: string,
+  options?: ClassifyOptions,
+): Promise<ClassificationResult>;
+
+/**
+ * Classify many bounce messages in one vectorized pass.
+ * Invalid inputs do not fail the batch, their entry is `{ error }` instead.
+ * @param messages - The bounce/error messages to classify
+ * @param options - Batch options
+ * @returns Classification results in input order
+ */
+export function classifyBatch(
+  messages: unknown[],
+  options?: BatchOptions,
+): Promise<Array<ClassificationResult | BatchItemError>>;
+
+/**
+ * Parse an RFC 3464 delivery status notification
+ * @param rawEmail - Full RFC 5322 bounce message
+ * @returns Parsed DSN, or null if the message has no delivery-status part
+ */
+export function parseDsn(rawEmail: string): DsnReport | null;
+
+/**
+ * Parse a delivery status notification and classify every recipient.
+ * Each recipient's Diagnostic-Code is classified with its Status field
+ * as the seed for the SMTP code fallback.
+ * @param rawEmail - Full RFC 5322 bounce message
+ * @returns One entry per recipient, or null if the message is not a DSN
+ */
+export function classifyDsn(
+  rawEmail: string,
+): Promise<DsnClassification[] | null>;
+
+/**
+ * Extract bounce details from a non-RFC 3464 bounce notification.
+ * Recognizes qmail, Yahoo, Exchange/Office 365 and Postfix templates,
+ * decodes quoted-printable/base64 and strips HTML.
+ * @param rawEmail - Full RFC 5322 bounce message
+ * @returns Extracted details, or null if no template matched
+ */
+export function extractBounceDetails(rawEmail: string): BounceDetails | null;
+
+/**
+ * Extract details from a non-standard vendor bounce and classify every recipient
+ * @param rawEmail - Full RFC 5322 bounce message
+ * @returns One entry per recipient, or null if no vendor template matched
+ */
+export function classifyNdr(
+  rawEmail: string,
+): Promise<NdrClassification[] | null>;
+
+/**
+ * Parse one MTA log line. Lines that do not report a bounced or deferred
+ * delivery give no entries.
+ * @param line - Log line
+ * @param format - Log format, or "auto" to detect (default: "auto")
+ * @returns Entries, one per recipient
+ */
+export function parseLogLine(
+  line: string,
+  format?: LogFormat | "auto",
+): LogEntry[];
+
+/**
+ * Parse Postfix, Exim, Sendmail and Haraka log lines into bounce entries
+ * @param lines - Log text or an array of lines
+ * @param options - Log format
+ */
+export function parseLog(
+  lines: string | string[],
+  options?: LogOptions,
+): ParsedLogEntry[];
+
+/**
+ * Parse MTA log lines and classify the reply of every bounced or deferred
+ * delivery
+ * @param lines - Log text or an array of lines
+ * @param options - Log format
+ */
+export function classifyLog(
+  lines: string | string[],
+  options?: LogOptions,
+): Promise<LogClassification[]>;
 
 /**
  * Get list of all possible labels
@@ -163,10 +1427,169 @@ export function getLabels(): Promise<BounceLabel[]>;
 export function isReady(): boolean;
 
 /**
- * Reset classifier state (for testing or re-initialization)
+ * Reset classifier state (for testing or re-initialization).
+ * Clears the model and override rules of the default instance used by the
+ * top-level functions.
  */
 export function reset(): void;
 
+/**
+ * Explain a classification. Returns the tokens the model saw, a per-word
+ * attribution toward the label (occlusion) and which rules and fallbacks
+ * would have fired.
+ * @param message - The bounce message to explain
+ * @param options - Classification options and the label to attribute toward
+ * @returns Explanation
+ */
+export function explain(
+  message: string,
+  options?: ExplainOptions,
+): Promise<Explanation>;
+
+/**
+ * Fit calibration parameters from labeled messages using the default classifier.
+ * Store the returned calibration under "calibration" in the model's config.json,
+ * or pass it to createClassifier().
+ * @param samples - Labeled messages, ideally not used for training
+ * @param options - Calibration method and batch size
+ * @returns Fitted calibration with ECE and NLL before and after
+ */
+export function fitCalibration(
+  samples: CalibrationSample[],
+  options?: FitCalibrationOptions,
+): Promise<CalibrationReport>;
+
+/**
+ * Evaluate the default classifier on labeled messages. Runs the full
+ * pipeline and reports accuracy, per-label metrics, a confusion matrix, how
+ * often rules, text patterns and the SMTP code fallback changed the model
+ * prediction, and the worst misclassifications.
+ * @param dataset - Labeled messages, or the path of a JSONL file with one per line (Node.js)
+ * @param options - Batch size, number of listed mistakes and decision options
+ * @returns Evaluation report
+ */
+export function evaluate(
+  dataset: TrainingExample[] | string,
+  options?: EvaluateOptions,
+): Promise<EvaluationReport>;
+
+/**
+ * Format an evaluation report as readable text tables
+ * @param report - Result of evaluate()
+ * @returns Report text
+ */
+export function formatEvaluation(report: EvaluationReport): string;
+
+/**
+ * Read a JSONL file, one JSON value per line, blank lines skipped (Node.js only)
+ * @param filePath - Path to the JSONL file
+ * @returns Parsed lines
+ */
+export function readJsonl(filePath: string | URL): Promise<any[]>;
+
+/**
+ * Fine-tune the default model on labeled messages (Node.js only). Trains the
+ * two dense layers, and optionally the embedding rows, with early stopping on
+ * a held-out split, and writes a model directory that initialize({ modelPath })
+ * can load.
+ * @param examples - Labeled messages, a few hundred is typical
+ * @param options - Training options, outputDir is required
+ * @returns Training history and validation metrics
+ */
+export function fineTune(
+  examples: CalibrationSample[],
+  options: FineTuneOptions,
+): Promise<FineTuneReport>;
+
+/**
+ * Train a new model from scratch on a labeled corpus (Node.js only). Builds
+ * the vocabulary with the same preprocessing as inference, trains the
+ * Embedding, pooling and two dense layers with early stopping, and writes a
+ * TF.js-format model directory that initialize({ modelPath }) can load.
+ * @param corpus - Labeled messages, or the path of a JSONL file with one per line
+ * @param options - Training options, outputDir is required
+ * @returns Label set, vocabulary size, training history and validation metrics
+ */
+export function trainModel(
+  corpus: TrainingExample[] | string,
+  options: TrainModelOptions,
+): Promise<TrainModelReport>;
+
+/**
+ * Add override rules to the default classifier, replacing rules with the same id
+ * @param rules - Rule definitions
+ */
+export function addRules(rules: OverrideRule[] | OverrideRuleFile): void;
+
+/**
+ * Add or replace a blocklist registry entry
+ * @param definition - Blocklist definition
+ */
+export function registerBlocklist(definition: BlocklistDefinition): void;
+
+/**
+ * Remove a blocklist registry entry
+ * @param id - Blocklist id
+ * @returns True if an entry was removed
+ */
+export function removeBlocklist(id: string): boolean;
+
+/**
+ * Load blocklist entries from a versioned document, a JSON file or a URL.
+ * Entries replace registered entries with the same id, new ones are added.
+ * @param source - Blocklist document, or a path or http(s) URL to a JSON one
+ * @param options - replace drops all current entries, including the built-in ones, first
+ */
+export function loadBlocklists(
+  source: BlocklistDocument | string,
+  options?: { replace?: boolean },
+): Promise<void>;
+
+/**
+ * Get the blocklist registry as a document, in registration order
+ */
+export function getBlocklists(): BlocklistDocument & {
+  revision: string | null;
+  blocklists: BlocklistEntry[];
+};
+
+/**
+ * Find the registry entry that publishes a DNSBL zone
+ * @param zone - Zone hostname (e.g., 'zen.spamhaus.org')
+ * @returns Registry entry, or null
+ */
+export function getBlocklistByZone(zone: string): BlocklistEntry | null;
+
+/**
+ * Restore the built-in blocklist registry
+ */
+export function resetBlocklists(): void;
+
+/**
+ * Load override rules for the default classifier from a JSON file (Node.js) or URL (browser)
+ * @param rulesPath - Path or URL to a JSON file with a rule array or { rules: [...] }
+ */
+export function loadRules(rulesPath: string): Promise<void>;
+
+/**
+ * Remove an override rule from the default classifier
+ * @param id - Rule id
+ * @returns True if a rule was removed
+ */
+export function removeRule(id: string): boolean;
+
+/**
+ * Get the override rules of the default classifier in match order
+ */
+export function getRules(): OverrideRule[];
+
+/**
+ * Create an independent classifier instance
+ * @param options - Model path, action map and thresholds for this instance
+ * @returns Classifier instance
+ */
+export function createClassifier(options?: ClassifierOptions): Classifier;
+
 /**
  * Extract retry timing from a bounce message
  * @param message - The bounce message
@@ -175,7 +1598,44 @@ export function reset(): void;
 export function extractRetryTiming(message: string): number | null;
 
 /**
- * Identify blocklists mentioned in a bounce message
+ * Extract retry timing from a bounce message, including days, compact
+ * durations ("1h30m"), ranges, absolute timestamps and Will-Retry-Until
+ * @param message - The bounce message
+ * @param options - Reference time and Will-Retry-Until value
+ * @returns Retry timing, or null if not found
+ */
+export function extractRetryInfo(
+  message: string,
+  options?: RetryInfoOptions,
+): RetryInfo | null;
+
+/**
+ * Create a retry policy that decides when to retry, switch IPs or give up
+ * based on the current classification and prior attempts
+ * @param options - Backoff overrides
+ * @returns Retry policy
+ */
+export function createRetryPolicy(options?: RetryPolicyOptions): RetryPolicy;
+
+/**
+ * Create a tracker that turns classification results into per-recipient
+ * suppression state
+ * @param options - Thresholds, storage adapter and action mapping
+ * @returns Suppression tracker
+ */
+export function createSuppressionTracker(
+  options?: SuppressionTrackerOptions,
+): SuppressionTracker;
+
+/**
+ * Create an in-memory storage adapter for createSuppressionTracker
+ * @returns Storage adapter
+ */
+export function createMemoryStore(): SuppressionStore;
+
+/**
+ * Identify blocklists mentioned in a bounce message, with the listed IP or
+ * domain, the DNSBL zone and the lookup URL when the reply prints them
  * @param message - The bounce message
  * @returns Blocklist info, or null if not found
  */
@@ -183,6 +1643,36 @@ export function identifyBlocklist(
   message: string,
 ): BlocklistInfo | MultipleBlocklistInfo | null;
 
+/**
+ * Identify the receiving provider of a bounce (Google, Microsoft, Yahoo,
+ * Apple, Mimecast or Proofpoint). The remote MTA hostname is the strongest
+ * evidence, then hostnames in the reply, then provider markers and codes.
+ * @param message - The bounce message
+ * @param options - Remote MTA hostname, when known
+ * @returns Provider info, or null if not recognized
+ */
+export function identifyProvider(
+  message: string,
+  options?: { remoteHost?: string },
+): ProviderInfo | null;
+
+/**
+ * Look up a Microsoft 365 / Outlook.com error identifier (S3150, 5.7.606,
+ * AS(nnnn), ...) in a bounce message
+ * @param message - The bounce message
+ * @returns Label, sub-reason and remediation URL, or null if none was found
+ */
+export function lookupMicrosoftError(message: string): ProviderReason | null;
+
+/**
+ * Interpret the help-link anchor of a Gmail reply
+ * ("https://support.google.com/mail/?p=NoSuchUser"). A bare "p=" anchor is
+ * only trusted when the reply ends with the gsmtp suffix.
+ * @param message - The bounce message
+ * @returns Label, sub-reason and help URL, or null if no known anchor was found
+ */
+export function lookupGmailError(message: string): ProviderReason | null;
+
 /**
  * Get recommended action based on bounce category
  * @param category - The bounce category/label
@@ -193,16 +1683,32 @@ export function getAction(category: BounceLabel): BounceAction;
 /**
  * Extract SMTP codes from a message
  * @param message - The bounce message
+ * @param seed - Codes to use when the message has none
  * @returns Object with mainCode and extendedCode
  */
-export function extractSmtpCodes(message: string): SmtpCodes;
+export function extractSmtpCodes(
+  message: string,
+  seed?: Partial<SmtpCodes>,
+): SmtpCodes;
+
+/**
+ * Parse an SMTP reply, including multi-line replies and MTA prefixes
+ * such as "host mx.example.com[192.0.2.1] said:"
+ * @param text - Reply text
+ * @returns Parsed reply
+ */
+export function parseSmtpReply(text: string): SmtpReply;
 
 /**
  * Get fallback classification based on SMTP codes
  * @param message - The bounce message
+ * @param seed - Codes to use when the message has none
  * @returns Fallback label or null if no match
  */
-export function getCodeBasedFallback(message: string): BounceLabel | null;
+export function getCodeBasedFallback(
+  message: string,
+  seed?: Partial<SmtpCodes>,
+): BounceLabel | null;
 
 /**
  * Get fallback classification based on text patterns
@@ -216,21 +1722,61 @@ export function getTextBasedFallback(message: string): BounceLabel | null;
  */
 declare const bounceClassifier: {
   classify: typeof classify;
+  classifyBatch: typeof classifyBatch;
+  classifyDsn: typeof classifyDsn;
+  classifyNdr: typeof classifyNdr;
+  classifyLog: typeof classifyLog;
+  parseDsn: typeof parseDsn;
+  extractBounceDetails: typeof extractBounceDetails;
+  parseLog: typeof parseLog;
+  parseLogLine: typeof parseLogLine;
   getLabels: typeof getLabels;
   initialize: typeof initialize;
   isReady: typeof isReady;
   reset: typeof reset;
+  explain: typeof explain;
+  addRules: typeof addRules;
+  loadRules: typeof loadRules;
+  removeRule: typeof removeRule;
+  getRules: typeof getRules;
+  fitCalibration: typeof fitCalibration;
+  evaluate: typeof evaluate;
+  formatEvaluation: typeof formatEvaluation;
+  fineTune: typeof fineTune;
+  trainModel: typeof trainModel;
+  readJsonl: typeof readJsonl;
+  createClassifier: typeof createClassifier;
   extractRetryTiming: typeof extractRetryTiming;
+  extractRetryInfo: typeof extractRetryInfo;
+  createRetryPolicy: typeof createRetryPolicy;
+  createSuppressionTracker: typeof createSuppressionTracker;
+  createMemoryStore: typeof createMemoryStore;
   identifyBlocklist: typeof identifyBlocklist;
+  registerBlocklist: typeof registerBlocklist;
+  removeBlocklist: typeof removeBlocklist;
+  loadBlocklists: typeof loadBlocklists;
+  getBlocklists: typeof getBlocklists;
+  getBlocklistByZone: typeof getBlocklistByZone;
+  resetBlocklists: typeof resetBlocklists;
+  identifyProvider: typeof identifyProvider;
+  lookupMicrosoftError: typeof lookupMicrosoftError;
+  lookupGmailError: typeof lookupGmailError;
   getAction: typeof getAction;
   extractSmtpCodes: typeof extractSmtpCodes;
+  parseSmtpReply: typeof parseSmtpReply;
   getCodeBasedFallback: typeof getCodeBasedFallback;
   getTextBasedFallback: typeof getTextBasedFallback;
   ACTION_MAP: typeof ACTION_MAP;
   BLOCKLIST_PATTERNS: typeof BLOCKLIST_PATTERNS;
+  DEFAULT_BLOCKLISTS: typeof DEFAULT_BLOCKLISTS;
+  BLOCKLIST_FORMAT_VERSION: typeof BLOCKLIST_FORMAT_VERSION;
+  PROVIDER_PATTERNS: typeof PROVIDER_PATTERNS;
+  MICROSOFT_ERRORS: typeof MICROSOFT_ERRORS;
+  GMAIL_ANCHORS: typeof GMAIL_ANCHORS;
   SMTP_CODE_MAP: typeof SMTP_CODE_MAP;
   SMTP_MAIN_CODE_MAP: typeof SMTP_MAIN_CODE_MAP;
   CODE_FALLBACK_THRESHOLD: typeof CODE_FALLBACK_THRESHOLD;
+  MAX_MESSAGE_LENGTH: typeof MAX_MESSAGE_LENGTH;
 };
 
 export default bounceClassifier;
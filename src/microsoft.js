@@ -0,0 +1,102 @@
+/**
+ * @postalsys/bounce-classifier
+ * Microsoft 365 / Outlook.com error knowledge base
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Remediation pages
+const SENDER_PORTAL = "https://sender.office.com/";
+const OUTLOOK_SUPPORT = "https://olcsupport.office.com/";
+const OUTLOOK_POSTMASTER =
+  "https://sendersupport.olc.protection.outlook.com/pm/";
+const EXCHANGE_NDR_DOCS =
+  "https://learn.microsoft.com/exchange/mail-flow-best-practices/non-delivery-reports-in-exchange-online/non-delivery-reports-in-exchange-online";
+
+// Microsoft-specific identifiers, checked in order. `code` is the first
+// capture group of the pattern, or the whole match.
+export const MICROSOFT_ERRORS = [
+  {
+    pattern: /\b(S3140|S3150)\b/,
+    label: "ip_blacklisted",
+    reason: "outlook_blocklist",
+    description:
+      "The sending IP or its network is on the Outlook.com block list",
+    url: OUTLOOK_SUPPORT,
+  },
+  {
+    pattern: /\b(5\.7\.6(?:0[6-9]|[1-3]\d|4\d))\b/,
+    label: "ip_blacklisted",
+    reason: "banned_sending_ip",
+    description:
+      "Exchange Online Protection banned the sending IP, request removal in the delist portal",
+    url: SENDER_PORTAL,
+  },
+  {
+    pattern: /\b(5\.7\.511)\b/,
+    label: "ip_blacklisted",
+    reason: "banned_sender",
+    description:
+      "Exchange Online Protection banned the sender, forward the bounce to delist@microsoft.com",
+    url: "mailto:delist@microsoft.com",
+  },
+  {
+    // Reported with AS(201806281), so checked before the spam filter codes
+    pattern: /\b(5\.4\.1) Recipient address rejected: Access denied/i,
+    label: "user_unknown",
+    reason: "directory_based_edge_blocking",
+    description:
+      "The recipient does not exist in the Exchange Online organization (Directory-Based Edge Blocking)",
+    url: EXCHANGE_NDR_DOCS,
+  },
+  {
+    pattern: /\b(AS\(\d+\))/,
+    label: "spam_blocked",
+    reason: "spam_filter",
+    description:
+      "The Outlook.com spam filter rejected the message, check sender reputation in SNDS",
+    url: OUTLOOK_POSTMASTER,
+  },
+  {
+    pattern: /\b(4\.7\.6(?:5[01]))\b/,
+    label: "rate_limited",
+    reason: "ip_reputation_throttling",
+    description:
+      "Outlook.com rate limits the sending IP because of its reputation",
+    url: OUTLOOK_POSTMASTER,
+  },
+  {
+    pattern: /\b(4\.7\.[56]\d\d)\b/,
+    label: "rate_limited",
+    reason: "throttling",
+    description:
+      "Exchange Online is throttling mail from the sending IP, retry later",
+    url: EXCHANGE_NDR_DOCS,
+  },
+];
+
+/**
+ * Look up a Microsoft 365 / Outlook.com error identifier in a bounce
+ * @param {string} message - Bounce/error message
+ * @returns {Object|null} { provider, code, label, reason, description, url }, or null if none was found
+ */
+export function lookupMicrosoftError(message) {
+  if (typeof message !== "string") {
+    throw new Error(`message must be a string, got ${typeof message}`);
+  }
+
+  for (const entry of MICROSOFT_ERRORS) {
+    const match = message.match(entry.pattern);
+    if (!match) continue;
+    return {
+      provider: "microsoft",
+      code: match[1] || match[0],
+      label: entry.label,
+      reason: entry.reason,
+      description: entry.description,
+      url: entry.url,
+    };
+  }
+  return null;
+}
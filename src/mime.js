@@ -0,0 +1,352 @@
+/**
+ * @postalsys/bounce-classifier
+ * Minimal MIME helpers for reading bounce emails
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+/**
+ * Split a raw message into header and body sections
+ * @param {string} raw - Raw RFC 5322 message or MIME part
+ * @returns {{ header: string, body: string }}
+ */
+export function splitMessage(raw) {
+  const text = raw.replace(/\r\n?/g, "\n");
+
+  // A part that starts with an empty line has no headers
+  if (/^[ \t]*\n/.test(text)) {
+    return { header: "", body: text.replace(/^[ \t]*\n/, "") };
+  }
+
+  const match = text.match(/\n[ \t]*\n/);
+  if (!match) {
+    return { header: text, body: "" };
+  }
+  return {
+    header: text.substring(0, match.index),
+    body: text.substring(match.index + match[0].length),
+  };
+}
+
+/**
+ * Parse a header block into a list of fields
+ * Folded lines are unfolded, keys are lowercased
+ * @param {string} header - Header block
+ * @returns {Array<{ key: string, value: string }>}
+ */
+export function parseHeaderLines(header) {
+  const fields = [];
+  for (const line of header.replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^[ \t]/.test(line) && fields.length) {
+      // Continuation of the previous field
+      fields[fields.length - 1].value += " " + line.trim();
+      continue;
+    }
+    const sep = line.indexOf(":");
+    if (sep <= 0) continue;
+    fields.push({
+      key: line.substring(0, sep).trim().toLowerCase(),
+      value: line.substring(sep + 1).trim(),
+    });
+  }
+  return fields;
+}
+
+/**
+ * Parse a header block into an object keyed by lowercase field name
+ * Only the first occurrence of a repeated field is kept
+ * @param {string} header - Header block
+ * @returns {Object<string, string>}
+ */
+export function parseHeaders(header) {
+  const headers = {};
+  for (const { key, value } of parseHeaderLines(header)) {
+    if (!(key in headers)) headers[key] = value;
+  }
+  return headers;
+}
+
+/**
+ * Parse a structured header value such as Content-Type
+ * @param {string} value - Header value, e.g. 'multipart/report; boundary="x"'
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+export function parseHeaderValue(value) {
+  const result = { value: "", params: {} };
+  if (!value) return result;
+
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    const chr = value[i];
+    if (chr === "\\" && quoted && i + 1 < value.length) {
+      current += value[++i];
+    } else if (chr === '"') {
+      quoted = !quoted;
+    } else if (chr === ";" && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += chr;
+    }
+  }
+  parts.push(current);
+
+  result.value = parts.shift().trim().toLowerCase();
+  for (const part of parts) {
+    const sep = part.indexOf("=");
+    if (sep <= 0) continue;
+    const key = part.substring(0, sep).trim().toLowerCase();
+    result.params[key] = part.substring(sep + 1).trim();
+  }
+  return result;
+}
+
+/**
+ * Convert a binary string (one char per byte) to a byte array
+ */
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Decode bytes using a MIME charset, falling back to UTF-8
+ */
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+/**
+ * Decode base64 content to bytes, ignoring whitespace and invalid characters
+ * @param {string} input - Base64 text
+ * @returns {Uint8Array}
+ */
+export function decodeBase64(input) {
+  let clean = input.replace(/[^A-Za-z0-9+/]/g, "");
+  // Drop a dangling character that cannot form a full byte
+  if (clean.length % 4 === 1) clean = clean.slice(0, -1);
+  while (clean.length % 4) clean += "=";
+  try {
+    return binaryToBytes(atob(clean));
+  } catch {
+    return new Uint8Array(0);
+  }
+}
+
+/**
+ * Decode quoted-printable content to bytes
+ * @param {string} input - Quoted-printable text
+ * @returns {Uint8Array}
+ */
+export function decodeQuotedPrintable(input) {
+  const binary = input
+    // Soft line breaks
+    .replace(/=[ \t]*\r?\n/g, "")
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) =>
+      String.fromCharCode(parseInt(hex, 16)),
+    );
+
+  // Encode characters above the byte range as UTF-8
+  if (/[\u0100-\uffff]/.test(binary)) {
+    const bytes = [];
+    const encoder = new TextEncoder();
+    for (const chr of binary) {
+      const code = chr.charCodeAt(0);
+      if (code <= 0xff) bytes.push(code);
+      else bytes.push(...encoder.encode(chr));
+    }
+    return Uint8Array.from(bytes);
+  }
+  return binaryToBytes(binary);
+}
+
+/**
+ * Decode a MIME part body according to its transfer encoding and charset
+ * @param {string} body - Encoded body
+ * @param {string} encoding - Content-Transfer-Encoding value
+ * @param {string} charset - Charset from Content-Type (optional)
+ * @returns {string} Decoded text
+ */
+export function decodeBody(body, encoding, charset) {
+  switch ((encoding || "").trim().toLowerCase()) {
+    case "base64":
+      return decodeBytes(decodeBase64(body), charset);
+    case "quoted-printable":
+      return decodeBytes(decodeQuotedPrintable(body), charset);
+    default:
+      // 7bit/8bit/binary content is already text
+      return body;
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+export function decodeMimeWords(value) {
+  return value
+    .replace(/(\?=)\s+(?==\?)/g, "$1")
+    .replace(
+      /=\?([^?*]+)(?:\*[^?]*)?\?([QqBb])\?([^?]*)\?=/g,
+      (match, charset, encoding, text) => {
+        const bytes =
+          encoding.toUpperCase() === "B"
+            ? decodeBase64(text)
+            : decodeQuotedPrintable(text.replace(/_/g, " "));
+        return decodeBytes(bytes, charset);
+      },
+    );
+}
+
+/**
+ * Parse a raw message into a tree of MIME parts
+ * Every node has { headers, contentType, params, body, parts }. For
+ * multipart nodes `parts` holds the children and `body` is empty, for
+ * message/rfc822 nodes `parts` holds the embedded message.
+ * @param {string} raw - Raw RFC 5322 message
+ * @param {number} depth - Current nesting depth (internal)
+ * @returns {Object} Root MIME node
+ */
+export function parseMime(raw, depth = 0) {
+  const { header, body } = splitMessage(raw);
+  const headers = parseHeaders(header);
+  const { value, params } = parseHeaderValue(
+    headers["content-type"] || "text/plain",
+  );
+
+  const node = {
+    headers,
+    contentType: value || "text/plain",
+    params,
+    body,
+    parts: [],
+  };
+
+  // Guard against pathological nesting
+  if (depth > 10) return node;
+
+  if (node.contentType.startsWith("multipart/") && params.boundary) {
+    node.parts = splitMultipart(body, params.boundary).map((part) =>
+      parseMime(part, depth + 1),
+    );
+    node.body = "";
+  } else if (
+    node.contentType === "message/rfc822" ||
+    node.contentType === "message/global"
+  ) {
+    node.parts = [
+      parseMime(
+        decodeBody(body, headers["content-transfer-encoding"]),
+        depth + 1,
+      ),
+    ];
+  }
+
+  return node;
+}
+
+/**
+ * Split a multipart body into raw parts
+ */
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = "--" + boundary;
+  let current = null;
+
+  for (const line of body.split("\n")) {
+    const trimmed = line.trimEnd();
+    if (trimmed === delimiter + "--") {
+      if (current) parts.push(current.join("\n"));
+      current = null;
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current) parts.push(current.join("\n"));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+
+  // Unterminated multipart, keep what we have
+  if (current) parts.push(current.join("\n"));
+
+  return parts;
+}
+
+/**
+ * Walk a MIME tree depth-first
+ * @param {Object} node - MIME node from parseMime()
+ * @param {Function} visit - Called for every node
+ */
+export function walkMime(node, visit) {
+  visit(node);
+  for (const part of node.parts) {
+    walkMime(part, visit);
+  }
+}
+
+/**
+ * Get the decoded text content of a MIME node
+ * @param {Object} node - MIME node from parseMime()
+ * @returns {string}
+ */
+export function getText(node) {
+  return decodeBody(
+    node.body,
+    node.headers["content-transfer-encoding"],
+    node.params.charset,
+  );
+}
+
+// Named HTML entities commonly found in bounce notifications
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Convert HTML to plain text, keeping block elements on their own lines
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?(p|div|tr|li|h[1-6]|table|blockquote|pre)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1].toLowerCase() === "x"
+            ? parseInt(entity.substring(2), 16)
+            : parseInt(entity.substring(1), 10);
+        return code > 0 && code <= 0x10ffff
+          ? String.fromCodePoint(code)
+          : match;
+      }
+      const named = HTML_ENTITIES[entity.toLowerCase()];
+      return named !== undefined ? named : match;
+    })
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
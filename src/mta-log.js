@@ -0,0 +1,276 @@
+/**
+ * @postalsys/bounce-classifier
+ * MTA log parsers for Postfix, Exim, Sendmail and Haraka delivery lines
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { parseSmtpReply } from "./smtp-reply.js";
+
+export const LOG_FORMATS = ["postfix", "exim", "sendmail", "haraka"];
+
+// Trailing text added by the reporting MTA, not part of the reply
+const REPLY_SUFFIX = /\s*\(in reply to [^)]*\)\s*$/i;
+
+// postfix/smtp[1234]: 4F1A23C0D: to=<user@example.com>, ...
+const POSTFIX_LINE =
+  /\bpostfix[\w./-]*\[\d+\]: ([0-9A-Za-z]+): to=<([^>]*)>,(.*?)\bstatus=(bounced|deferred) \((.*)\)\s*$/;
+
+// 1rNa2b-0001Xy-AB ** user@example.com R=dnslookup T=remote_smtp ...
+const EXIM_LINE =
+  /(?:^|\s)([0-9A-Za-z]{6}-[0-9A-Za-z]{6,11}-[0-9A-Za-z]{2,4}) (\*\*|==) (\S+?)(?: <[^>]*>)?(?=[\s:]|$)(.*)$/;
+const EXIM_SMTP_ERROR =
+  /SMTP error from remote (?:mail server|host) after (?:RCPT TO:<[^>]*>|MAIL FROM:<[^>]*>|[^:]+):\s*(.*)$/i;
+const EXIM_FIELD = /\b[A-Z]{1,2}=(?:"[^"]*"|\S+(?: \[[^\]]+\](?::\d+)?)?)/g;
+
+// sendmail[1234]: 40AC0Abc012345: to=<user@example.com>, ... stat=...
+const SENDMAIL_LINE =
+  /\b(?:sendmail|sm-mta)\[\d+\]: ([0-9A-Za-z]+): (to=.*\bstat=.*)$/;
+
+// [NOTICE] [uuid] [outbound] recipient <user@example.com> rejected: 550 ...
+// [INFO] [uuid] [outbound] Temp failing <file> for 64 seconds: <error>
+const HARAKA_LINE = /\[([^\]]+)\] \[outbound\] (.*)$/;
+const HARAKA_RECIPIENT = /^recipient <([^>]*)> (rejected|deferred): (.*)$/;
+const HARAKA_MESSAGE =
+  /^(?:(bouncing mail)|Temp failing (\S+) for \d+ seconds): (.*)$/;
+
+/**
+ * Split "host[ip]:port" into host and IP
+ */
+function parseRelay(value) {
+  const match = (value || "").match(
+    /^([^\s[]*?)\.?\s*(?:\[([^\]]+)\])?(?::\d+)?$/,
+  );
+  if (!match) return { relayHost: value || null, relayIp: null };
+  const host = match[1] && !/^none$/i.test(match[1]) ? match[1] : null;
+  return {
+    relayHost: host ? host.toLowerCase() : null,
+    relayIp: match[2] ? match[2].replace(/^IPv6:/i, "") : null,
+  };
+}
+
+/**
+ * Build a log entry, filling in the DSN status from the reply if the log
+ * line has none
+ */
+function buildEntry(format, fields) {
+  const reply = fields.reply.replace(/\s+/g, " ").trim();
+  const dsn = fields.dsn || parseSmtpReply(reply).enhancedCode;
+  return {
+    format,
+    queueId: fields.queueId || null,
+    recipient: fields.recipient || null,
+    status: fields.status,
+    dsn: dsn || null,
+    relayHost: fields.relayHost || null,
+    relayIp: fields.relayIp || null,
+    reply,
+  };
+}
+
+/**
+ * Parse a Postfix delivery line with status=bounced or status=deferred
+ */
+function parsePostfix(line) {
+  const match = line.match(POSTFIX_LINE);
+  if (!match) return [];
+
+  const [, queueId, recipient, fields, status, text] = match;
+  const relay = fields.match(/\brelay=([^,\s]+)/);
+  const dsn = fields.match(/\bdsn=(\d\.\d{1,3}\.\d{1,3})/);
+  const reply = text
+    .replace(/^host \S+\[[^\]]*\] said:\s*/i, "")
+    .replace(REPLY_SUFFIX, "");
+  // Deferred connections have relay=none, the host is in the text
+  const connect = text.match(/^(?:host|connect to) ([^\s[]+\[[^\]]+\])/i);
+
+  return [
+    buildEntry("postfix", {
+      queueId,
+      recipient,
+      status,
+      dsn: dsn && dsn[1],
+      ...parseRelay(
+        relay && !/^none$/i.test(relay[1]) ? relay[1] : connect && connect[1],
+      ),
+      reply,
+    }),
+  ];
+}
+
+/**
+ * Parse an Exim "**" (bounced) or "==" (deferred) line
+ */
+function parseExim(line) {
+  const match = line.match(EXIM_LINE);
+  if (!match) return [];
+
+  const [, queueId, marker, recipient, rest] = match;
+  const host = rest.match(/\bH=([^\s[]+)(?: \[([^\]]+)\])?/);
+
+  const smtpError = rest.match(EXIM_SMTP_ERROR);
+  const reply = smtpError
+    ? smtpError[1]
+    : // Local failures such as "Unrouteable address", without the field list
+      rest
+        .replace(EXIM_FIELD, "")
+        .replace(/\bdefer \(-?\d+\)/, "")
+        .replace(/^[\s:]+/, "");
+
+  return [
+    buildEntry("exim", {
+      queueId,
+      recipient: recipient.replace(/:$/, ""),
+      status: marker === "**" ? "bounced" : "deferred",
+      relayHost: host ? host[1].toLowerCase() : null,
+      relayIp: host ? host[2] : null,
+      reply,
+    }),
+  ];
+}
+
+/**
+ * Parse a Sendmail delivery line, one entry per recipient in to=
+ * Lines with stat=Sent are not bounces and give no entries.
+ */
+function parseSendmail(line) {
+  const match = line.match(SENDMAIL_LINE);
+  if (!match) return [];
+
+  // "to=<a@x>,<b@x>, delay=00:00:01, ..., stat=text, with commas"
+  const fields = {};
+  for (const part of match[2].split(/,\s+(?=[a-z]+=)/)) {
+    const separator = part.indexOf("=");
+    fields[part.substring(0, separator)] = part.substring(separator + 1);
+  }
+
+  const stat = fields.stat.trim();
+  if (/^Sent\b/i.test(stat)) return [];
+
+  const status = /^Deferred\b/i.test(stat) ? "deferred" : "bounced";
+  const reply = stat.replace(/^Deferred\b:?\s*/i, "") || stat;
+  const dsn = (fields.dsn || "").match(/^\d\.\d{1,3}\.\d{1,3}$/);
+  const relay = parseRelay(
+    (fields.relay || "").replace(/\s*\(may be forged\)$/i, ""),
+  );
+
+  return fields.to
+    .split(",")
+    .map((recipient) => recipient.trim().replace(/^<|>$/g, ""))
+    .filter(Boolean)
+    .map((recipient) =>
+      buildEntry("sendmail", {
+        queueId: match[1],
+        recipient,
+        status,
+        dsn: dsn && dsn[0],
+        ...relay,
+        reply,
+      }),
+    );
+}
+
+/**
+ * Parse a Haraka outbound line for a rejected or deferred recipient, or for a
+ * message that is bounced or temp failed as a whole (no recipient)
+ */
+function parseHaraka(line) {
+  const match = line.match(HARAKA_LINE);
+  if (!match) return [];
+
+  const [, uuid, text] = match;
+  const recipient = text.match(HARAKA_RECIPIENT);
+  if (recipient) {
+    return [
+      buildEntry("haraka", {
+        queueId: uuid !== "-" ? uuid : null,
+        recipient: recipient[1],
+        status: recipient[2] === "rejected" ? "bounced" : "deferred",
+        reply: recipient[3],
+      }),
+    ];
+  }
+
+  const message = text.match(HARAKA_MESSAGE);
+  if (!message) return [];
+  const [, bounced, file, reply] = message;
+  return [
+    buildEntry("haraka", {
+      queueId: uuid !== "-" ? uuid : file,
+      status: bounced ? "bounced" : "deferred",
+      reply,
+    }),
+  ];
+}
+
+const PARSERS = {
+  postfix: parsePostfix,
+  exim: parseExim,
+  sendmail: parseSendmail,
+  haraka: parseHaraka,
+};
+
+/**
+ * Check the format option
+ */
+function validateFormat(format) {
+  if (format !== "auto" && !LOG_FORMATS.includes(format)) {
+    throw new Error(
+      `format must be one of auto, ${LOG_FORMATS.join(", ")}, got ${format}`,
+    );
+  }
+}
+
+/**
+ * Parse one MTA log line
+ * Lines that do not report a bounced or deferred delivery give no entries.
+ * @param {string} line - Log line
+ * @param {string} format - "postfix", "exim", "sendmail", "haraka" or "auto" to detect (default: "auto")
+ * @returns {Object[]} Entries, one per recipient
+ */
+export function parseLogLine(line, format = "auto") {
+  if (typeof line !== "string") {
+    throw new Error(`line must be a string, got ${typeof line}`);
+  }
+  validateFormat(format);
+
+  if (format !== "auto") return PARSERS[format](line);
+  for (const name of LOG_FORMATS) {
+    const entries = PARSERS[name](line);
+    if (entries.length) return entries;
+  }
+  return [];
+}
+
+/**
+ * Parse MTA log lines into bounce entries
+ * @param {string|string[]} lines - Log text or an array of lines
+ * @param {Object} options - Parse options
+ * @param {string} options.format - Log format, or "auto" to detect per line (default: "auto")
+ * @returns {Object[]} Entries with the 1-based line number added
+ */
+export function parseLog(lines, options = {}) {
+  if (typeof lines === "string") {
+    lines = lines.split(/\r?\n/);
+  } else if (!Array.isArray(lines)) {
+    throw new Error(
+      `lines must be a string or an array of strings, got ${typeof lines}`,
+    );
+  }
+  const { format = "auto" } = options;
+  validateFormat(format);
+
+  const entries = [];
+  lines.forEach((line, index) => {
+    if (typeof line !== "string") {
+      throw new Error(
+        `Line at index ${index} must be a string, got ${typeof line}`,
+      );
+    }
+    for (const entry of parseLogLine(line, format)) {
+      entries.push({ line: index + 1, ...entry });
+    }
+  });
+  return entries;
+}
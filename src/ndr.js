@@ -0,0 +1,299 @@
+/**
+ * @postalsys/bounce-classifier
+ * Heuristic extraction from non-standard vendor bounce notifications
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { parseMime, getText, htmlToText } from "./mime.js";
+
+// Markers after which the returned original message starts
+const ORIGINAL_MESSAGE_MARKERS = [
+  /^-+ ?Below this line is a copy of the message\.?/im,
+  /^-+ ?This is a copy of the (?:message|headers)/im,
+  /^-+ ?Original message follows/im,
+  /^Original message headers:/im,
+];
+
+const EMAIL = "[^\\s<>()\"',;:]+@[^\\s<>()\"',;:]+\\.[A-Za-z0-9-]+";
+
+/**
+ * Collapse whitespace in an extracted diagnostic line
+ */
+function cleanLine(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Split text into blocks that start with "<address>:"
+ * Used by the qmail, Yahoo and Postfix templates
+ * @param {string} text - Notification text
+ * @returns {Array<{ recipient: string, body: string }>}
+ */
+function splitAddressBlocks(text) {
+  const blocks = [];
+  const pattern = new RegExp(
+    `^<(${EMAIL})>(?:\\s*\\(expanded from <[^>]*>\\))?:[ \\t]*`,
+    "gm",
+  );
+  const matches = [...text.matchAll(pattern)];
+  for (let i = 0; i < matches.length; i++) {
+    const start = matches[i].index + matches[i][0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    // A block ends at the first empty line
+    const body = text.substring(start, end).split(/\n[ \t]*\n/)[0];
+    blocks.push({ recipient: matches[i][1], body });
+  }
+  return blocks;
+}
+
+/**
+ * Parse a qmail style "<address>:" block
+ */
+function parseQmailBlock({ recipient, body }) {
+  const details = {
+    recipient,
+    remoteServer: null,
+    remoteIp: null,
+    diagnostic: null,
+  };
+
+  const host = body.match(
+    /^(\S+) does not like recipient|^Giving up on (\S+?)\.?$|^Connected to (\S+) but/m,
+  );
+  if (host) {
+    const value = host[1] || host[2] || host[3];
+    if (/^[\d.]+$|:/.test(value)) details.remoteIp = value;
+    else details.remoteServer = value;
+  }
+
+  const said = body.match(
+    /Remote host said:\s*([\s\S]*?)(?:\nGiving up on|$)/i,
+  );
+  if (said) {
+    details.diagnostic = cleanLine(said[1]);
+  } else {
+    // Local failures such as "Sorry, I couldn't find any host named ..."
+    details.diagnostic = cleanLine(
+      body
+        .replace(/^Giving up on .*$/m, "")
+        .replace(/^\S+ does not like.*$/m, ""),
+    );
+  }
+
+  return details;
+}
+
+/**
+ * Parse a Postfix style "<address>: host x[ip] said: ..." block
+ */
+function parsePostfixBlock({ recipient, body }) {
+  const details = {
+    recipient,
+    remoteServer: null,
+    remoteIp: null,
+    diagnostic: null,
+  };
+
+  const text = cleanLine(body);
+  const host = text.match(
+    /^(?:host|connect to) ([^\s[]+)\[([^\]]+)\](?::\d+)?(?: said)?:\s*([\s\S]*)$/i,
+  );
+  if (host) {
+    details.remoteServer = host[1];
+    details.remoteIp = host[2];
+    details.diagnostic = host[3]
+      .replace(/\s*\(in reply to [^)]*\)\s*$/i, "")
+      .trim();
+  } else {
+    details.diagnostic = text;
+  }
+
+  return details;
+}
+
+/**
+ * Parse the "Diagnostic information for administrators" section of an
+ * Exchange or Office 365 NDR
+ */
+function parseExchange(text) {
+  const admin = text.substring(
+    text.search(/Diagnostic information for administrators/i),
+  );
+
+  const generating = admin.match(/Generating server:\s*(\S+)/i);
+  const dsnGenerated = text.match(/DSN generated by:\s*(\S+)/i);
+  const reportingMta = generating
+    ? generating[1]
+    : dsnGenerated
+      ? dsnGenerated[1]
+      : null;
+
+  const remote = text.match(/^Remote server:\s*(\S+)/im);
+  const remoteServer = remote ? remote[1] : null;
+
+  const recipients = [];
+  const lines = admin.split("\n").map((line) => line.trim());
+  const addressLine = new RegExp(`^(?:mailto:)?(${EMAIL})$`, "i");
+
+  for (let i = 0; i < lines.length; i++) {
+    const address = lines[i].match(addressLine);
+    if (!address) continue;
+
+    // The diagnostic follows the address line, skipping empty lines
+    let diagnostic = null;
+    for (let j = i + 1; j < lines.length && j <= i + 3; j++) {
+      if (!lines[j]) continue;
+      const returned = lines[j].match(
+        /^Remote Server returned '([\s\S]*?)'?$|^#<?\s*(#?\d[\s\S]*?)>?(?: ?#SMTP#)?$/i,
+      );
+      if (returned) diagnostic = cleanLine(returned[1] || returned[2]);
+      break;
+    }
+
+    if (diagnostic) {
+      recipients.push({
+        recipient: address[1],
+        remoteServer,
+        remoteIp: null,
+        diagnostic: diagnostic.replace(/^#/, ""),
+      });
+    }
+  }
+
+  // Newer Office 365 layout: "Your message to x couldn't be delivered"
+  // with the error under "Error Details"
+  if (!recipients.length) {
+    const reported = text.match(/Reported error:\s*(.+)/i);
+    const target = text.match(
+      new RegExp(`message to (${EMAIL}) couldn.t be delivered`, "i"),
+    );
+    if (reported) {
+      recipients.push({
+        recipient: target ? target[1] : null,
+        remoteServer,
+        remoteIp: null,
+        diagnostic: cleanLine(reported[1]),
+      });
+    }
+  }
+
+  return { reportingMta, recipients };
+}
+
+/**
+ * Find the reporting host in a qmail/Postfix greeting
+ */
+function greetingHost(text, pattern) {
+  const match = text.match(pattern);
+  return match ? match[1].replace(/\.$/, "") : null;
+}
+
+// Vendor templates, checked in order
+const TEMPLATES = [
+  {
+    name: "qmail",
+    detect: /This is the qmail-send program/i,
+    extract: (text) => ({
+      reportingMta: greetingHost(text, /qmail-send program at (\S+)/i),
+      recipients: splitAddressBlocks(text).map(parseQmailBlock),
+    }),
+  },
+  {
+    name: "yahoo",
+    detect:
+      /Sorry, we were unable to deliver your message to the following address|yahoo\.com[\s\S]{0,2000}Remote host said:/i,
+    extract: (text) => ({
+      reportingMta: null,
+      recipients: splitAddressBlocks(text).map(parseQmailBlock),
+    }),
+  },
+  {
+    name: "exchange",
+    detect:
+      /Diagnostic information for administrators|Reported error:[\s\S]{0,500}DSN generated by:/i,
+    extract: parseExchange,
+  },
+  {
+    name: "postfix",
+    detect:
+      /I'm sorry to have to inform you that your message could not|This is the mail system at host/i,
+    extract: (text) => ({
+      reportingMta: greetingHost(
+        text,
+        /This is the mail system at host (\S+)/i,
+      ),
+      recipients: splitAddressBlocks(text).map(parsePostfixBlock),
+    }),
+  },
+];
+
+/**
+ * Collect the notification text of a bounce email
+ * Text and HTML parts are decoded, HTML is stripped, and the returned
+ * original message is left out
+ * @param {string} rawEmail - Full RFC 5322 bounce message
+ * @returns {string} Notification text
+ */
+function getNotificationText(rawEmail) {
+  const root = parseMime(rawEmail);
+  const plain = [];
+  const html = [];
+
+  const visit = (node) => {
+    // Skip the attached original message
+    if (node.contentType.startsWith("message/")) return;
+    if (node.headers["content-disposition"]?.startsWith("attachment")) return;
+
+    if (node.contentType === "text/plain") plain.push(getText(node));
+    else if (node.contentType === "text/html") html.push(getText(node));
+
+    for (const part of node.parts) {
+      visit(part);
+    }
+  };
+  visit(root);
+
+  // Prefer plain text, but Exchange sometimes puts details only in HTML
+  let text = plain.join("\n\n");
+  if (!text.trim() || (html.length && !/Diagnostic information/i.test(text))) {
+    text = [text, ...html.map(htmlToText)].filter(Boolean).join("\n\n");
+  }
+  text = text.replace(/\r\n?/g, "\n");
+
+  for (const marker of ORIGINAL_MESSAGE_MARKERS) {
+    const index = text.search(marker);
+    if (index > 0) text = text.substring(0, index);
+  }
+
+  return text.trim();
+}
+
+/**
+ * Extract bounce details from a non-RFC 3464 bounce notification
+ * Recognizes qmail, Yahoo, Exchange/Office 365 and Postfix templates
+ * @param {string} rawEmail - Full RFC 5322 bounce message
+ * @returns {Object|null} Extracted details, or null if no template matched
+ */
+export function extractBounceDetails(rawEmail) {
+  if (typeof rawEmail !== "string") {
+    throw new Error(`rawEmail must be a string, got ${typeof rawEmail}`);
+  }
+
+  const text = getNotificationText(rawEmail);
+
+  for (const template of TEMPLATES) {
+    if (!template.detect.test(text)) continue;
+
+    const { reportingMta, recipients } = template.extract(text);
+    return {
+      template: template.name,
+      reportingMta,
+      recipients: recipients.filter((item) => item.diagnostic),
+      text,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,156 @@
+/**
+ * @postalsys/bounce-classifier
+ * Receiving-provider fingerprinting from reply markers and MTA hostnames
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Known receiving providers, checked in order. `hosts` match remote MTA
+// hostnames, `markers` match text the provider puts in its replies.
+export const PROVIDER_PATTERNS = [
+  {
+    id: "google",
+    name: "Google",
+    hosts: [/(?:^|\.)google\.com$/, /(?:^|\.)googlemail\.com$/],
+    markers: [
+      /\bgsmtp\b/i,
+      /support\.google\.com\/(?:mail|a)\b/i,
+      /\bgmail-smtp-in\.l\.google\.com\b/i,
+    ],
+  },
+  {
+    id: "microsoft",
+    name: "Microsoft",
+    hosts: [
+      /(?:^|\.)protection\.outlook\.com$/,
+      /(?:^|\.)outlook\.com$/,
+      /(?:^|\.)hotmail\.com$/,
+      /(?:^|\.)live\.com$/,
+      /(?:^|\.)msn\.com$/,
+    ],
+    markers: [
+      /\bprotection\.outlook\.com\b/i,
+      /\bprod\.outlook\.com\b/i,
+      /\bsendersupport\.olc\.protection\.outlook\.com\b/i,
+      /\bOutlook\.com\b/,
+      /\bpostmaster\.live\.com\b/i,
+      /\bsender\.office\.com\b/i,
+      // Identifiers only Microsoft uses, generic 4.7.5xx/4.7.6xx codes are
+      // left to the knowledge base once the provider is known
+      /\bS31[45]0\b/,
+      /\bAS\(\d+\)/,
+      /\b5\.7\.(?:6(?:0[6-9]|[1-3]\d|4\d)|511) Access denied, banned sen(?:ding IP|der)\b/i,
+    ],
+  },
+  {
+    id: "yahoo",
+    name: "Yahoo",
+    hosts: [
+      /(?:^|\.)yahoodns\.net$/,
+      /(?:^|\.)yahoo\.com$/,
+      /(?:^|\.)yahoo\.net$/,
+      /(?:^|\.)aol\.com$/,
+    ],
+    markers: [
+      // "421 4.7.0 [TSS04] Messages from ..." right after the reply code
+      /(?<=(?:^|\s)[45]\d\d[ -](?:[245]\.\d{1,3}\.\d{1,3} )?)\[TSS?\d{2}\]/,
+      /\bsenders\.yahooinc\.com\b/i,
+      /\bpostmaster\.yahooinc\.com\b/i,
+      /\bhelp\.yahoo\.com\b/i,
+    ],
+  },
+  {
+    id: "apple",
+    name: "Apple iCloud",
+    hosts: [/(?:^|\.)icloud\.com$/, /(?:^|\.)apple\.com$/],
+    markers: [/\bsupport\.apple\.com\/(?:[\w-]+\/)?HT204137\b/i],
+  },
+  {
+    id: "mimecast",
+    name: "Mimecast",
+    hosts: [/(?:^|\.)mimecast\.com$/, /(?:^|\.)mimecast-offshore\.com$/],
+    // Mimecast links its knowledge base, "https://community.mimecast.com/..."
+    markers: [/\b(?:[a-z0-9-]+\.)*mimecast(?:-offshore)?\.com\b/i],
+  },
+  {
+    id: "proofpoint",
+    name: "Proofpoint",
+    hosts: [
+      /(?:^|\.)pphosted\.com$/,
+      /(?:^|\.)ppe-hosted\.com$/,
+      /(?:^|\.)proofpoint\.com$/,
+    ],
+    markers: [/\bproofpoint\b/i, /\bpphosted\.com\b/i],
+  },
+];
+
+// Hostnames the receiving MTA prints in its reply: "[mx.example.com]",
+// "[Hostname=mx.example.com 2024-...]" or "host mx.example.com[192.0.2.1]"
+const HOSTNAME =
+  "[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+";
+const REPLY_HOST = new RegExp(
+  `[[=](${HOSTNAME})(?=[\\s\\]])|(?:^|\\s)(${HOSTNAME})(?=\\[)`,
+  "g",
+);
+
+/**
+ * Find the provider running a host
+ */
+function providerForHost(host) {
+  host = host.toLowerCase().replace(/\.$/, "");
+  for (const provider of PROVIDER_PATTERNS) {
+    if (provider.hosts.some((pattern) => pattern.test(host))) return provider;
+  }
+  return null;
+}
+
+/**
+ * Build the provider entry returned to callers
+ */
+function providerInfo(provider, source, match) {
+  return { id: provider.id, name: provider.name, source, match };
+}
+
+/**
+ * Identify the receiving provider of a bounce
+ * The remote MTA hostname is the strongest evidence, then hostnames printed
+ * in the reply, then provider-specific markers and codes.
+ * @param {string} message - Bounce/error message
+ * @param {Object} options - Options
+ * @param {string} options.remoteHost - Remote MTA hostname, when known (optional)
+ * @returns {Object|null} { id, name, source, match }, or null if no provider was recognized
+ */
+export function identifyProvider(message, options = {}) {
+  if (typeof message !== "string") {
+    throw new Error(`message must be a string, got ${typeof message}`);
+  }
+
+  if (options.remoteHost) {
+    const provider = providerForHost(options.remoteHost);
+    if (provider) {
+      return providerInfo(
+        provider,
+        "remote_host",
+        options.remoteHost.toLowerCase(),
+      );
+    }
+  }
+
+  for (const match of message.matchAll(REPLY_HOST)) {
+    const host = match[1] || match[2];
+    const provider = providerForHost(host);
+    if (provider) {
+      return providerInfo(provider, "reply_host", host.toLowerCase());
+    }
+  }
+
+  for (const provider of PROVIDER_PATTERNS) {
+    for (const pattern of provider.markers) {
+      const match = message.match(pattern);
+      if (match) return providerInfo(provider, "marker", match[0]);
+    }
+  }
+
+  return null;
+}
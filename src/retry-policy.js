@@ -0,0 +1,285 @@
+/**
+ * @postalsys/bounce-classifier
+ * Retry policy engine
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { getAction as defaultGetAction } from "./actions.js";
+
+const HOUR = 3600;
+const DAY = 86400;
+
+// Backoff used for labels without their own settings, all values in seconds
+const DEFAULT_BACKOFF = {
+  initialDelay: 600,
+  multiplier: 2,
+  maxDelay: 6 * HOUR,
+  giveUpAfter: 5 * DAY,
+  maxAttempts: null,
+  maxIpSwitches: 3,
+  giveUpAction: "review",
+};
+
+// Per-label backoff, merged over DEFAULT_BACKOFF
+const LABEL_BACKOFF = {
+  greylisting: {
+    initialDelay: 300,
+    multiplier: 1.5,
+    maxDelay: HOUR,
+    giveUpAfter: 2 * DAY,
+  },
+  rate_limited: {
+    initialDelay: 900,
+    multiplier: 2,
+    maxDelay: 4 * HOUR,
+    giveUpAfter: 3 * DAY,
+  },
+  server_error: {
+    initialDelay: 600,
+    multiplier: 2,
+    maxDelay: 6 * HOUR,
+    giveUpAfter: 5 * DAY,
+  },
+  // A mailbox that stays full for three days is treated as abandoned
+  mailbox_full: {
+    initialDelay: HOUR,
+    multiplier: 2,
+    maxDelay: 12 * HOUR,
+    giveUpAfter: 3 * DAY,
+    giveUpAction: "remove",
+  },
+};
+
+/**
+ * Convert a Date or millisecond timestamp to milliseconds
+ * @param {Date|number} value - Time value
+ * @param {string} context - Context for error messages
+ * @returns {number} Milliseconds since epoch
+ */
+function toMillis(value, context) {
+  const ms = value instanceof Date ? value.getTime() : value;
+  if (typeof ms !== "number" || !Number.isFinite(ms)) {
+    throw new Error(`${context} must be a Date or a number`);
+  }
+  return ms;
+}
+
+/**
+ * Validate backoff overrides
+ * @param {Object} settings - Backoff settings to check
+ * @param {string} context - Context for error messages
+ */
+function validateBackoff(settings, context) {
+  if (!settings || typeof settings !== "object") {
+    throw new Error(`${context} must be an object`);
+  }
+  for (const key of ["initialDelay", "multiplier", "maxDelay", "giveUpAfter"]) {
+    const value = settings[key];
+    if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+      throw new Error(`${context}.${key} must be a positive number`);
+    }
+  }
+  const { maxAttempts, maxIpSwitches, giveUpAction } = settings;
+  if (
+    maxAttempts !== undefined &&
+    maxAttempts !== null &&
+    !(Number.isInteger(maxAttempts) && maxAttempts > 0)
+  ) {
+    throw new Error(
+      `${context}.maxAttempts must be a positive integer or null`,
+    );
+  }
+  if (
+    maxIpSwitches !== undefined &&
+    !(Number.isInteger(maxIpSwitches) && maxIpSwitches >= 0)
+  ) {
+    throw new Error(`${context}.maxIpSwitches must be a non-negative integer`);
+  }
+  if (giveUpAction !== undefined && typeof giveUpAction !== "string") {
+    throw new Error(`${context}.giveUpAction must be a string`);
+  }
+}
+
+/**
+ * Create a retry policy
+ * Decisions depend only on the inputs, so a fixed `now` gives repeatable results
+ * @param {Object} options - Policy options
+ * @param {Object} options.backoff - Per-label backoff overrides, merged over the defaults (optional)
+ * @param {Object} options.defaultBackoff - Backoff for labels without their own settings (optional)
+ * @param {Function} options.getAction - Label to action mapping for uncertain results (default: getAction)
+ * @returns {Object} Retry policy with decide() and getBackoff()
+ */
+export function createRetryPolicy(options = {}) {
+  if (options.defaultBackoff !== undefined) {
+    validateBackoff(options.defaultBackoff, "defaultBackoff");
+  }
+  if (options.backoff !== undefined) {
+    if (!options.backoff || typeof options.backoff !== "object") {
+      throw new Error("backoff must be an object");
+    }
+    for (const [label, settings] of Object.entries(options.backoff)) {
+      validateBackoff(settings, `backoff.${label}`);
+    }
+  }
+  const getAction = options.getAction || defaultGetAction;
+
+  const defaultBackoff = { ...DEFAULT_BACKOFF, ...options.defaultBackoff };
+  const labelBackoff = {};
+  for (const source of [LABEL_BACKOFF, options.backoff || {}]) {
+    for (const [label, settings] of Object.entries(source)) {
+      labelBackoff[label] = { ...labelBackoff[label], ...settings };
+    }
+  }
+
+  /**
+   * Get the backoff settings for a label
+   * @param {string} label - Classification label
+   * @returns {Object} Backoff settings in seconds
+   */
+  function getBackoff(label) {
+    return { ...defaultBackoff, ...labelBackoff[label] };
+  }
+
+  /**
+   * Decide what to do after a failed delivery attempt
+   * @param {Object} result - classify() result for the current attempt
+   * @param {Object[]} attempts - Prior attempts for the recipient: { timestamp, label, ip }
+   * @param {Object} decideOptions - Options
+   * @param {Date|number} decideOptions.now - Time of the current attempt (default: current time)
+   * @param {string} decideOptions.ip - Sending IP of the current attempt (optional)
+   * @returns {Object} { decision, notBefore, reason, action }
+   */
+  function decide(result, attempts = [], decideOptions = {}) {
+    if (!result || typeof result.label !== "string") {
+      throw new Error("result must be a classification result");
+    }
+    if (!Array.isArray(attempts)) {
+      throw new Error(`attempts must be an array, got ${typeof attempts}`);
+    }
+
+    const now =
+      decideOptions.now !== undefined
+        ? toMillis(decideOptions.now, "now")
+        : Date.now();
+
+    const history = attempts
+      .map((attempt, i) => ({
+        timestamp: toMillis(
+          attempt && attempt.timestamp,
+          `Attempt at index ${i} timestamp`,
+        ),
+        label: attempt.label,
+        ip: attempt.ip || null,
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const { label } = result;
+    const backoff = getBackoff(label);
+
+    // The current failure and the unbroken run of earlier failures with the same label
+    let streakStart = now;
+    let streakLength = 1;
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].label !== label) break;
+      streakStart = history[i].timestamp;
+      streakLength++;
+    }
+
+    // An uncertain result is marked for review, but its label still says
+    // whether the failure is worth retrying. The uncertainty only makes the
+    // give-up action "review", so nothing is removed on a guess.
+    const uncertain = result.uncertain === true;
+    const action = uncertain ? getAction(label) : result.action;
+
+    const giveUp = (reason, giveUpAction = backoff.giveUpAction) => ({
+      decision: "give_up",
+      notBefore: null,
+      reason,
+      action: uncertain ? "review" : giveUpAction,
+    });
+
+    // Transient SMTP replies are retried even when the label is not retryable
+    const transient = result.smtpReply?.code?.[0] === "4";
+
+    if (action === "remove") {
+      return giveUp(`${label} is a permanent failure`, "remove");
+    }
+
+    if (action === "retry_different_ip") {
+      const excludeIps = [
+        ...new Set(
+          history
+            .filter((attempt) => attempt.label === label && attempt.ip)
+            .map((attempt) => attempt.ip)
+            .concat(decideOptions.ip ? [decideOptions.ip] : []),
+        ),
+      ];
+      if (excludeIps.length > backoff.maxIpSwitches) {
+        return giveUp(
+          `${label} on ${excludeIps.length} sending IPs`,
+          "fix_configuration",
+        );
+      }
+      return {
+        decision: "switch_ip",
+        notBefore: new Date(now),
+        reason: `${label}, retry from a different IP`,
+        action,
+        excludeIps,
+      };
+    }
+
+    if (action !== "retry" && !transient) {
+      return giveUp(`${label} is not retryable`, action);
+    }
+
+    const deadline = streakStart + backoff.giveUpAfter * 1000;
+    const hours = Math.round((now - streakStart) / 36000) / 100;
+
+    if (now >= deadline) {
+      return giveUp(`${label} persisted for ${hours} hours`);
+    }
+    if (backoff.maxAttempts && streakLength >= backoff.maxAttempts) {
+      return giveUp(`${label} after ${streakLength} attempts`);
+    }
+
+    // Timing from the bounce message wins over the backoff schedule.
+    // Relative timing is applied to `now`, absolute times are used as is
+    let notBefore;
+    let reason;
+    if (
+      result.retry?.source === "timestamp" &&
+      result.retry.notBefore instanceof Date
+    ) {
+      notBefore = Math.max(now, result.retry.notBefore.getTime());
+      reason = `${label}, server asked to retry after ${result.retry.notBefore.toISOString()}`;
+    } else if (result.retryAfter > 0) {
+      notBefore = now + result.retryAfter * 1000;
+      reason = `${label}, server asked to retry in ${result.retryAfter} seconds`;
+    } else {
+      const delay = Math.min(
+        backoff.maxDelay,
+        backoff.initialDelay * backoff.multiplier ** (streakLength - 1),
+      );
+      notBefore = now + Math.round(delay) * 1000;
+      reason = `${label}, attempt ${streakLength}, backing off ${Math.round(delay)} seconds`;
+    }
+
+    if (notBefore >= deadline) {
+      return giveUp(
+        `${label} retry time is past the ${backoff.giveUpAfter / HOUR} hour limit`,
+      );
+    }
+
+    return {
+      decision: "retry",
+      notBefore: new Date(notBefore),
+      reason,
+      action: "retry",
+    };
+  }
+
+  return { decide, getBackoff };
+}
@@ -0,0 +1,264 @@
+/**
+ * @postalsys/bounce-classifier
+ * Retry timing extraction
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Time units, longer spellings first so "min" is not read as "m"
+const UNIT =
+  "(?:days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])";
+
+// A duration such as "5 minutes", "90s" or "1h30m"
+const DURATION = `\\d+\\s*${UNIT}(?:\\s*(?:and\\s+)?\\d+\\s*${UNIT})*`;
+
+// Relative retry timing phrases, checked in order
+// Note: .{0,50}? limits match length to prevent performance issues on long strings
+const DURATION_PATTERNS = [
+  new RegExp(`try\\s+again\\s+(?:in|after)\\s+(${DURATION})`, "i"),
+  new RegExp(`retry\\s+(?:in|after)\\s+(${DURATION})`, "i"),
+  new RegExp(`wait\\s+(?:for\\s+)?(${DURATION})`, "i"),
+  new RegExp(`greylisted?\\s+(?:for\\s+)?(${DURATION})`, "i"),
+  new RegExp(`delayed?\\s+(?:for\\s+)?(${DURATION})`, "i"),
+  new RegExp(`come\\s+back\\s+in\\s+(${DURATION})`, "i"),
+  new RegExp(`after\\s+(${DURATION})`, "i"),
+  /\b(\d+\s*(?:days?|hours?|minutes?|seconds?))\b/i,
+  new RegExp(`too\\s+many.{0,50}?(${DURATION})`, "i"),
+  new RegExp(`greylist.{0,50}?(${DURATION})`, "i"),
+];
+
+// A number that is not part of a status code or IP address such as 4.7.1
+const RANGE_NUMBER = "(?<![\\d.])(\\d+)(?![\\d.])";
+const RANGE_TO = "\\s*(?:-|\\u2013|to)\\s*";
+
+// Ranges such as "between 5 and 10 minutes", "retry in 5-10 minutes" or
+// "5 min - 10 min". A bare "1 - 5 minutes" needs a retry cue before it.
+const RANGE_PATTERNS = [
+  new RegExp(
+    `between\\s+(\\d+)\\s*(${UNIT})?\\s+and\\s+(\\d+)\\s*(${UNIT})`,
+    "i",
+  ),
+  new RegExp(
+    `\\b(?:retry|try\\s+again|in|within|after|wait)\\s+${RANGE_NUMBER}\\s*(${UNIT})?${RANGE_TO}${RANGE_NUMBER}\\s*(${UNIT})`,
+    "i",
+  ),
+  new RegExp(
+    `${RANGE_NUMBER}\\s*(${UNIT})${RANGE_TO}${RANGE_NUMBER}\\s*(${UNIT})`,
+    "i",
+  ),
+];
+
+const MONTHS = {
+  jan: 0,
+  feb: 1,
+  mar: 2,
+  apr: 3,
+  may: 4,
+  jun: 5,
+  jul: 6,
+  aug: 7,
+  sep: 8,
+  oct: 9,
+  nov: 10,
+  dec: 11,
+};
+
+// RFC 2822 obsolete zone names, offsets in minutes
+const ZONES = {
+  ut: 0,
+  utc: 0,
+  gmt: 0,
+  z: 0,
+  est: -300,
+  edt: -240,
+  cst: -360,
+  cdt: -300,
+  mst: -420,
+  mdt: -360,
+  pst: -480,
+  pdt: -420,
+};
+
+// "2026-10-20 14:00 UTC", "2026-10-20T14:00:00Z", "2026-10-20 14:00:00 +02:00"
+const ISO_TIMESTAMP =
+  "(\\d{4})-(\\d{2})-(\\d{2})[T ](\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*(Z|UTC|GMT|[+-]\\d{2}:?\\d{2})?";
+
+// "Tue, 20 Oct 2026 14:00:00 +0000"
+const RFC2822_TIMESTAMP =
+  "(?:[A-Za-z]{3},\\s*)?(\\d{1,2})\\s+([A-Za-z]{3})\\s+(\\d{4})\\s+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*([+-]\\d{4}|[A-Za-z]{1,3}\\b)?";
+
+// Absolute retry times: "try again after <timestamp>", "blocked until <timestamp>"
+const TIMESTAMP_PATTERN = new RegExp(
+  `\\b(?:after|until|not\\s+before)\\s+(${ISO_TIMESTAMP}|${RFC2822_TIMESTAMP})`,
+  "i",
+);
+
+const WILL_RETRY_UNTIL = /Will-Retry-Until:\s*([^\n]+)/i;
+
+/**
+ * Convert a number and unit to seconds
+ * @param {string|number} value - Amount
+ * @param {string} unit - Unit such as "min", "hours" or "d"
+ * @returns {number} Seconds
+ */
+function toSeconds(value, unit) {
+  const num = parseInt(value, 10);
+  const u = (unit || "").toLowerCase();
+  if (u.startsWith("d")) return num * 86400;
+  if (u.startsWith("h")) return num * 3600;
+  if (u.startsWith("m")) return num * 60;
+  return num;
+}
+
+/**
+ * Parse a duration such as "5 minutes", "90s" or "1h30m" to seconds
+ * @param {string} text - Duration text
+ * @returns {number} Seconds
+ */
+function parseDuration(text) {
+  let seconds = 0;
+  for (const match of text.matchAll(new RegExp(`(\\d+)\\s*(${UNIT})`, "gi"))) {
+    seconds += toSeconds(match[1], match[2]);
+  }
+  return seconds;
+}
+
+/**
+ * Timezone offset in minutes from a zone string
+ */
+function zoneOffset(zone) {
+  if (!zone) return 0;
+  const numeric = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (numeric) {
+    const minutes = parseInt(numeric[2], 10) * 60 + parseInt(numeric[3], 10);
+    return numeric[1] === "-" ? -minutes : minutes;
+  }
+  return ZONES[zone.toLowerCase()] || 0;
+}
+
+/**
+ * Parse an ISO 8601 style or RFC 2822 timestamp
+ * Timestamps without a zone are read as UTC
+ * @param {string} text - Timestamp text
+ * @returns {number|null} Milliseconds since epoch, or null if not a timestamp
+ */
+export function parseTimestamp(text) {
+  if (typeof text !== "string") return null;
+
+  const iso = text.match(new RegExp(ISO_TIMESTAMP, "i"));
+  if (iso) {
+    const [, year, month, day, hour, minute, second, zone] = iso;
+    return (
+      Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0)) -
+      zoneOffset(zone) * 60000
+    );
+  }
+
+  const rfc = text.match(new RegExp(RFC2822_TIMESTAMP, "i"));
+  if (rfc) {
+    const [, day, monthName, year, hour, minute, second, zone] = rfc;
+    const month = MONTHS[monthName.toLowerCase()];
+    if (month === undefined) return null;
+    return (
+      Date.UTC(+year, month, +day, +hour, +minute, +(second || 0)) -
+      zoneOffset(zone) * 60000
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Extract retry timing from a bounce message
+ * @param {string} message - The bounce message
+ * @param {Object} options - Options
+ * @param {Date|number} options.now - Reference time for relative timing (default: current time)
+ * @param {string} options.willRetryUntil - DSN Will-Retry-Until value, if not part of the message
+ * @returns {Object|null} { minSeconds, maxSeconds, notBefore, notAfter, source }, or null if no timing found
+ */
+export function extractRetryInfo(message, options = {}) {
+  if (typeof message !== "string") return null;
+
+  const now =
+    options.now instanceof Date
+      ? options.now.getTime()
+      : typeof options.now === "number"
+        ? options.now
+        : Date.now();
+
+  let info = null;
+
+  // Absolute timestamps are the most precise, past times are ignored
+  const timestamp = message.match(TIMESTAMP_PATTERN);
+  const notBefore = timestamp ? parseTimestamp(timestamp[1]) : null;
+  if (notBefore !== null && notBefore > now) {
+    const seconds = Math.ceil((notBefore - now) / 1000);
+    info = {
+      minSeconds: seconds,
+      maxSeconds: seconds,
+      notBefore: new Date(notBefore),
+      notAfter: null,
+      source: "timestamp",
+    };
+  }
+
+  if (!info) {
+    for (const pattern of RANGE_PATTERNS) {
+      const match = message.match(pattern);
+      if (!match) continue;
+      const min = toSeconds(match[1], match[2] || match[4]);
+      const max = toSeconds(match[3], match[4]);
+      if (min >= 1 && max >= min) {
+        info = {
+          minSeconds: min,
+          maxSeconds: max,
+          notBefore: new Date(now + min * 1000),
+          notAfter: null,
+          source: "range",
+        };
+        break;
+      }
+    }
+  }
+
+  if (!info) {
+    for (const pattern of DURATION_PATTERNS) {
+      const match = message.match(pattern);
+      if (!match) continue;
+      const seconds = parseDuration(match[1]);
+      if (seconds >= 1) {
+        info = {
+          minSeconds: seconds,
+          maxSeconds: seconds,
+          notBefore: new Date(now + seconds * 1000),
+          notAfter: null,
+          source: "duration",
+        };
+        break;
+      }
+    }
+  }
+
+  // Will-Retry-Until is when the reporting MTA gives up, an upper bound
+  const untilMatch = options.willRetryUntil
+    ? [null, options.willRetryUntil]
+    : message.match(WILL_RETRY_UNTIL);
+  const notAfter = untilMatch ? parseTimestamp(untilMatch[1]) : null;
+  if (notAfter !== null && notAfter > now) {
+    const seconds = Math.floor((notAfter - now) / 1000);
+    if (info) {
+      info.notAfter = new Date(notAfter);
+    } else {
+      info = {
+        minSeconds: 0,
+        maxSeconds: seconds,
+        notBefore: null,
+        notAfter: new Date(notAfter),
+        source: "will-retry-until",
+      };
+    }
+  }
+
+  return info;
+}
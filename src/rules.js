@@ -0,0 +1,203 @@
+/**
+ * @postalsys/bounce-classifier
+ * User-defined override rules
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Where a rule is checked in the classification pipeline:
+//   before_text  - before the built-in text patterns (overrides everything)
+//   before_model - after the text patterns, before the model prediction
+//   before_code  - when the model is not confident, before the SMTP code fallback
+//   after_code   - when the SMTP code fallback found nothing either
+export const RULE_PRIORITIES = [
+  "before_text",
+  "before_model",
+  "before_code",
+  "after_code",
+];
+
+const MATCH_KEYS = [
+  "pattern",
+  "code",
+  "enhancedCode",
+  "host",
+  "hostPattern",
+  "provider",
+];
+
+// Flags that make test() resume at the lastIndex of the previous match,
+// so a pattern would only match every other message
+const STATEFUL_FLAGS = /[gy]/g;
+
+/**
+ * Compile a regex given as a RegExp or a string
+ * The g and y flags are dropped, patterns are matched against one message
+ * at a time.
+ * @param {RegExp|string} value - Regex or its source
+ * @param {string} flags - Flags for string sources
+ * @param {string} context - Context for error messages
+ * @returns {RegExp}
+ */
+export function toRegExp(value, flags, context) {
+  if (value instanceof RegExp) {
+    return value.global || value.sticky
+      ? new RegExp(value.source, value.flags.replace(STATEFUL_FLAGS, ""))
+      : value;
+  }
+  if (typeof value !== "string") {
+    throw new Error(`${context} must be a string or a RegExp`);
+  }
+  try {
+    return new RegExp(
+      value,
+      typeof flags === "string" ? flags.replace(STATEFUL_FLAGS, "") : flags,
+    );
+  } catch (error) {
+    throw new Error(`${context} is not a valid regex: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a code condition to a list of strings
+ */
+function toCodeList(value, context) {
+  const list = Array.isArray(value) ? value : [value];
+  for (const code of list) {
+    if (typeof code !== "string" && typeof code !== "number") {
+      throw new Error(`${context} must be a string or an array of strings`);
+    }
+  }
+  return list.map(String);
+}
+
+/**
+ * Check a host against an exact name or a "*.example.com" wildcard
+ */
+function hostMatches(host, expected) {
+  if (expected.startsWith("*.")) {
+    return host.endsWith(expected.substring(1));
+  }
+  return host === expected;
+}
+
+/**
+ * Validate and compile a single rule
+ * Regexes may be given as strings, so rules can be stored as JSON
+ * @param {Object} rule - Rule definition
+ * @param {string} context - Context for error messages
+ * @returns {Object} Compiled rule
+ */
+export function compileRule(rule, context = "Rule") {
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${context} must be an object`);
+  }
+  if (typeof rule.id !== "string" || !rule.id) {
+    throw new Error(`${context} must have a string id`);
+  }
+  context = `Rule "${rule.id}"`;
+
+  if (typeof rule.label !== "string" || !rule.label) {
+    throw new Error(`${context} must have a string label`);
+  }
+  if (rule.action !== undefined && typeof rule.action !== "string") {
+    throw new Error(`${context} action must be a string`);
+  }
+
+  const priority = rule.priority || "before_text";
+  if (!RULE_PRIORITIES.includes(priority)) {
+    throw new Error(
+      `${context} priority must be one of ${RULE_PRIORITIES.join(", ")}`,
+    );
+  }
+
+  const match = rule.match || {};
+  if (!MATCH_KEYS.some((key) => match[key] !== undefined)) {
+    throw new Error(
+      `${context} must match on at least one of ${MATCH_KEYS.join(", ")}`,
+    );
+  }
+
+  const flags = match.flags !== undefined ? match.flags : "i";
+  const compiled = {
+    id: rule.id,
+    priority,
+    label: rule.label,
+    action: rule.action || null,
+    metadata: rule.metadata || null,
+    pattern:
+      match.pattern !== undefined
+        ? toRegExp(match.pattern, flags, `${context} pattern`)
+        : null,
+    codes:
+      match.code !== undefined
+        ? toCodeList(match.code, `${context} code`)
+        : null,
+    enhancedCodes:
+      match.enhancedCode !== undefined
+        ? toCodeList(match.enhancedCode, `${context} enhancedCode`)
+        : null,
+    host: match.host !== undefined ? String(match.host).toLowerCase() : null,
+    hostPattern:
+      match.hostPattern !== undefined
+        ? toRegExp(match.hostPattern, "i", `${context} hostPattern`)
+        : null,
+    providers:
+      match.provider !== undefined
+        ? toCodeList(match.provider, `${context} provider`).map((id) =>
+            id.toLowerCase(),
+          )
+        : null,
+    definition: rule,
+  };
+
+  return compiled;
+}
+
+/**
+ * Check if all conditions of a rule match
+ * @param {Object} rule - Compiled rule
+ * @param {Object} context - { message, code, enhancedCode, host, provider }
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, context) {
+  if (rule.pattern && !rule.pattern.test(context.message)) return false;
+  if (rule.codes && !rule.codes.includes(context.code)) return false;
+  if (
+    rule.enhancedCodes &&
+    !rule.enhancedCodes.includes(context.enhancedCode)
+  ) {
+    return false;
+  }
+  if (rule.host && !(context.host && hostMatches(context.host, rule.host))) {
+    return false;
+  }
+  if (
+    rule.hostPattern &&
+    !(context.host && rule.hostPattern.test(context.host))
+  ) {
+    return false;
+  }
+  if (
+    rule.providers &&
+    !(context.provider && rule.providers.includes(context.provider.id))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first rule with the given priority that matches
+ * @param {Object[]} rules - Compiled rules in order
+ * @param {string} priority - Pipeline stage
+ * @param {Object} context - { message, code, enhancedCode, host, provider }
+ * @returns {Object|null} Matching rule, or null
+ */
+export function matchRule(rules, priority, context) {
+  for (const rule of rules) {
+    if (rule.priority === priority && ruleMatches(rule, context)) return rule;
+  }
+  return null;
+}
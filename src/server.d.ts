@@ -0,0 +1,57 @@
+/**
+ * @postalsys/bounce-classifier/server
+ * TypeScript type definitions for the HTTP classification service
+ */
+
+import type { IncomingMessage, Server, ServerResponse } from "node:http";
+import type { Classifier } from "./index.js";
+
+/**
+ * Options for createRequestHandler
+ */
+export interface RequestHandlerOptions {
+  /** Most messages per POST /classify/batch request (default: 1000) */
+  maxBatchMessages?: number;
+  /** Largest POST /classify/batch body in bytes (default: 10 MiB) */
+  maxBatchBodySize?: number;
+  /** Called with unexpected errors, which are answered with status 500 */
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Options for createServer
+ */
+export interface ServerOptions extends RequestHandlerOptions {
+  /** Milliseconds shutdown() waits for open requests before closing their connections (default: 10000) */
+  shutdownTimeout?: number;
+}
+
+/**
+ * HTTP server with graceful shutdown
+ */
+export interface ClassifierServer extends Server {
+  /** Stop accepting connections and resolve once open requests are done */
+  shutdown(): Promise<void>;
+}
+
+/**
+ * Create a request handler for the classification endpoints, for use in an
+ * existing node:http server. Starts loading the model right away.
+ * @param classifier - Classifier instance (default: a new instance)
+ * @param options - Batch limits and error callback
+ */
+export function createRequestHandler(
+  classifier?: Classifier,
+  options?: RequestHandlerOptions,
+): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/**
+ * Create an HTTP server with POST /classify, POST /classify/batch,
+ * GET /labels, GET /healthz and GET /readyz. Call listen() to start it.
+ * @param classifier - Classifier instance (default: a new instance)
+ * @param options - Batch limits, shutdown timeout and error callback
+ */
+export function createServer(
+  classifier?: Classifier,
+  options?: ServerOptions,
+): ClassifierServer;
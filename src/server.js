@@ -0,0 +1,341 @@
+/**
+ * @postalsys/bounce-classifier
+ * HTTP classification service on node:http
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import http from "node:http";
+import { Buffer } from "node:buffer";
+import { setTimeout, clearTimeout } from "node:timers";
+
+import { createClassifier, MAX_MESSAGE_LENGTH } from "./index.js";
+
+// A JSON-escaped character takes at most 6 bytes ("\uXXXX"), the rest is
+// room for the options next to the message
+const MAX_CLASSIFY_BODY = MAX_MESSAGE_LENGTH * 6 + 16 * 1024;
+const DEFAULT_MAX_BATCH_MESSAGES = 1000;
+const DEFAULT_MAX_BATCH_BODY = 10 * 1024 * 1024;
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+// Request fields passed on to classify() and classifyBatch()
+const CLASSIFY_OPTIONS = [
+  "smtpCodes",
+  "remoteHost",
+  "willRetryUntil",
+  "topK",
+  "abstainBelow",
+  "minMargin",
+  "codeFallbackThreshold",
+  "codeFallbackOnUnknown",
+];
+const BATCH_OPTIONS = [
+  "topK",
+  "abstainBelow",
+  "minMargin",
+  "codeFallbackThreshold",
+  "codeFallbackOnUnknown",
+];
+
+/**
+ * Error answered with an HTTP status and a JSON body
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/**
+ * Read and parse a JSON request body of at most `limit` bytes
+ */
+async function readJsonBody(req, limit) {
+  const declared = Number(req.headers["content-length"]);
+  if (declared > limit) {
+    throw httpError(413, `Request body exceeds ${limit} bytes`);
+  }
+
+  const data = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // Keep draining the socket, so the error response can be read
+        req.off("data", onData);
+        req.resume();
+        reject(httpError(413, `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+  let body;
+  try {
+    body = JSON.parse(data.toString("utf8"));
+  } catch {
+    throw httpError(400, "Request body is not valid JSON");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Copy the allowed options from a request body
+ */
+function pickOptions(body, names) {
+  const options = {};
+  for (const name of names) {
+    if (body[name] !== undefined) options[name] = body[name];
+  }
+  return options;
+}
+
+/**
+ * Create a request handler for the classification endpoints
+ * Use it with http.createServer(), or call it from the request handler of
+ * an existing server.
+ * @param {Object} classifier - Instance from createClassifier() (default: a new instance)
+ * @param {Object} options - Handler options
+ * @param {number} options.maxBatchMessages - Most messages per batch request (default: 1000)
+ * @param {number} options.maxBatchBodySize - Largest batch request body in bytes (default: 10 MiB)
+ * @param {Function} options.onError - Called with unexpected errors, answered with status 500 (optional)
+ * @returns {Function} Handler (req, res) => Promise<void>
+ */
+export function createRequestHandler(classifier, options = {}) {
+  classifier = classifier || createClassifier();
+  const maxBatchMessages =
+    options.maxBatchMessages !== undefined
+      ? options.maxBatchMessages
+      : DEFAULT_MAX_BATCH_MESSAGES;
+  const maxBatchBodySize =
+    options.maxBatchBodySize !== undefined
+      ? options.maxBatchBodySize
+      : DEFAULT_MAX_BATCH_BODY;
+  for (const [name, value] of [
+    ["maxBatchMessages", maxBatchMessages],
+    ["maxBatchBodySize", maxBatchBodySize],
+  ]) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${name} must be a positive integer`);
+    }
+  }
+
+  let shuttingDown = false;
+  let loadError = null;
+  let loading = null;
+
+  /**
+   * Load the model, starting a new attempt after a failed one
+   */
+  function loadModel() {
+    if (!loading) {
+      loading = classifier.initialize().then(
+        () => {
+          loadError = null;
+        },
+        (error) => {
+          loadError = error;
+          loading = null;
+        },
+      );
+    }
+    return loading;
+  }
+
+  // Load the model up front so /readyz turns ready without a first request
+  loadModel();
+
+  /**
+   * Wait for the model, failing the request when it could not be loaded
+   */
+  async function requireModel() {
+    await loadModel();
+    if (!classifier.isReady()) {
+      throw httpError(
+        503,
+        `Model is not loaded${loadError ? `: ${loadError.message}` : ""}`,
+      );
+    }
+  }
+
+  /**
+   * Run a classifier call, input errors become 400 responses
+   */
+  async function validated(call) {
+    await requireModel();
+    try {
+      return await call();
+    } catch (error) {
+      if (error.code === "ERR_INVALID_INPUT") {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    }
+  }
+
+  const routes = {
+    "/classify": {
+      POST: async (req) => {
+        const body = await readJsonBody(req, MAX_CLASSIFY_BODY);
+        return validated(() =>
+          classifier.classify(
+            body.message,
+            pickOptions(body, CLASSIFY_OPTIONS),
+          ),
+        );
+      },
+    },
+    "/classify/batch": {
+      POST: async (req) => {
+        const body = await readJsonBody(req, maxBatchBodySize);
+        if (!Array.isArray(body.messages)) {
+          throw httpError(400, "messages must be an array");
+        }
+        if (body.messages.length > maxBatchMessages) {
+          throw httpError(
+            413,
+            `messages must not have more than ${maxBatchMessages} entries`,
+          );
+        }
+        const results = await validated(() =>
+          classifier.classifyBatch(
+            body.messages,
+            pickOptions(body, BATCH_OPTIONS),
+          ),
+        );
+        return { results };
+      },
+    },
+    "/labels": {
+      GET: async () => {
+        await requireModel();
+        return { labels: await classifier.getLabels() };
+      },
+    },
+    "/healthz": {
+      GET: async () => ({ status: "ok" }),
+    },
+    "/readyz": {
+      GET: async () => {
+        if (shuttingDown) {
+          throw httpError(503, "Server is shutting down");
+        }
+        // A failed load is retried in the background, so the next probe
+        // can succeed once the cause is fixed
+        if (!loading) loadModel();
+        if (!classifier.isReady()) {
+          throw httpError(
+            503,
+            loadError
+              ? `Model could not be loaded: ${loadError.message}`
+              : "Model is loading",
+          );
+        }
+        return { status: "ready" };
+      },
+    },
+  };
+
+  async function handler(req, res) {
+    const headers = shuttingDown ? { Connection: "close" } : {};
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const route = routes[pathname];
+      if (!route) {
+        throw httpError(404, `Not found: ${pathname}`);
+      }
+      const action = route[req.method];
+      if (!action) {
+        headers.Allow = Object.keys(route).join(", ");
+        throw httpError(405, `Method ${req.method} is not allowed`);
+      }
+      sendJson(res, 200, await action(req), headers);
+    } catch (error) {
+      const status = error.status || 500;
+      // Unread request data would otherwise be parsed as the next request
+      if (status === 413) headers.Connection = "close";
+      sendJson(
+        res,
+        status,
+        { error: status === 500 ? "Internal server error" : error.message },
+        headers,
+      );
+      if (status === 500 && options.onError) options.onError(error);
+    }
+  }
+
+  handler.setShuttingDown = () => {
+    shuttingDown = true;
+  };
+
+  return handler;
+}
+
+/**
+ * Create an HTTP server for a classifier
+ * Endpoints: POST /classify, POST /classify/batch, GET /labels, GET /healthz
+ * and GET /readyz. Call listen() on the result to start it.
+ * @param {Object} classifier - Instance from createClassifier() (default: a new instance)
+ * @param {Object} options - Server options, and the options of createRequestHandler()
+ * @param {number} options.shutdownTimeout - Milliseconds shutdown() waits for open requests (default: 10000)
+ * @returns {http.Server} Server with an added shutdown() method
+ */
+export function createServer(classifier, options = {}) {
+  const handler = createRequestHandler(classifier, options);
+  const server = http.createServer(handler);
+  const shutdownTimeout =
+    options.shutdownTimeout !== undefined
+      ? options.shutdownTimeout
+      : DEFAULT_SHUTDOWN_TIMEOUT;
+
+  let closing = null;
+
+  /**
+   * Stop accepting connections, let open requests finish and close idle
+   * keep-alive connections. Connections still open after the timeout are
+   * closed forcibly.
+   * @returns {Promise<void>} Resolves when the server is closed
+   */
+  server.shutdown = () => {
+    if (closing) return closing;
+    handler.setShuttingDown();
+
+    closing = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        server.closeAllConnections?.();
+      }, shutdownTimeout);
+      timer.unref();
+
+      server.close((error) => {
+        clearTimeout(timer);
+        if (error && error.code !== "ERR_SERVER_NOT_RUNNING") reject(error);
+        else resolve();
+      });
+      server.closeIdleConnections?.();
+    });
+    return closing;
+  };
+
+  return server;
+}
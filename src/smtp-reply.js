@@ -0,0 +1,136 @@
+/**
+ * @postalsys/bounce-classifier
+ * SMTP reply parser
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// First reply code: at the start of a line (also "#550" as in Exchange
+// NDRs), or after a known MTA prefix such as "said:", "refused to talk to me:",
+// "smtp;", "returned '", "host x[1.2.3.4]:" or "RCPT TO:<x>:". Behind a
+// prefix only 4xx and 5xx codes count, a 2xx there is not the final reply.
+const REPLY_START =
+  /^#?[ \t]*([245][0-5]\d)(?=[ -]|$)|(?:\bsaid:|\bto me:|\b(?:smtp|x-[\w-]+);|\breturned ['"]|[\]>]:)[ \t]*([45][0-5]\d)(?=[ -]|$)/im;
+
+// Continuation lines of an unfolded multi-line reply ("550-... 550 ...")
+const REPLY_LINE = /(?:^|\s)([245][0-5]\d)([ -]|$)/g;
+
+// Enhanced status code (RFC 3463), not part of a longer dotted number such as an IP
+const ENHANCED_CODE = /(?:^|[^\d.])([245])\.(\d{1,3})\.(\d{1,3})(?![.\d])/;
+
+// Host and IP reported in front of the reply
+const HOST_WITH_IP =
+  /([A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+)\s*\[((?:\d{1,3}\.){3}\d{1,3}|[0-9A-Fa-f:.]*:[0-9A-Fa-f:.]*)\]/;
+const BARE_IP =
+  /\[((?:\d{1,3}\.){3}\d{1,3}|(?:IPv6:)?[0-9A-Fa-f:.]*:[0-9A-Fa-f:.]*)\]/;
+
+// Trailing text added by the reporting MTA, not part of the reply
+const REPLY_SUFFIX = /\s*\(in reply to [^)]*\)\s*$/i;
+
+/**
+ * Parse an SMTP reply, including multi-line replies and MTA prefixes
+ * @param {string} text - Reply text, e.g. "host mx[1.2.3.4] said: 550-5.7.1 ..."
+ * @returns {Object} Parsed reply
+ */
+export function parseSmtpReply(text) {
+  const result = {
+    code: null,
+    enhancedCode: null,
+    text: "",
+    host: null,
+    ip: null,
+    multiline: false,
+    inconsistent: false,
+  };
+  if (typeof text !== "string") return result;
+
+  const normalized = text.replace(/\r\n?/g, "\n");
+  const start = normalized.match(REPLY_START);
+
+  let prefix = normalized;
+  let reply = "";
+  if (start) {
+    const codeIndex = start.index + start[0].length - 3;
+    prefix = normalized.substring(0, codeIndex);
+    reply = normalized.substring(codeIndex).replace(REPLY_SUFFIX, "");
+    result.code = start[1] || start[2];
+  }
+
+  // Remote host and IP from the prefix ("host mx.example.com[1.2.3.4] said:")
+  const hostMatch = prefix.match(HOST_WITH_IP);
+  if (hostMatch) {
+    result.host = hostMatch[1].toLowerCase();
+    result.ip = hostMatch[2];
+  } else {
+    const ipMatch = prefix.match(BARE_IP);
+    if (ipMatch) result.ip = ipMatch[1].replace(/^IPv6:/i, "");
+  }
+
+  if (!reply) {
+    const enhanced = normalized.match(ENHANCED_CODE);
+    if (enhanced) {
+      result.enhancedCode = `${enhanced[1]}.${enhanced[2]}.${enhanced[3]}`;
+    }
+    result.text = normalized
+      .replace(REPLY_SUFFIX, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return result;
+  }
+
+  // Split into reply lines, each starting with a reply code
+  const lines = [];
+  const codes = new Set();
+  const matches = [...reply.matchAll(REPLY_LINE)];
+  for (let i = 0; i < matches.length; i++) {
+    const code = matches[i][1];
+    // A code in the middle of the text only starts a new line if it repeats
+    // a code seen so far, otherwise it is part of the reply text
+    if (i > 0 && !codes.has(code) && matches[i][0][0] !== "\n") continue;
+    codes.add(code);
+    lines.push({
+      code,
+      index: matches[i].index + matches[i][0].indexOf(code),
+    });
+  }
+
+  const parts = [];
+  const enhancedCodes = new Set();
+  for (let i = 0; i < lines.length; i++) {
+    const end = i + 1 < lines.length ? lines[i + 1].index : reply.length;
+    let part = reply.substring(lines[i].index + 3, end).replace(/^[ -]/, "");
+
+    // Enhanced code repeated at the start of each line
+    const enhanced = part.match(/^\s*([245])\.(\d{1,3})\.(\d{1,3})(?![.\d])/);
+    if (enhanced) {
+      enhancedCodes.add(`${enhanced[1]}.${enhanced[2]}.${enhanced[3]}`);
+      part = part.substring(enhanced[0].length);
+    }
+
+    part = part.replace(/\s+/g, " ").trim();
+    if (part) parts.push(part);
+  }
+
+  result.text = parts.join(" ");
+  result.multiline = lines.length > 1;
+
+  if (enhancedCodes.size) {
+    result.enhancedCode = [...enhancedCodes][0];
+  } else {
+    // Enhanced code inside the text, e.g. "(#5.1.2)"
+    const enhanced = reply.match(ENHANCED_CODE);
+    if (enhanced) {
+      result.enhancedCode = `${enhanced[1]}.${enhanced[2]}.${enhanced[3]}`;
+    }
+  }
+
+  // Basic and enhanced codes must agree on the class (RFC 3463), and all
+  // lines of a multi-line reply must carry the same codes (RFC 5321)
+  result.inconsistent =
+    codes.size > 1 ||
+    enhancedCodes.size > 1 ||
+    (result.enhancedCode !== null && result.enhancedCode[0] !== result.code[0]);
+
+  return result;
+}
@@ -0,0 +1,67 @@
+/**
+ * @postalsys/bounce-classifier/stream
+ * TypeScript type definitions for record streams
+ */
+
+import type { Transform } from "node:stream";
+import type {
+  ClassificationResult,
+  ClassifyOptions,
+  Classifier,
+} from "./index.js";
+
+/**
+ * Options for createClassifyStream and classifyIterable
+ */
+export interface ClassifyStreamOptions {
+  /** Field with the message, dots for nesting (default: "message") */
+  field?: string;
+  /** Key the classification result is attached under (default: "classification") */
+  resultKey?: string;
+  /** "annotate" adds the error message under errorKey, "drop" leaves the record out (default: "annotate") */
+  errors?: "annotate" | "drop";
+  /** Key the error message is attached under (default: "error") */
+  errorKey?: string;
+  /** Records classified ahead of the output (default: 1) */
+  concurrency?: number;
+  /** Classifier instance (default: the default instance) */
+  classifier?: Pick<Classifier, "initialize" | "classify">;
+  /** Options passed to classify() */
+  classifyOptions?: ClassifyOptions;
+  /**
+   * Called for every record that cannot be classified. If it throws, the
+   * stream fails with an error carrying the record's `index` and the thrown
+   * error as `cause`.
+   */
+  onError?: (error: Error, record: unknown) => void;
+}
+
+/**
+ * Input record with the classification result attached. Records that are
+ * not objects are wrapped as { record, [errorKey]: message }.
+ */
+export type ClassifiedRecord = Record<string, unknown> & {
+  classification?: ClassificationResult;
+  error?: string;
+};
+
+/**
+ * Create an object-mode Transform stream that classifies a field of every
+ * record, keeping the input order. Waits for the model before emitting and
+ * fails only when the model cannot be loaded or onError throws.
+ * @param options - Field, result key, error handling and concurrency
+ */
+export function createClassifyStream(
+  options?: ClassifyStreamOptions,
+): Transform;
+
+/**
+ * Classify the records of an iterable in order, the async-iterator form of
+ * createClassifyStream()
+ * @param iterable - Records to classify
+ * @param options - As for createClassifyStream()
+ */
+export function classifyIterable(
+  iterable: AsyncIterable<unknown> | Iterable<unknown>,
+  options?: ClassifyStreamOptions,
+): AsyncGenerator<ClassifiedRecord, void, undefined>;
@@ -0,0 +1,199 @@
+/**
+ * @postalsys/bounce-classifier
+ * Record streams: Transform stream and async iterator that classify a field
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { Transform } from "node:stream";
+
+import { initialize, classify } from "./index.js";
+
+const ERROR_MODES = ["annotate", "drop"];
+
+// Module-level functions use the default classifier instance
+const defaultClassifier = { initialize, classify };
+
+/**
+ * Read a value by a dotted path ("event.diagnostic")
+ */
+function getPath(object, path) {
+  let current = object;
+  for (const key of path.split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Validate stream options and build the per-record classification step
+ * @param {Object} options - Options of createClassifyStream()
+ * @returns {Object} { concurrency, classifyRecord }
+ */
+function createRecordClassifier(options) {
+  const {
+    field = "message",
+    resultKey = "classification",
+    errorKey = "error",
+    errors = "annotate",
+    concurrency = 1,
+    classifier = defaultClassifier,
+    classifyOptions = {},
+    onError,
+  } = options;
+
+  for (const [name, value] of [
+    ["field", field],
+    ["resultKey", resultKey],
+    ["errorKey", errorKey],
+  ]) {
+    if (typeof value !== "string" || !value) {
+      throw new Error(`${name} must be a non-empty string`);
+    }
+  }
+  if (!ERROR_MODES.includes(errors)) {
+    throw new Error(`errors must be one of ${ERROR_MODES.join(", ")}`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("concurrency must be a positive integer");
+  }
+  if (onError !== undefined && typeof onError !== "function") {
+    throw new Error("onError must be a function");
+  }
+
+  // Start loading right away, nothing is emitted before the model is ready
+  const ready = classifier.initialize();
+  ready.catch(() => {});
+
+  /**
+   * Classify one record
+   * Resolves to the annotated record, or null when it is dropped. Rejects
+   * only when the model cannot be loaded or onError throws.
+   */
+  async function classifyRecord(record, index) {
+    await ready;
+    try {
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        throw new Error(
+          `Record must be an object, got ${Array.isArray(record) ? "array" : typeof record}`,
+        );
+      }
+      const message = getPath(record, field);
+      if (typeof message !== "string") {
+        throw new Error(
+          `Field "${field}" must be a string, got ${typeof message}`,
+        );
+      }
+      const result = await classifier.classify(message, classifyOptions);
+      return { ...record, [resultKey]: result };
+    } catch (error) {
+      if (onError) {
+        try {
+          onError(error, record);
+        } catch (handlerError) {
+          // The stream cannot go on, say which record it stopped at
+          const failure = new Error(
+            `onError failed for the record at index ${index}: ${handlerError.message}`,
+          );
+          failure.index = index;
+          failure.cause = handlerError;
+          throw failure;
+        }
+      }
+      if (errors === "drop") return null;
+      return record && typeof record === "object" && !Array.isArray(record)
+        ? { ...record, [errorKey]: error.message }
+        : { record, [errorKey]: error.message };
+    }
+  }
+
+  return { concurrency, classifyRecord };
+}
+
+/**
+ * Start classifying a record, without an unhandled rejection while it waits
+ * in the queue
+ */
+function enqueue(queue, promise) {
+  promise.catch(() => {});
+  queue.push(promise);
+}
+
+/**
+ * Create an object-mode Transform stream that classifies a field of every
+ * record and attaches the result
+ * Output keeps the input order. With concurrency above 1, that many records
+ * are classified ahead of the one being emitted. A record that cannot be
+ * classified is annotated with an error or dropped, the stream only fails
+ * when the model cannot be loaded or onError throws. In that case the error
+ * has the 0-based index of the record and the thrown error as cause.
+ * @param {Object} options - Stream options
+ * @param {string} options.field - Field with the message, dots for nesting (default: "message")
+ * @param {string} options.resultKey - Key for the classification result (default: "classification")
+ * @param {string} options.errors - "annotate" adds the error message under errorKey, "drop" leaves the record out (default: "annotate")
+ * @param {string} options.errorKey - Key for the error message (default: "error")
+ * @param {number} options.concurrency - Records classified ahead of the output (default: 1)
+ * @param {Object} options.classifier - Instance from createClassifier() (default: the default instance)
+ * @param {Object} options.classifyOptions - Options passed to classify() (optional)
+ * @param {Function} options.onError - Called with (error, record) for every record that fails, a throw fails the stream (optional)
+ * @returns {Transform} Transform stream in object mode
+ */
+export function createClassifyStream(options = {}) {
+  const { concurrency, classifyRecord } = createRecordClassifier(options);
+  const queue = [];
+  let index = 0;
+
+  return new Transform({
+    objectMode: true,
+
+    transform(record, _encoding, callback) {
+      enqueue(queue, classifyRecord(record, index++));
+      // Accept more input while the queue has room, this is the backpressure
+      if (queue.length < concurrency) {
+        callback();
+        return;
+      }
+      queue.shift().then((output) => {
+        if (output !== null) this.push(output);
+        callback();
+      }, callback);
+    },
+
+    flush(callback) {
+      const drain = async () => {
+        while (queue.length) {
+          const output = await queue.shift();
+          if (output !== null) this.push(output);
+        }
+      };
+      drain().then(() => callback(), callback);
+    },
+  });
+}
+
+/**
+ * Classify the records of an iterable, in order
+ * The async-iterator form of createClassifyStream(), with the same options.
+ * @param {AsyncIterable|Iterable} iterable - Records to classify
+ * @param {Object} options - Options of createClassifyStream()
+ * @returns {AsyncGenerator<Object>} Annotated records
+ */
+export async function* classifyIterable(iterable, options = {}) {
+  const { concurrency, classifyRecord } = createRecordClassifier(options);
+  const queue = [];
+  let index = 0;
+
+  for await (const record of iterable) {
+    enqueue(queue, classifyRecord(record, index++));
+    if (queue.length >= concurrency) {
+      const output = await queue.shift();
+      if (output !== null) yield output;
+    }
+  }
+  while (queue.length) {
+    const output = await queue.shift();
+    if (output !== null) yield output;
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * @postalsys/bounce-classifier
+ * Recipient suppression tracking
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { getAction as defaultGetAction } from "./actions.js";
+
+const DAY = 86400;
+
+// Format version of exported state
+const STATE_VERSION = 1;
+
+/**
+ * Create an in-memory storage adapter
+ * Adapters may return promises from any method, the tracker awaits them
+ * @returns {Object} Adapter with get, set, delete, entries and clear
+ */
+export function createMemoryStore() {
+  const map = new Map();
+  return {
+    get: (recipient) => map.get(recipient),
+    set: (recipient, state) => {
+      map.set(recipient, state);
+    },
+    delete: (recipient) => {
+      map.delete(recipient);
+    },
+    entries: () => [...map.entries()],
+    clear: () => {
+      map.clear();
+    },
+  };
+}
+
+/**
+ * Convert a Date or millisecond timestamp to milliseconds
+ */
+function toMillis(value) {
+  if (value === undefined) return Date.now();
+  const ms = value instanceof Date ? value.getTime() : value;
+  if (typeof ms !== "number" || !Number.isFinite(ms)) {
+    throw new Error("timestamp must be a Date or a number");
+  }
+  return ms;
+}
+
+/**
+ * Normalize a recipient address for use as a storage key
+ */
+function normalizeRecipient(recipient) {
+  if (typeof recipient !== "string" || !recipient.trim()) {
+    throw new Error("recipient must be a non-empty string");
+  }
+  return recipient.trim().toLowerCase();
+}
+
+/**
+ * Initial state for a recipient without events
+ */
+function activeState(recipient) {
+  return {
+    recipient,
+    status: "active",
+    reason: null,
+    label: null,
+    softBounces: [],
+    suppressedAt: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Create a suppression tracker
+ * Turns classification results into per-recipient state: labels with the
+ * "remove" action suppress at once, labels with the "retry" action count
+ * toward the soft bounce threshold within a time window
+ * @param {Object} options - Tracker options
+ * @param {Object} options.store - Storage adapter (default: in-memory store)
+ * @param {number} options.softBounceThreshold - Soft bounces that lead to suppression (default: 5)
+ * @param {number} options.window - Time window for counting soft bounces, in seconds (default: 7 days)
+ * @param {Object} options.thresholds - Per-label { count, window } overrides (optional)
+ * @param {Function} options.getAction - Label to action mapping for results without an action (default: getAction)
+ * @returns {Object} Suppression tracker
+ */
+export function createSuppressionTracker(options = {}) {
+  const store = options.store || createMemoryStore();
+  const softBounceThreshold = options.softBounceThreshold ?? 5;
+  const windowSeconds = options.window ?? 7 * DAY;
+  const thresholds = options.thresholds || {};
+  const getAction = options.getAction || defaultGetAction;
+
+  if (!Number.isInteger(softBounceThreshold) || softBounceThreshold < 1) {
+    throw new Error("softBounceThreshold must be a positive integer");
+  }
+  if (typeof windowSeconds !== "number" || !(windowSeconds > 0)) {
+    throw new Error("window must be a positive number of seconds");
+  }
+  for (const [label, threshold] of Object.entries(thresholds)) {
+    if (!threshold || typeof threshold !== "object") {
+      throw new Error(`thresholds.${label} must be an object`);
+    }
+    if (!Number.isInteger(threshold.count) || threshold.count < 1) {
+      throw new Error(`thresholds.${label}.count must be a positive integer`);
+    }
+    if (
+      threshold.window !== undefined &&
+      (typeof threshold.window !== "number" || !(threshold.window > 0))
+    ) {
+      throw new Error(
+        `thresholds.${label}.window must be a positive number of seconds`,
+      );
+    }
+  }
+
+  /**
+   * Get the state of a recipient
+   * @param {string} recipient - Recipient address
+   * @returns {Promise<Object>} Recipient state
+   */
+  async function getState(recipient) {
+    const key = normalizeRecipient(recipient);
+    return (await store.get(key)) || activeState(key);
+  }
+
+  /**
+   * Check if a recipient is suppressed
+   * @param {string} recipient - Recipient address
+   * @returns {Promise<boolean>}
+   */
+  async function isSuppressed(recipient) {
+    return (await getState(recipient)).status === "suppressed";
+  }
+
+  /**
+   * Record a bounce for a recipient
+   * @param {string} recipient - Recipient address
+   * @param {Object} result - classify() result for the bounce
+   * @param {Date|number} timestamp - Time of the bounce (default: current time)
+   * @returns {Promise<Object>} Updated recipient state
+   */
+  async function record(recipient, result, timestamp) {
+    if (!result || typeof result.label !== "string") {
+      throw new Error("result must be a classification result");
+    }
+
+    const now = toMillis(timestamp);
+    const previous = await getState(recipient);
+    const state = { ...previous, softBounces: [...previous.softBounces] };
+    const { label } = result;
+
+    // Suppression is final until the recipient is released
+    if (state.status === "suppressed") return state;
+
+    // The action classify() recommended, so uncertain results marked for
+    // review and per-instance action overrides are honored
+    const action =
+      typeof result.action === "string" ? result.action : getAction(label);
+
+    if (action === "remove") {
+      state.status = "suppressed";
+      state.reason = `${label} is a permanent failure`;
+      state.label = label;
+      state.suppressedAt = now;
+    } else if (action === "retry") {
+      state.softBounces.push({ timestamp: now, label });
+
+      // Forget soft bounces outside the longest window in use
+      const longest = Math.max(
+        windowSeconds,
+        ...Object.values(thresholds).map((t) => t.window || 0),
+      );
+      state.softBounces = state.softBounces.filter(
+        (bounce) => bounce.timestamp > now - longest * 1000,
+      );
+
+      const labelThreshold = thresholds[label];
+      const count = (from, onlyLabel) =>
+        state.softBounces.filter(
+          (bounce) =>
+            bounce.timestamp > now - from * 1000 &&
+            (!onlyLabel || bounce.label === onlyLabel),
+        ).length;
+
+      state.label = label;
+      if (
+        labelThreshold &&
+        count(labelThreshold.window || windowSeconds, label) >=
+          labelThreshold.count
+      ) {
+        state.status = "suppressed";
+        state.reason = `${labelThreshold.count} ${label} soft bounces within ${(labelThreshold.window || windowSeconds) / 3600} hours`;
+        state.suppressedAt = now;
+      } else if (count(windowSeconds) >= softBounceThreshold) {
+        state.status = "suppressed";
+        state.reason = `${softBounceThreshold} soft bounces within ${windowSeconds / 3600} hours`;
+        state.suppressedAt = now;
+      } else {
+        state.status = "soft_bouncing";
+        state.reason = `${label} soft bounce`;
+      }
+    } else {
+      // Sender side problems (blocked IP, configuration, content) and
+      // results marked for review say nothing certain about the recipient,
+      // so the state is kept as is
+      return previous;
+    }
+
+    state.updatedAt = now;
+    await store.set(state.recipient, state);
+    return state;
+  }
+
+  /**
+   * Record a successful delivery, which clears soft bounces
+   * @param {string} recipient - Recipient address
+   * @param {Date|number} timestamp - Time of the delivery (default: current time)
+   * @returns {Promise<Object>} Updated recipient state
+   */
+  async function recordDelivery(recipient, timestamp) {
+    const now = toMillis(timestamp);
+    const previous = await getState(recipient);
+    if (previous.status === "suppressed") return previous;
+
+    const state = { ...activeState(previous.recipient), updatedAt: now };
+    await store.set(state.recipient, state);
+    return state;
+  }
+
+  /**
+   * Release a recipient, removing all tracked state
+   * @param {string} recipient - Recipient address
+   */
+  async function release(recipient) {
+    await store.delete(normalizeRecipient(recipient));
+  }
+
+  /**
+   * Export all recipient state as a JSON-serializable object
+   * @returns {Promise<Object>} { version, recipients }
+   */
+  async function exportState() {
+    const recipients = {};
+    for (const [recipient, state] of await store.entries()) {
+      recipients[recipient] = state;
+    }
+    return { version: STATE_VERSION, recipients };
+  }
+
+  /**
+   * Replace all recipient state with previously exported state
+   * @param {Object|string} data - Output of exportState(), or its JSON string
+   */
+  async function importState(data) {
+    if (typeof data === "string") data = JSON.parse(data);
+    if (!data || data.version !== STATE_VERSION || !data.recipients) {
+      throw new Error(
+        `Unsupported suppression state, expected version ${STATE_VERSION}`,
+      );
+    }
+
+    await store.clear();
+    for (const [recipient, state] of Object.entries(data.recipients)) {
+      const key = normalizeRecipient(recipient);
+      await store.set(key, {
+        ...activeState(key),
+        ...state,
+        recipient: key,
+      });
+    }
+  }
+
+  return {
+    record,
+    recordDelivery,
+    release,
+    getState,
+    isSuppressed,
+    exportState,
+    importState,
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * @postalsys/bounce-classifier
+ * Text preprocessing and tokenization, shared by inference and training
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+// Reserved vocabulary entries, as in Keras TextVectorization
+export const PADDING_TOKEN = 0;
+export const OOV_TOKEN = 1;
+
+/**
+ * Preprocess text for tokenization
+ */
+export function preprocessText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split text into the words produced by preprocessText(), with their
+ * character offsets in the original text
+ * @param {string} text - Input text
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export function wordSpans(text) {
+  const spans = [];
+  let current = null;
+  let index = 0;
+
+  for (const char of text) {
+    // Lowercasing may change the length ("\u0130" -> "i\u0307"), so check
+    // every character of the lowercased form against the source position
+    for (const lower of char.toLowerCase()) {
+      if (/\w/.test(lower)) {
+        if (!current) {
+          current = { word: "", start: index, end: index };
+          spans.push(current);
+        }
+        current.word += lower;
+        current.end = index + char.length;
+      } else {
+        current = null;
+      }
+    }
+    index += char.length;
+  }
+
+  return spans;
+}
+
+/**
+ * Tokenize text using vocabulary
+ * @param {string} text - Input text
+ * @param {Map<string, number>} vocabMap - Word to token id
+ * @param {number} maxLength - Sequence length, longer texts are cut and shorter ones padded
+ * @returns {number[]} Token ids
+ */
+export function tokenize(text, vocabMap, maxLength) {
+  const processed = preprocessText(text);
+  const words = processed.split(" ");
+  const tokens = new Array(maxLength).fill(PADDING_TOKEN);
+
+  for (let i = 0; i < Math.min(words.length, maxLength); i++) {
+    const word = words[i];
+    if (vocabMap.has(word)) {
+      tokens[i] = vocabMap.get(word);
+    } else {
+      tokens[i] = OOV_TOKEN;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a vocabulary from a corpus, in the vocab.json layout
+ * Index 0 is padding and 1 the OOV token, the remaining entries are the most
+ * frequent words, ties broken alphabetically so the result is repeatable
+ * @param {string[]} texts - Corpus texts
+ * @param {number} maxTokens - Vocabulary size including the two reserved entries
+ * @returns {string[]} Vocabulary, position is the token id
+ */
+export function buildVocabulary(texts, maxTokens) {
+  const counts = new Map();
+  for (const text of texts) {
+    const processed = preprocessText(text);
+    if (!processed) continue;
+    for (const word of processed.split(" ")) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  const words = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    .slice(0, Math.max(0, maxTokens - 2))
+    .map(([word]) => word);
+
+  return ["", "[UNK]", ...words];
+}
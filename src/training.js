@@ -0,0 +1,344 @@
+/**
+ * @postalsys/bounce-classifier
+ * Training pipeline: vocabulary, weights and TF.js model directory
+ *
+ * Copyright (c) Postal Systems OU
+ * Licensed under MIT
+ */
+
+import { buildVocabulary, tokenize } from "./tokenizer.js";
+import {
+  trainWeights,
+  splitExamples,
+  createRandom,
+  serializeWeights,
+  buildWeightsManifest,
+} from "./fine-tune.js";
+
+const DEFAULTS = {
+  maxTokens: 5000,
+  maxLength: 100,
+  embeddingDim: 64,
+  hiddenUnits: 64,
+  epochs: 30,
+  batchSize: 32,
+  learningRate: 0.001,
+  validationSplit: 0.2,
+  patience: 3,
+  dropout: 0.2,
+  seed: 1,
+};
+
+/**
+ * Load Node.js modules for file access
+ * @param {string} feature - Name of the caller for the browser error
+ */
+async function loadFileModules(feature) {
+  if (typeof window !== "undefined" && typeof window.document !== "undefined") {
+    throw new Error(`${feature} is only available in Node.js`);
+  }
+  const fs = await import("fs");
+  const path = await import("path");
+  return { fs: fs.promises, path };
+}
+
+/**
+ * Read a JSONL file, one JSON value per line, blank lines skipped
+ * Used for corpora, evaluation datasets and calibration samples.
+ * @param {string|URL} filePath - Path to the JSONL file
+ * @returns {Promise<Object[]>} Parsed lines
+ */
+export async function readJsonl(filePath) {
+  const { fs } = await loadFileModules("Reading JSONL files");
+  const lines = (await fs.readFile(filePath, "utf8")).split(/\r?\n/);
+  const examples = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      examples.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Line ${i + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+  return examples;
+}
+
+/**
+ * Keras-style layer topology for model.json
+ * @param {Object} sizes - { maxLength, vocabSize, embeddingDim, hiddenUnits, numLabels, dropout }
+ * @returns {Object} modelTopology
+ */
+function buildTopology(sizes) {
+  const { maxLength, vocabSize, embeddingDim, hiddenUnits, numLabels } = sizes;
+  const dense = (name, units, activation) => ({
+    class_name: "Dense",
+    config: {
+      name,
+      trainable: true,
+      dtype: "float32",
+      units,
+      activation,
+      use_bias: true,
+    },
+  });
+  const dropout = (name) => ({
+    class_name: "Dropout",
+    config: { name, trainable: true, dtype: "float32", rate: sizes.dropout },
+  });
+
+  return {
+    model_config: {
+      class_name: "Sequential",
+      config: {
+        name: "sequential",
+        layers: [
+          {
+            class_name: "InputLayer",
+            config: {
+              batch_input_shape: [null, maxLength],
+              dtype: "int32",
+              name: "input_1",
+            },
+          },
+          {
+            class_name: "Embedding",
+            config: {
+              name: "embedding",
+              trainable: true,
+              dtype: "float32",
+              input_dim: vocabSize,
+              output_dim: embeddingDim,
+              mask_zero: false,
+            },
+          },
+          {
+            class_name: "GlobalAveragePooling1D",
+            config: {
+              name: "global_average_pooling1d",
+              trainable: true,
+              dtype: "float32",
+              data_format: "channels_last",
+            },
+          },
+          dropout("dropout"),
+          dense("dense", hiddenUnits, "relu"),
+          dropout("dropout_1"),
+          dense("dense_1", numLabels, "softmax"),
+        ],
+      },
+    },
+    training_config: {
+      loss: "sparse_categorical_crossentropy",
+      optimizer_config: {
+        class_name: "Adam",
+        config: { learning_rate: sizes.learningRate },
+      },
+    },
+  };
+}
+
+/**
+ * Write a model directory that initialize({ modelPath }) can load
+ * @param {string} outputDir - Directory to write
+ * @param {Object} model - { weights, vocab, labels, config, modelTopology, generatedBy }
+ */
+async function writeModelDirectory(outputDir, model) {
+  const { fs, path } = await loadFileModules("trainModel");
+  const target = (file) => path.join(outputDir, file);
+  const writeJson = (file, value) =>
+    fs.writeFile(target(file), JSON.stringify(value, null, 2) + "\n");
+
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const data = serializeWeights(model.weights);
+  await fs.writeFile(
+    target("group1-shard1of1.bin"),
+    new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+  );
+
+  await writeJson("model.json", {
+    format: "layers-model",
+    generatedBy: model.generatedBy,
+    convertedBy: null,
+    modelTopology: model.modelTopology,
+    weightsManifest: buildWeightsManifest(model.weights),
+  });
+  await writeJson("vocab.json", model.vocab);
+  await writeJson("labels.json", model.labels);
+  await writeJson("config.json", model.config);
+}
+
+/**
+ * Random initial weights: Glorot uniform kernels, zero biases and uniform
+ * embeddings in [-0.05, 0.05], the Keras defaults
+ */
+function initialWeights(sizes, random) {
+  const { vocabSize, embeddingDim, hiddenUnits, numLabels } = sizes;
+  const uniform = (size, limit) =>
+    Float32Array.from({ length: size }, () => (random() * 2 - 1) * limit);
+  const glorot = (fanIn, fanOut) =>
+    uniform(fanIn * fanOut, Math.sqrt(6 / (fanIn + fanOut)));
+
+  return {
+    embedding: uniform(vocabSize * embeddingDim, 0.05),
+    dense1Kernel: glorot(embeddingDim, hiddenUnits),
+    dense1Bias: new Float32Array(hiddenUnits),
+    dense2Kernel: glorot(hiddenUnits, numLabels),
+    dense2Bias: new Float32Array(numLabels),
+  };
+}
+
+/**
+ * Check that a size option is a positive integer
+ */
+function validateSize(value, name, min = 1) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be an integer of at least ${min}`);
+  }
+}
+
+/**
+ * Train a model from scratch and write it as a TF.js-format model directory
+ * The vocabulary is built from the training split with the same text
+ * preprocessing that inference uses, so the two cannot drift apart.
+ * Node.js only.
+ * @param {Object[]|string} corpus - Labeled examples ({ message, label }), or a path to a JSONL file of them
+ * @param {Object} options - Training options
+ * @param {string} options.outputDir - Directory for the new model (required)
+ * @param {string[]} options.labels - Label set, in output order (default: the corpus labels, sorted)
+ * @param {number} options.maxTokens - Vocabulary size including padding and OOV (default: 5000)
+ * @param {number} options.maxLength - Sequence length in words (default: 100)
+ * @param {number} options.embeddingDim - Embedding size (default: 64)
+ * @param {number} options.hiddenUnits - Hidden layer size (default: 64)
+ * @param {number} options.epochs - Maximum number of epochs (default: 30)
+ * @param {number} options.batchSize - Examples per gradient step (default: 32)
+ * @param {number} options.learningRate - Adam learning rate (default: 0.001)
+ * @param {number} options.validationSplit - Share of the corpus held out for early stopping (default: 0.2)
+ * @param {number} options.patience - Epochs without validation improvement before stopping (default: 3)
+ * @param {number} options.dropout - Dropout rate while training (default: 0.2)
+ * @param {number} options.seed - Seed for initialization, split and shuffling (default: 1)
+ * @param {Function} options.onEpoch - Called after every epoch with its metrics (optional)
+ * @returns {Promise<Object>} { modelPath, labels, vocabSize, history, bestEpoch, stoppedEarly, train, validation }
+ */
+export async function trainModel(corpus, options = {}) {
+  // Fail before training when the model cannot be written
+  await loadFileModules("trainModel");
+  if (typeof options.outputDir !== "string" || !options.outputDir) {
+    throw new Error("outputDir must be a non-empty string");
+  }
+  const settings = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  validateSize(settings.maxTokens, "maxTokens", 3);
+  validateSize(settings.maxLength, "maxLength");
+  validateSize(settings.embeddingDim, "embeddingDim");
+  validateSize(settings.hiddenUnits, "hiddenUnits");
+
+  const examples =
+    typeof corpus === "string" ? await readJsonl(corpus) : corpus;
+  if (!Array.isArray(examples)) {
+    throw new Error(`corpus must be an array or a path, got ${typeof corpus}`);
+  }
+  examples.forEach((example, i) => {
+    const context = `Example at index ${i}`;
+    if (!example || typeof example !== "object") {
+      throw new Error(`${context} must be an object`);
+    }
+    if (typeof example.message !== "string" || !example.message.trim()) {
+      throw new Error(`${context} message must be a non-empty string`);
+    }
+    if (typeof example.label !== "string" || !example.label) {
+      throw new Error(`${context} label must be a non-empty string`);
+    }
+  });
+
+  const labelList =
+    options.labels || [...new Set(examples.map((e) => e.label))].sort();
+  if (
+    !Array.isArray(labelList) ||
+    labelList.length < 2 ||
+    new Set(labelList).size !== labelList.length
+  ) {
+    throw new Error("labels must be an array of at least 2 distinct labels");
+  }
+  const labelToId = new Map(labelList.map((label, id) => [label, id]));
+  examples.forEach((example, i) => {
+    if (!labelToId.has(example.label)) {
+      throw new Error(
+        `Example at index ${i} has a label outside the label set: ${example.label}`,
+      );
+    }
+  });
+
+  const random = createRandom(settings.seed);
+  const split = splitExamples(examples, settings.validationSplit, random);
+
+  const vocab = buildVocabulary(
+    split.train.map((example) => example.message),
+    settings.maxTokens,
+  );
+  const vocabMap = new Map(vocab.map((word, id) => [word, id]));
+  const toSequence = (example) => ({
+    tokens: tokenize(example.message, vocabMap, settings.maxLength),
+    labelId: labelToId.get(example.label),
+  });
+
+  const sizes = {
+    maxLength: settings.maxLength,
+    vocabSize: vocab.length,
+    embeddingDim: settings.embeddingDim,
+    hiddenUnits: settings.hiddenUnits,
+    numLabels: labelList.length,
+    dropout: settings.dropout,
+    learningRate: settings.learningRate,
+  };
+
+  const trained = trainWeights(
+    initialWeights(sizes, random),
+    split.train.map(toSequence),
+    {
+      validation: split.validation.map(toSequence),
+      epochs: settings.epochs,
+      batchSize: settings.batchSize,
+      learningRate: settings.learningRate,
+      patience: settings.patience,
+      dropout: settings.dropout,
+      seed: settings.seed,
+      trainEmbeddings: true,
+      onEpoch: options.onEpoch,
+    },
+  );
+
+  await writeModelDirectory(options.outputDir, {
+    weights: trained.weights,
+    vocab,
+    labels: {
+      label_to_id: Object.fromEntries(labelToId),
+      id_to_label: Object.fromEntries(
+        labelList.map((label, id) => [id, label]),
+      ),
+    },
+    config: {
+      max_tokens: vocab.length,
+      max_length: settings.maxLength,
+      embedding_dim: settings.embeddingDim,
+      hidden_units: settings.hiddenUnits,
+      num_labels: labelList.length,
+      validation_accuracy: trained.validation.accuracy,
+    },
+    modelTopology: buildTopology(sizes),
+    generatedBy: "@postalsys/bounce-classifier trainModel",
+  });
+
+  return {
+    modelPath: options.outputDir,
+    labels: labelList,
+    vocabSize: vocab.length,
+    history: trained.history,
+    bestEpoch: trained.bestEpoch,
+    stoppedEarly: trained.stoppedEarly,
+    train: trained.train,
+    validation: trained.validation,
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * Unit tests for blocklist hit details
+ */
+
+import { describe, it, after, afterEach } from "node:test";
+import assert from "node:assert";
+
+import {
+  identifyBlocklist,
+  BLOCKLIST_PATTERNS,
+  DEFAULT_BLOCKLISTS,
+  registerBlocklist,
+  removeBlocklist,
+  loadBlocklists,
+  getBlocklists,
+  resetBlocklists,
+  classify,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+const BARRACUDA =
+  "host mx.example.com[198.51.100.1] said: 554 5.7.1 Service unavailable; Client host [203.0.113.5] blocked using b.barracudacentral.org; http://www.barracudanetworks.com/reputation/?pr=1&ip=203.0.113.5";
+const DBL =
+  "554 5.7.1 <bob@example.net>: Sender address rejected: example.net is listed in dbl.spamhaus.org; https://check.spamhaus.org/listed/?searchterm=example.net";
+
+describe("identifyBlocklist details", () => {
+  it("should extract the listed IP, zone, URL and registry entry", () => {
+    assert.deepStrictEqual(identifyBlocklist(BARRACUDA), {
+      name: "Barracuda",
+      type: "ip",
+      listed: "203.0.113.5",
+      zone: "b.barracudacentral.org",
+      url: "http://www.barracudanetworks.com/reputation/?pr=1&ip=203.0.113.5",
+      registry: getBlocklists().blocklists.find(
+        (entry) => entry.id === "barracuda",
+      ),
+    });
+  });
+
+  it("should extract the listed domain for domain blocklists", () => {
+    const dbl = identifyBlocklist(DBL);
+    assert.strictEqual(dbl.name, "Spamhaus DBL");
+    assert.strictEqual(dbl.listed, "example.net");
+    assert.strictEqual(dbl.zone, "dbl.spamhaus.org");
+    assert.strictEqual(
+      dbl.url,
+      "https://check.spamhaus.org/listed/?searchterm=example.net",
+    );
+    assert.strictEqual(dbl.registry.id, "spamhaus-dbl");
+  });
+
+  it("should read the IP and zone from a query name", () => {
+    const result = identifyBlocklist(
+      "554 rejected, 5.113.0.203.zen.spamhaus.org returned 127.0.0.2",
+    );
+    assert.strictEqual(result.listed, "203.0.113.5");
+    assert.strictEqual(result.zone, "zen.spamhaus.org");
+  });
+
+  it("should pick the zone named by the pattern", () => {
+    const { lists } = identifyBlocklist(
+      "Blocked using sbl.spamhaus.org and dbl.spamhaus.org",
+    );
+    const zones = Object.fromEntries(lists.map((hit) => [hit.name, hit.zone]));
+    assert.strictEqual(zones["Spamhaus SBL"], "sbl.spamhaus.org");
+    assert.strictEqual(zones["Spamhaus DBL"], "dbl.spamhaus.org");
+  });
+
+  it("should take the zone of unknown lists from the reply", () => {
+    assert.deepStrictEqual(
+      identifyBlocklist(
+        "550 5.7.1 Client [192.0.2.9] blocked using bl.mailspike.net (RBL), see https://mailspike.net/lookup?ip=192.0.2.9.",
+      ),
+      {
+        name: "RBL",
+        type: "ip",
+        listed: "192.0.2.9",
+        zone: "bl.mailspike.net",
+        url: "https://mailspike.net/lookup?ip=192.0.2.9",
+      },
+    );
+  });
+
+  it("should accept URLs without a scheme and IPv6 addresses", () => {
+    const barracuda = identifyBlocklist(
+      "Blocked - see barracudacentral.org/rbl/removal-request",
+    );
+    assert.strictEqual(
+      barracuda.url,
+      "barracudacentral.org/rbl/removal-request",
+    );
+    assert.strictEqual(barracuda.listed, undefined);
+
+    const rbl = identifyBlocklist("550 IP [IPv6:2001:DB8::5] is in an RBL");
+    assert.strictEqual(rbl.listed, "2001:db8::5");
+  });
+
+  it("should only report what the reply prints", () => {
+    assert.deepStrictEqual(identifyBlocklist("IP listed in RBL"), {
+      name: "RBL",
+      type: "ip",
+    });
+  });
+});
+
+describe("Blocklist registry", () => {
+  afterEach(() => {
+    resetBlocklists();
+  });
+
+  it("should describe every built-in entry", () => {
+    const { version, revision, blocklists } = getBlocklists();
+    assert.strictEqual(version, DEFAULT_BLOCKLISTS.version);
+    assert.strictEqual(revision, DEFAULT_BLOCKLISTS.revision);
+    assert.strictEqual(blocklists.length, DEFAULT_BLOCKLISTS.blocklists.length);
+    for (const entry of blocklists) {
+      assert.ok(["low", "medium", "high"].includes(entry.severity), entry.id);
+      assert.strictEqual(typeof entry.selfServiceDelisting, "boolean");
+      if (entry.scope !== "generic") assert.ok(entry.procedure, entry.id);
+    }
+  });
+
+  it("should let specific lists beat catch-alls", () => {
+    const zen = identifyBlocklist("Listed in zen.spamhaus.org (RBL)");
+    assert.strictEqual(zen.name, "Spamhaus ZEN");
+
+    const { lists } = identifyBlocklist(
+      "Blocked by spamhaus.org and barracuda",
+    );
+    assert.deepStrictEqual(
+      lists.map((hit) => hit.name),
+      ["Barracuda", "Spamhaus"],
+    );
+  });
+
+  it("should register, replace and remove entries", () => {
+    const message = "550 5.7.1 Rejected by RBL bl.example.net";
+    assert.strictEqual(identifyBlocklist(message).name, "RBL");
+
+    registerBlocklist({
+      id: "example",
+      name: "Example BL",
+      type: "ip",
+      zones: ["bl.example.net"],
+    });
+    const hit = identifyBlocklist(message);
+    assert.strictEqual(hit.name, "Example BL");
+    assert.strictEqual(hit.zone, "bl.example.net");
+    assert.strictEqual(hit.registry.severity, "medium");
+    assert.strictEqual(hit.registry.operator, "Example BL");
+    assert.ok(BLOCKLIST_PATTERNS.some((entry) => entry.id === "example"));
+
+    registerBlocklist({
+      id: "example",
+      name: "Example BL",
+      type: "ip",
+      zones: ["bl.example.net"],
+      severity: "high",
+    });
+    assert.strictEqual(identifyBlocklist(message).registry.severity, "high");
+    assert.strictEqual(
+      getBlocklists().blocklists.filter((entry) => entry.id === "example")
+        .length,
+      1,
+    );
+
+    assert.strictEqual(removeBlocklist("example"), true);
+    assert.strictEqual(removeBlocklist("example"), false);
+    assert.strictEqual(identifyBlocklist(message).name, "RBL");
+  });
+
+  it("should load versioned documents", async () => {
+    await loadBlocklists({
+      version: 1,
+      revision: "test-1",
+      blocklists: [
+        {
+          id: "spamcop",
+          name: "SpamCop",
+          type: "ip",
+          patterns: ["spamcop\\.net"],
+          listingDuration: 3600,
+        },
+      ],
+    });
+    assert.strictEqual(getBlocklists().revision, "test-1");
+    assert.strictEqual(
+      identifyBlocklist("Listed in spamcop.net").registry.listingDuration,
+      3600,
+    );
+
+    await loadBlocklists(
+      {
+        version: 1,
+        blocklists: [
+          { id: "only", name: "Only", type: "ip", patterns: ["only-bl"] },
+        ],
+      },
+      { replace: true },
+    );
+    assert.deepStrictEqual(
+      getBlocklists().blocklists.map((entry) => entry.id),
+      ["only"],
+    );
+    assert.strictEqual(identifyBlocklist("Blocked by spamhaus.org"), null);
+  });
+
+  it("should load documents from files", async () => {
+    await loadBlocklists(
+      new URL("./fixtures/blocklists.json", import.meta.url).pathname,
+    );
+    assert.strictEqual(getBlocklists().revision, "fixture-1");
+    assert.strictEqual(
+      identifyBlocklist("554 blocked using bl.fixture.example").name,
+      "Fixture BL",
+    );
+  });
+
+  it("should reject invalid documents without partial updates", async () => {
+    await assert.rejects(
+      loadBlocklists({ version: 2, blocklists: [] }),
+      /Unsupported blocklist format version 2/,
+    );
+    await assert.rejects(
+      loadBlocklists({
+        version: 1,
+        blocklists: [
+          { id: "good", name: "Good", type: "ip", patterns: ["good-bl"] },
+          { id: "bad", name: "Bad", type: "ip", patterns: ["("] },
+        ],
+      }),
+      /Blocklist "bad" pattern at index 0 is not a valid regex/,
+    );
+    assert.ok(!getBlocklists().blocklists.some((entry) => entry.id === "good"));
+
+    assert.throws(
+      () =>
+        registerBlocklist({
+          id: "x",
+          name: "X",
+          type: "email",
+          patterns: ["x"],
+        }),
+      /Blocklist "x" type must be one of ip, domain, uri/,
+    );
+    assert.throws(
+      () => registerBlocklist({ id: "x", name: "X", type: "ip" }),
+      /must have at least one pattern or zone/,
+    );
+    assert.throws(
+      () =>
+        registerBlocklist({
+          id: "x",
+          name: "X",
+          type: "ip",
+          zones: ["bl.x.test"],
+          listingDuration: "1d",
+        }),
+      /listingDuration must be a number of seconds or null/,
+    );
+    await assert.rejects(
+      loadBlocklists(42),
+      /source must be a string or an object/,
+    );
+  });
+});
+
+describe("Blocklist details in classify()", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should attach the details to result.blocklist", async () => {
+    const result = await classify(BARRACUDA);
+    assert.strictEqual(result.blocklist.listed, "203.0.113.5");
+    assert.strictEqual(
+      result.blocklist.registry.delistUrl,
+      "https://www.barracudacentral.org/rbl/removal-request",
+    );
+  });
+
+  it("should hand out frozen registry entries", () => {
+    const hit = identifyBlocklist(BARRACUDA);
+    assert.ok(Object.isFrozen(hit.registry));
+    assert.ok(Object.isFrozen(hit.registry.zones));
+    assert.throws(() => {
+      "use strict";
+      hit.registry.delistUrl = "https://attacker.example/";
+    }, TypeError);
+    assert.strictEqual(
+      identifyBlocklist(BARRACUDA).registry.delistUrl,
+      "https://www.barracudacentral.org/rbl/removal-request",
+    );
+  });
+
+  it("should keep a registry per classifier instance", async () => {
+    const tenant = createClassifier();
+    const other = createClassifier();
+    const message = "550 Rejected, 192.0.2.9 listed in bl.tenant.example";
+    tenant.registerBlocklist({
+      id: "tenant",
+      name: "Tenant BL",
+      type: "ip",
+      zones: ["bl.tenant.example"],
+    });
+
+    assert.strictEqual(tenant.identifyBlocklist(message).name, "Tenant BL");
+    assert.strictEqual(
+      tenant.getBlocklistByZone("bl.tenant.example").id,
+      "tenant",
+    );
+    assert.strictEqual(other.getBlocklistByZone("bl.tenant.example"), null);
+    assert.strictEqual(
+      getBlocklists().blocklists.length,
+      DEFAULT_BLOCKLISTS.blocklists.length,
+    );
+    assert.strictEqual(identifyBlocklist(message), null);
+
+    const result = await tenant.classify(message);
+    assert.strictEqual(result.blocklist.name, "Tenant BL");
+    assert.strictEqual((await other.classify(message)).blocklist, undefined);
+
+    tenant.resetBlocklists();
+    assert.strictEqual(tenant.getBlocklistByZone("bl.tenant.example"), null);
+    tenant.dispose();
+    other.dispose();
+  });
+});
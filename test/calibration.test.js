@@ -0,0 +1,313 @@
+/**
+ * Unit tests for confidence calibration
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { mkdtemp, symlink, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  parseCalibration,
+  calibrateLogits,
+  expectedCalibrationError,
+  fitCalibration,
+} from "../src/calibration.js";
+import { createClassifier, classify, reset, readJsonl } from "../src/index.js";
+
+const modelPath = new URL("../model", import.meta.url).pathname;
+const samplesPath = new URL("./fixtures/calibration.jsonl", import.meta.url);
+
+describe("parseCalibration", () => {
+  it("should accept temperature and vector parameters", () => {
+    assert.strictEqual(parseCalibration(undefined, 2), null);
+    assert.deepStrictEqual(
+      parseCalibration({ method: "temperature", temperature: 1.5 }, 2),
+      { method: "temperature", temperature: 1.5 },
+    );
+    assert.deepStrictEqual(
+      parseCalibration({ method: "vector", scale: [1, 2], bias: [0, 1] }, 2),
+      { method: "vector", scale: [1, 2], bias: [0, 1] },
+    );
+  });
+
+  it("should reject invalid parameters", () => {
+    assert.throws(
+      () => parseCalibration({ method: "temperature", temperature: 0 }, 2),
+      /temperature must be a positive number/,
+    );
+    assert.throws(
+      () => parseCalibration({ method: "vector", scale: [1], bias: [0, 0] }, 2),
+      /scale must be an array of 2 numbers/,
+    );
+    assert.throws(
+      () => parseCalibration({ method: "platt" }, 2),
+      /method must be one of temperature, vector/,
+    );
+  });
+});
+
+describe("calibrateLogits", () => {
+  it("should divide by the temperature", () => {
+    assert.deepStrictEqual(
+      calibrateLogits([2, -4], { method: "temperature", temperature: 2 }),
+      [1, -2],
+    );
+  });
+
+  it("should scale and shift per class", () => {
+    assert.deepStrictEqual(
+      calibrateLogits([2, -4], {
+        method: "vector",
+        scale: [2, 1],
+        bias: [0, 1],
+      }),
+      [4, -3],
+    );
+  });
+
+  it("should leave logits alone without calibration", () => {
+    assert.deepStrictEqual(calibrateLogits([2, -4], null), [2, -4]);
+  });
+});
+
+describe("expectedCalibrationError", () => {
+  it("should be zero when confidence matches accuracy", () => {
+    const probabilities = [
+      [0.5, 0.5],
+      [0.5, 0.5],
+    ];
+    assert.strictEqual(expectedCalibrationError(probabilities, [0, 1]), 0);
+  });
+
+  it("should measure overconfidence", () => {
+    const probabilities = [
+      [0.9, 0.1],
+      [0.9, 0.1],
+    ];
+    const ece = expectedCalibrationError(probabilities, [0, 1]);
+    assert.ok(Math.abs(ece - 0.4) < 1e-9);
+  });
+});
+
+describe("fitCalibration", () => {
+  // Overconfident logits: always very sure, right only 3 times out of 4
+  const logitRows = [];
+  const labelIds = [];
+  for (let i = 0; i < 40; i++) {
+    logitRows.push(i % 2 ? [6, 0] : [0, 6]);
+    const predicted = i % 2 ? 0 : 1;
+    labelIds.push(i % 4 === 0 ? 1 - predicted : predicted);
+  }
+
+  it("should raise the temperature for an overconfident model", () => {
+    const report = fitCalibration(logitRows, labelIds);
+    assert.strictEqual(report.calibration.method, "temperature");
+    assert.ok(report.calibration.temperature > 1);
+    assert.ok(report.ece.after < report.ece.before);
+    assert.ok(report.nll.after < report.nll.before);
+    assert.strictEqual(report.samples, 40);
+  });
+
+  it("should fit vector scaling", () => {
+    const report = fitCalibration(logitRows, labelIds, { method: "vector" });
+    assert.strictEqual(report.calibration.method, "vector");
+    assert.strictEqual(report.calibration.scale.length, 2);
+    assert.strictEqual(report.calibration.bias.length, 2);
+    assert.ok(report.nll.after < report.nll.before);
+  });
+
+  it("should reject invalid input", () => {
+    assert.throws(() => fitCalibration([], []), /At least one labeled sample/);
+    assert.throws(
+      () => fitCalibration(logitRows, labelIds, { method: "platt" }),
+      /method must be one of/,
+    );
+  });
+});
+
+describe("classifier calibration", () => {
+  after(() => {
+    reset();
+  });
+
+  const message = "550 5.1.1 User unknown";
+
+  it("should apply the temperature before the softmax", async () => {
+    const raw = await createClassifier({ calibration: false }).classify(
+      message,
+    );
+    const softened = await createClassifier({
+      calibration: { method: "temperature", temperature: 2 },
+    }).classify(message);
+
+    assert.strictEqual(softened.label, raw.label);
+    assert.ok(softened.confidence < raw.confidence);
+
+    const sum = Object.values(softened.scores).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(sum - 1) < 1e-6);
+  });
+
+  it("should use the same calibration in batches", async () => {
+    const classifier = createClassifier({
+      calibration: { method: "temperature", temperature: 2 },
+    });
+    const [batched] = await classifier.classifyBatch([message]);
+    const single = await classifier.classify(message);
+    assert.ok(Math.abs(batched.confidence - single.confidence) < 1e-6);
+  });
+
+  it("should load models without config.json", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "bounce-model-"));
+    try {
+      for (const file of [
+        "vocab.json",
+        "labels.json",
+        "group1-shard1of1.bin",
+      ]) {
+        await symlink(join(modelPath, file), join(dir, file));
+      }
+      const result = await createClassifier({ modelPath: dir }).classify(
+        message,
+      );
+      const raw = await createClassifier({ calibration: false }).classify(
+        message,
+      );
+      assert.strictEqual(result.confidence, raw.confidence);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  it("should reject invalid calibration in config.json", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "bounce-model-"));
+    try {
+      for (const file of [
+        "vocab.json",
+        "labels.json",
+        "group1-shard1of1.bin",
+      ]) {
+        await symlink(join(modelPath, file), join(dir, file));
+      }
+      await writeFile(
+        join(dir, "config.json"),
+        JSON.stringify({ calibration: { method: "temperature" } }),
+      );
+      await assert.rejects(
+        createClassifier({ modelPath: dir }).initialize(),
+        /temperature must be a positive number/,
+      );
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  it("should reject invalid calibration options", async () => {
+    assert.throws(
+      () => createClassifier({ calibration: { method: "vector" } }),
+      /scale must be an array of numbers/,
+    );
+
+    // The number of labels is known once the model is loaded
+    const classifier = createClassifier({
+      calibration: { method: "vector", scale: [1, 1], bias: [0, 0] },
+    });
+    await assert.rejects(
+      classifier.initialize(),
+      /scale must be an array of 16 numbers/,
+    );
+  });
+
+  it("should fit calibration from labeled messages", async () => {
+    const samples = await readJsonl(samplesPath);
+    const report = await createClassifier().fitCalibration(samples);
+    assert.strictEqual(report.samples, samples.length);
+    assert.ok(report.calibration.temperature > 0);
+    assert.ok(report.nll.after <= report.nll.before);
+    assert.strictEqual(typeof report.ece.before, "number");
+    assert.strictEqual(typeof report.ece.after, "number");
+
+    // The fitted parameters can be passed straight to createClassifier
+    const calibrated = createClassifier({ calibration: report.calibration });
+    assert.ok((await calibrated.classify(message)).confidence > 0);
+  });
+
+  it("should reject unknown labels in samples", async () => {
+    await assert.rejects(
+      createClassifier().fitCalibration([{ message, label: "nonsense" }]),
+      /Sample at index 0 has unknown label: nonsense/,
+    );
+    await assert.rejects(
+      createClassifier().fitCalibration([{ message: "", label: "unknown" }]),
+      /Sample at index 0 message must not be empty/,
+    );
+  });
+
+  it("should use the shipped calibration by default", async () => {
+    const result = await classify(message);
+    assert.ok(result.confidence > 0 && result.confidence <= 1);
+  });
+});
+
+describe("calibrate script", () => {
+  const message = "550 5.1.1 User unknown";
+  const script = fileURLToPath(
+    new URL("../scripts/calibrate.js", import.meta.url),
+  );
+  const run = (holdout) =>
+    promisify(execFile)(process.execPath, [
+      script,
+      fileURLToPath(samplesPath),
+      "--holdout",
+      holdout,
+    ]);
+  let dir;
+
+  after(async () => {
+    if (dir) await rm(dir, { recursive: true, force: true });
+  });
+
+  async function writeHoldout(samples) {
+    dir = dir || (await mkdtemp(join(tmpdir(), "calibrate-")));
+    const file = join(dir, `holdout-${Date.now()}.jsonl`);
+    await writeFile(
+      file,
+      samples.map((sample) => JSON.stringify(sample)).join("\n"),
+    );
+    return file;
+  }
+
+  it("should reject holdout samples with unknown labels", async () => {
+    const holdout = await writeHoldout([
+      { message, label: "user_unknown" },
+      { message, label: "nonsense" },
+    ]);
+    await assert.rejects(run(holdout), (error) => {
+      assert.strictEqual(error.code, 1);
+      assert.match(
+        error.stderr,
+        /Holdout sample at index 1 has unknown label: nonsense/,
+      );
+      return true;
+    });
+  });
+
+  it("should reject holdout samples that cannot be classified", async () => {
+    const holdout = await writeHoldout([
+      { message, label: "user_unknown" },
+      { message: "", label: "user_unknown" },
+    ]);
+    await assert.rejects(run(holdout), (error) => {
+      assert.strictEqual(error.code, 1);
+      assert.match(
+        error.stderr,
+        /Cannot score holdout: Message at index 1 must not be empty/,
+      );
+      return true;
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for the command-line interface
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { Readable } from "node:stream";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  runCli,
+  parseArgs,
+  parseInput,
+  formatRecords,
+  EXIT_OK,
+  EXIT_USAGE,
+  EXIT_INPUT,
+  EXIT_ERROR,
+} from "../src/cli.js";
+
+// Run the CLI with in-memory streams
+async function run(argv, input = "", { isTTY = false } = {}) {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCli(argv, {
+    stdin: Readable.from([input]),
+    stdout: { isTTY, write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr };
+}
+
+const ndjson = (text) =>
+  text
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+
+describe("parseArgs", () => {
+  it("should parse the command, flags and messages", () => {
+    const args = parseArgs([
+      "explain",
+      "--top-k",
+      "2",
+      "--field",
+      "data.text",
+      "--fields",
+      "label, action",
+      "550 No such user",
+    ]);
+    assert.strictEqual(args.command, "explain");
+    assert.strictEqual(args.topK, 2);
+    assert.strictEqual(args.jsonl, true);
+    assert.strictEqual(args.field, "data.text");
+    assert.deepStrictEqual(args.fields, ["label", "action"]);
+    assert.deepStrictEqual(args.messages, ["550 No such user"]);
+  });
+
+  it("should take everything after -- as messages", () => {
+    const args = parseArgs(["--", "--format", "-x"]);
+    assert.deepStrictEqual(args.messages, ["--format", "-x"]);
+  });
+
+  it("should reject invalid usage", () => {
+    assert.throws(() => parseArgs(["--nope"]), /Unknown option: --nope/);
+    assert.throws(() => parseArgs(["--format", "xml"]), /--format must be/);
+    assert.throws(() => parseArgs(["--top-k", "-1"]), /--top-k must be/);
+    assert.throws(() => parseArgs(["--file"]), /--file needs a value/);
+    assert.throws(
+      () => parseArgs(["serve", "--port", "http"]),
+      /--port must be an integer from 0 to 65535/,
+    );
+  });
+});
+
+describe("parseInput", () => {
+  it("should read one message per non-empty line", () => {
+    const items = parseInput("first\r\n\nsecond\n", "input.txt", {});
+    assert.deepStrictEqual(items, [
+      { origin: "input.txt:1", message: "first" },
+      { origin: "input.txt:3", message: "second" },
+    ]);
+  });
+
+  it("should report JSONL lines that cannot be used", () => {
+    const items = parseInput('{"a":{"b":"text"}}\n{bad\n{"a":1}', "stdin", {
+      jsonl: true,
+      field: "a.b",
+    });
+    assert.deepStrictEqual(items[0], { origin: "stdin:1", message: "text" });
+    assert.match(items[1].error, /^Invalid JSON/);
+    assert.strictEqual(
+      items[2].error,
+      'Field "a.b" is missing or not a string',
+    );
+  });
+});
+
+describe("formatRecords", () => {
+  const records = [
+    { message: 'say "hi", ok', label: "a", confidence: 0.5 },
+    { message: "plain", label: "b", confidence: 1 },
+  ];
+
+  it("should quote CSV cells", () => {
+    assert.strictEqual(
+      formatRecords(records, "csv", ["message", "label", "confidence"]),
+      'message,label,confidence\n"say ""hi"", ok",a,0.5\nplain,b,1\n',
+    );
+  });
+
+  it("should align table columns", () => {
+    const lines = formatRecords(records, "table", ["label", "confidence"])
+      .trim()
+      .split("\n");
+    assert.deepStrictEqual(lines, [
+      "label  confidence",
+      "a      0.5000",
+      "b      1",
+    ]);
+  });
+});
+
+describe("runCli", () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), "bounce-cli-"));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("should classify arguments", async () => {
+    const { code, stdout } = await run([
+      "550 5.1.1 User unknown",
+      "452 4.2.2 Mailbox full",
+    ]);
+    assert.strictEqual(code, EXIT_OK);
+    const records = ndjson(stdout);
+    assert.deepStrictEqual(
+      records.map((record) => record.label),
+      ["user_unknown", "mailbox_full"],
+    );
+    assert.strictEqual(records[0].message, "550 5.1.1 User unknown");
+  });
+
+  it("should classify stdin with selected fields and alternatives", async () => {
+    const { code, stdout } = await run(
+      ["--format", "json", "--top-k", "2", "--fields", "label,alternatives"],
+      "550 5.1.1 User unknown\n",
+    );
+    assert.strictEqual(code, EXIT_OK);
+    const [record] = JSON.parse(stdout);
+    assert.deepStrictEqual(Object.keys(record), ["label", "alternatives"]);
+    assert.strictEqual(record.alternatives.length, 2);
+  });
+
+  it("should read JSONL files and report bad lines", async () => {
+    const file = join(dir, "bounces.jsonl");
+    await writeFile(
+      file,
+      '{"diag":"550 5.1.1 User unknown"}\nnot json\n{"diag":"452 Mailbox full"}\n',
+    );
+    const { code, stdout, stderr } = await run([
+      "--file",
+      file,
+      "--field",
+      "diag",
+      "--format",
+      "csv",
+    ]);
+    assert.strictEqual(code, EXIT_INPUT);
+    const lines = stdout.trim().split("\n");
+    assert.strictEqual(lines[0], "message,label,confidence,action,error");
+    assert.strictEqual(lines.length, 4);
+    assert.match(lines[2], /^,,,,"Invalid JSON/);
+    assert.match(stderr, /bounces\.jsonl:2: Invalid JSON/);
+  });
+
+  it("should default to a table on a terminal", async () => {
+    const { stdout } = await run(["550 5.1.1 User unknown"], "", {
+      isTTY: true,
+    });
+    assert.match(stdout, /^message\s+label\s+confidence\s+action\n/);
+  });
+
+  it("should list labels", async () => {
+    const { code, stdout } = await run(["labels", "--format", "json"]);
+    assert.strictEqual(code, EXIT_OK);
+    const labels = JSON.parse(stdout);
+    assert.strictEqual(labels.length, 16);
+    assert.deepStrictEqual(
+      labels.find((entry) => entry.label === "mailbox_full"),
+      { label: "mailbox_full", action: "retry" },
+    );
+  });
+
+  it("should explain messages word by word", async () => {
+    const { code, stdout } = await run([
+      "explain",
+      "--format",
+      "csv",
+      "550 mailbox unavailable",
+    ]);
+    assert.strictEqual(code, EXIT_OK);
+    const lines = stdout.trim().split("\n");
+    assert.strictEqual(lines[0], "n,label,word,id,oov,attribution");
+    assert.strictEqual(lines.length, 4);
+    assert.match(lines[2], /^1,\w+,mailbox,\d+,false,/);
+  });
+
+  it("should exit with usage and failure codes", async () => {
+    const usage = await run(["--bogus"]);
+    assert.strictEqual(usage.code, EXIT_USAGE);
+    assert.match(usage.stderr, /Unknown option: --bogus[\s\S]*Usage:/);
+
+    const missing = await run(["--file", join(dir, "missing.txt")]);
+    assert.strictEqual(missing.code, EXIT_USAGE);
+
+    const badModel = await run(["--model-path", join(dir, "nope"), "550"]);
+    assert.strictEqual(badModel.code, EXIT_ERROR);
+    assert.match(badModel.stderr, /^bounce-classifier: /);
+  });
+
+  it("should print help and version", async () => {
+    const help = await run(["--help"]);
+    assert.strictEqual(help.code, EXIT_OK);
+    assert.match(help.stdout, /^Usage: bounce-classifier/);
+
+    const version = await run(["--version"]);
+    assert.match(version.stdout, /^\d+\.\d+\.\d+\n$/);
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Unit tests for DNSBL verification
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+
+import {
+  identifyBlocklist,
+  registerBlocklist,
+  resetBlocklists,
+  classify,
+  createClassifier,
+} from "../src/index.js";
+import {
+  verifyBlocklisting,
+  createBlocklistVerifier,
+  dnsblQueryName,
+  decodeDnsblAnswer,
+} from "../src/dnsbl.js";
+
+const ZEN =
+  "554 5.7.1 Service unavailable; Client host [203.0.113.5] blocked using zen.spamhaus.org";
+const DBL =
+  "554 5.7.1 <bob@example.net>: Sender address rejected: example.net is listed in dbl.spamhaus.org";
+
+/**
+ * Stub resolver answering from a map of query names, NXDOMAIN otherwise
+ */
+function createResolver(answers = {}) {
+  const queries = [];
+  return {
+    queries,
+    async resolve4(hostname) {
+      queries.push(hostname);
+      const answer = answers[hostname];
+      if (answer instanceof Error) throw answer;
+      if (answer) return answer;
+      const error = new Error(`queryA ENOTFOUND ${hostname}`);
+      error.code = "ENOTFOUND";
+      throw error;
+    },
+  };
+}
+
+describe("dnsblQueryName", () => {
+  it("should reverse IPv4 octets and IPv6 nibbles", () => {
+    assert.strictEqual(
+      dnsblQueryName("203.0.113.5", "zen.spamhaus.org"),
+      "5.113.0.203.zen.spamhaus.org",
+    );
+    assert.strictEqual(
+      dnsblQueryName("2001:db8::1", "zen.spamhaus.org"),
+      "1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.zen.spamhaus.org",
+    );
+  });
+
+  it("should prefix domains and reject other targets", () => {
+    assert.strictEqual(
+      dnsblQueryName("Example.NET", "dbl.spamhaus.org"),
+      "example.net.dbl.spamhaus.org",
+    );
+    assert.strictEqual(dnsblQueryName("300.0.0.1", "zen.spamhaus.org"), null);
+    assert.strictEqual(dnsblQueryName("10.0.0.010", "zen.spamhaus.org"), null);
+    assert.strictEqual(
+      dnsblQueryName("10.0.0.0", "zen.spamhaus.org"),
+      "0.0.0.10.zen.spamhaus.org",
+    );
+    assert.strictEqual(dnsblQueryName("1::2::3", "zen.spamhaus.org"), null);
+    assert.strictEqual(dnsblQueryName("not a host", "zen.spamhaus.org"), null);
+  });
+});
+
+describe("decodeDnsblAnswer", () => {
+  it("should decode Spamhaus return codes", () => {
+    const decoded = decodeDnsblAnswer("zen.spamhaus.org", [
+      "127.0.0.4",
+      "127.0.0.10",
+    ]);
+    assert.strictEqual(decoded.listed, true);
+    assert.deepStrictEqual(
+      decoded.codes.map((code) => code.meaning.slice(0, 3)),
+      ["XBL", "PBL"],
+    );
+  });
+
+  it("should report refused queries and foreign answers", () => {
+    const refused = decodeDnsblAnswer("zen.spamhaus.org", ["127.255.255.254"]);
+    assert.strictEqual(refused.listed, null);
+    assert.match(refused.error, /public or open resolver/);
+
+    const hijacked = decodeDnsblAnswer("zen.spamhaus.org", ["198.51.100.1"]);
+    assert.strictEqual(hijacked.listed, null);
+    assert.strictEqual(hijacked.error, "Unexpected answer 198.51.100.1");
+  });
+
+  it("should treat unknown 127 answers as listed and honor not-listed codes", () => {
+    assert.deepStrictEqual(
+      decodeDnsblAnswer("bl.unknown.test", ["127.0.0.2"]),
+      {
+        listed: true,
+        codes: [{ code: "127.0.0.2", meaning: null, listed: true }],
+        error: null,
+      },
+    );
+    assert.strictEqual(
+      decodeDnsblAnswer("hostkarma.junkemailfilter.com", ["127.0.0.1"]).listed,
+      false,
+    );
+  });
+});
+
+describe("verifyBlocklisting", () => {
+  afterEach(() => {
+    resetBlocklists();
+  });
+
+  it("should check the listed IP on the zone from the reply", async () => {
+    const resolver = createResolver({
+      "5.113.0.203.zen.spamhaus.org": ["127.0.0.2"],
+    });
+    const result = await verifyBlocklisting(identifyBlocklist(ZEN), {
+      resolver,
+    });
+    assert.deepStrictEqual(result, {
+      listed: true,
+      zones: [
+        {
+          name: "Spamhaus ZEN",
+          zone: "zen.spamhaus.org",
+          target: "203.0.113.5",
+          query: "5.113.0.203.zen.spamhaus.org",
+          listed: true,
+          codes: [
+            {
+              code: "127.0.0.2",
+              meaning: "SBL: spam source or spam operation",
+              listed: true,
+            },
+          ],
+          error: null,
+          cached: false,
+        },
+      ],
+    });
+  });
+
+  it("should accept classification results and target overrides", async () => {
+    const resolver = createResolver();
+    const result = await verifyBlocklisting(await classify(DBL), {
+      domain: "example.org",
+      resolver,
+    });
+    assert.strictEqual(result.listed, false);
+    assert.strictEqual(result.zones[0].listed, false);
+    assert.deepStrictEqual(resolver.queries, ["example.org.dbl.spamhaus.org"]);
+  });
+
+  it("should fall back to the registry zone", async () => {
+    const resolver = createResolver();
+    const result = await verifyBlocklisting(
+      identifyBlocklist("550 Rejected, see https://www.spamcop.net/bl.shtml"),
+      { ip: "192.0.2.1", resolver },
+    );
+    assert.strictEqual(result.zones[0].zone, "bl.spamcop.net");
+    assert.strictEqual(result.zones[0].query, "1.2.0.192.bl.spamcop.net");
+  });
+
+  it("should report missing targets and resolver failures", async () => {
+    const failure = new Error("queryA ETIMEOUT 5.113.0.203.zen.spamhaus.org");
+    failure.code = "ETIMEOUT";
+    const resolver = createResolver({
+      "5.113.0.203.zen.spamhaus.org": failure,
+    });
+
+    const missing = await verifyBlocklisting(
+      identifyBlocklist("Blocked using zen.spamhaus.org"),
+      { resolver },
+    );
+    assert.strictEqual(missing.listed, null);
+    assert.strictEqual(missing.zones[0].listed, null);
+    assert.strictEqual(missing.zones[0].error, "No IP address to check");
+
+    const failed = await verifyBlocklisting(identifyBlocklist(ZEN), {
+      resolver,
+    });
+    assert.strictEqual(failed.listed, null);
+    assert.strictEqual(failed.zones[0].listed, null);
+    assert.match(failed.zones[0].error, /ETIMEOUT/);
+
+    // Failures are not cached
+    await verifyBlocklisting(identifyBlocklist(ZEN), { resolver });
+    assert.strictEqual(resolver.queries.length, 2);
+  });
+
+  it("should report unknown when no zone lists the target and a check failed", async () => {
+    const failure = new Error("queryA ESERVFAIL 5.113.0.203.bl.spamcop.net");
+    failure.code = "ESERVFAIL";
+    const resolver = createResolver({
+      "5.113.0.203.zen.spamhaus.org": ["127.255.255.254"],
+      "5.113.0.203.bl.spamcop.net": failure,
+    });
+    const hits = identifyBlocklist(
+      "554 Client [203.0.113.5] blocked using zen.spamhaus.org; see https://www.spamcop.net/bl.shtml?203.0.113.5",
+    );
+    const result = await verifyBlocklisting(hits, { resolver });
+    assert.strictEqual(result.zones.length, 2);
+    assert.ok(result.zones.every((zone) => zone.listed === null));
+    assert.strictEqual(result.listed, null);
+
+    // A listing still wins over failed checks
+    const listed = await verifyBlocklisting(hits, {
+      resolver: createResolver({
+        "5.113.0.203.zen.spamhaus.org": ["127.0.0.2"],
+        "5.113.0.203.bl.spamcop.net": failure,
+      }),
+    });
+    assert.strictEqual(listed.listed, true);
+  });
+
+  it("should use the return codes of registered entries", async () => {
+    registerBlocklist({
+      id: "example",
+      name: "Example BL",
+      type: "ip",
+      zones: ["bl.example.net"],
+      returnCodes: {
+        "127.0.0.2": "Spam source",
+        "127.0.0.3": { meaning: "Allowlisted", listed: false },
+      },
+    });
+    const resolver = createResolver({
+      "9.2.0.192.bl.example.net": ["127.0.0.3"],
+    });
+    const result = await verifyBlocklisting(
+      identifyBlocklist("550 Client [192.0.2.9] blocked using bl.example.net"),
+      { resolver },
+    );
+    assert.strictEqual(result.listed, false);
+    assert.strictEqual(result.zones[0].codes[0].meaning, "Allowlisted");
+  });
+
+  it("should use the return codes of instance registries", async () => {
+    const classifier = createClassifier();
+    classifier.registerBlocklist({
+      id: "tenant",
+      name: "Tenant BL",
+      type: "ip",
+      zones: ["bl.tenant.example"],
+      returnCodes: { "127.0.0.3": { meaning: "Allowlisted", listed: false } },
+    });
+    const resolver = createResolver({
+      "9.2.0.192.bl.tenant.example": ["127.0.0.3"],
+    });
+    const result = await verifyBlocklisting(
+      classifier.identifyBlocklist(
+        "550 Client [192.0.2.9] blocked using bl.tenant.example",
+      ),
+      { resolver },
+    );
+    assert.strictEqual(result.listed, false);
+    assert.strictEqual(result.zones[0].codes[0].meaning, "Allowlisted");
+  });
+
+  it("should return no zones for results without a blocklist", async () => {
+    const resolver = createResolver();
+    assert.deepStrictEqual(
+      await verifyBlocklisting({ label: "user_unknown" }, { resolver }),
+      { listed: false, zones: [] },
+    );
+    await assert.rejects(
+      verifyBlocklisting(null, { resolver }),
+      /result must be an object, got null/,
+    );
+    await assert.rejects(
+      verifyBlocklisting(identifyBlocklist(ZEN), { ip: 42, resolver }),
+      /ip must be a string, got number/,
+    );
+  });
+});
+
+describe("createBlocklistVerifier", () => {
+  it("should cache answers and share lookups in flight", async () => {
+    const resolver = createResolver({
+      "5.113.0.203.zen.spamhaus.org": ["127.0.0.4"],
+    });
+    const verifier = createBlocklistVerifier({ resolver, rate: 1000 });
+    const hit = identifyBlocklist(ZEN);
+
+    const [first, second] = await Promise.all([
+      verifier.verify(hit),
+      verifier.verify(hit),
+    ]);
+    assert.strictEqual(first.listed, true);
+    assert.strictEqual(second.listed, true);
+    assert.strictEqual(resolver.queries.length, 1);
+
+    const cached = await verifier.verify(hit);
+    assert.strictEqual(cached.zones[0].cached, true);
+    assert.strictEqual(resolver.queries.length, 1);
+
+    verifier.clearCache();
+    await verifier.verify(hit);
+    assert.strictEqual(resolver.queries.length, 2);
+  });
+
+  it("should evict the oldest answers", async () => {
+    const resolver = createResolver();
+    const verifier = createBlocklistVerifier({
+      resolver,
+      rate: 1000,
+      cacheSize: 1,
+    });
+    const hit = identifyBlocklist(ZEN);
+    await verifier.verify(hit, { ip: "192.0.2.1" });
+    await verifier.verify(hit, { ip: "192.0.2.2" });
+    await verifier.verify(hit, { ip: "192.0.2.1" });
+    assert.strictEqual(resolver.queries.length, 3);
+  });
+
+  it("should space lookups by the rate limit", async () => {
+    const times = [];
+    const resolver = {
+      async resolve4() {
+        times.push(Date.now());
+        return [];
+      },
+    };
+    const verifier = createBlocklistVerifier({ resolver, rate: 20 });
+    const hit = identifyBlocklist(ZEN);
+    await Promise.all(
+      ["192.0.2.1", "192.0.2.2", "192.0.2.3"].map((ip) =>
+        verifier.verify(hit, { ip }),
+      ),
+    );
+    assert.strictEqual(times.length, 3);
+    assert.ok(times[2] - times[0] >= 90, `${times[2] - times[0]}ms`);
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(
+      () => createBlocklistVerifier({ resolver: {} }),
+      /resolver must have a resolve4 method/,
+    );
+    assert.throws(
+      () => createBlocklistVerifier({ rate: 0 }),
+      /rate must be a positive number/,
+    );
+    assert.throws(
+      () => createBlocklistVerifier({ cacheSize: 1.5 }),
+      /cacheSize must be a non-negative integer/,
+    );
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the delivery status notification parser
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+
+import {
+  parseDsn,
+  classifyDsn,
+  createClassifier,
+  extractSmtpCodes,
+  getCodeBasedFallback,
+  reset,
+} from "../src/index.js";
+
+const postfixDsn = readFileSync(
+  new URL("./fixtures/postfix-dsn.eml", import.meta.url),
+  "utf8",
+);
+
+// Exchange style DSN with CRLF line endings, a base64 encoded
+// delivery-status part and the full original message attached
+const exchangeDsn = [
+  "From: postmaster@outlook.example",
+  "To: sender@example.com",
+  "Subject: Undeliverable: Hello",
+  "MIME-Version: 1.0",
+  'Content-Type: multipart/report; report-type="delivery-status"; boundary="b1"',
+  "",
+  "--b1",
+  'Content-Type: multipart/alternative; boundary="b2"',
+  "",
+  "--b2",
+  "Content-Type: text/plain; charset=utf-8",
+  "Content-Transfer-Encoding: quoted-printable",
+  "",
+  "Delivery has failed to these recipients or groups:=0D",
+  "gone@outlook.example",
+  "--b2",
+  "Content-Type: text/html; charset=utf-8",
+  "",
+  "<p>Delivery has failed</p>",
+  "--b2--",
+  "",
+  "--b1",
+  "Content-Type: message/delivery-status",
+  "Content-Transfer-Encoding: base64",
+  "",
+  btoa(
+    [
+      "Reporting-MTA: dns;AM0PR01MB1234.eurprd01.prod.outlook.com",
+      "Received-From-MTA: dns;mail.example.com",
+      "Arrival-Date: Mon, 19 Oct 2026 10:15:00 +0000",
+      "",
+      "Final-Recipient: rfc822;gone@outlook.example",
+      "Action: failed",
+      "Status: 5.2.1",
+      "Diagnostic-Code: smtp;550 5.2.1 Mailbox disabled for this recipient",
+      "",
+    ].join("\r\n"),
+  ).replace(/.{60}/g, "$&\r\n"),
+  "",
+  "--b1",
+  "Content-Type: message/rfc822",
+  "",
+  "Message-ID: <abc@example.com>",
+  "Subject: Hello",
+  "",
+  "Original body",
+  "--b1--",
+  "",
+].join("\r\n");
+
+describe("parseDsn", () => {
+  it("should parse per-message fields", () => {
+    const dsn = parseDsn(postfixDsn);
+    assert.strictEqual(dsn.reportingMta, "mail.example.com");
+    assert.strictEqual(
+      dsn.arrivalDate,
+      "Mon, 19 Oct 2026 10:15:00 +0000 (UTC)",
+    );
+    assert.strictEqual(dsn.fields["x-postfix-queue-id"], "3F1A2C0123");
+  });
+
+  it("should parse per-recipient fields", () => {
+    const dsn = parseDsn(postfixDsn);
+    assert.strictEqual(dsn.recipients.length, 3);
+
+    const [first, second] = dsn.recipients;
+    assert.strictEqual(first.finalRecipient, "missing@gmail.com");
+    assert.strictEqual(first.originalRecipient, "Missing@gmail.com");
+    assert.strictEqual(first.action, "failed");
+    assert.strictEqual(first.status, "5.1.1");
+    assert.strictEqual(first.remoteMta, "gmail-smtp-in.l.google.com");
+    assert.strictEqual(first.diagnosticType, "smtp");
+    assert.match(
+      first.diagnosticCode,
+      /^550-5\.1\.1 The email account that you tried to reach does not exist\. Please/,
+    );
+    assert.match(first.diagnosticCode, /NoSuchUser a1si123 - gsmtp$/);
+    assert.strictEqual(first.willRetryUntil, null);
+
+    assert.strictEqual(second.action, "delayed");
+    assert.strictEqual(
+      second.willRetryUntil,
+      "Mon, 24 Oct 2026 10:15:00 +0000 (UTC)",
+    );
+  });
+
+  it("should return the original message headers", () => {
+    const dsn = parseDsn(postfixDsn);
+    assert.strictEqual(
+      dsn.messageId,
+      "<20261019101500.3F1A2C0123@mail.example.com>",
+    );
+    assert.strictEqual(dsn.originalHeaders.subject, "Quarterly réport");
+    assert.strictEqual(dsn.originalHeaders.to, "missing@gmail.com");
+  });
+
+  it("should return the human readable part", () => {
+    const dsn = parseDsn(postfixDsn);
+    assert.match(dsn.humanReadable, /^This is the mail system at host/);
+  });
+
+  it("should handle CRLF, base64 delivery-status and message/rfc822", () => {
+    const dsn = parseDsn(exchangeDsn);
+    assert.strictEqual(
+      dsn.reportingMta,
+      "AM0PR01MB1234.eurprd01.prod.outlook.com",
+    );
+    assert.strictEqual(dsn.receivedFromMta, "mail.example.com");
+    assert.strictEqual(dsn.recipients.length, 1);
+    assert.strictEqual(
+      dsn.recipients[0].finalRecipient,
+      "gone@outlook.example",
+    );
+    assert.strictEqual(
+      dsn.recipients[0].diagnosticCode,
+      "550 5.2.1 Mailbox disabled for this recipient",
+    );
+    assert.strictEqual(dsn.messageId, "<abc@example.com>");
+    assert.match(dsn.humanReadable, /^Delivery has failed/);
+  });
+
+  it("should handle a DSN without per-message fields", () => {
+    const dsn = parseDsn(
+      [
+        "Content-Type: multipart/report; report-type=delivery-status; boundary=x",
+        "",
+        "--x",
+        "Content-Type: message/delivery-status",
+        "",
+        "Final-Recipient: rfc822; user@example.com",
+        "Action: failed",
+        "Status: 5.0.0 (permanent failure)",
+        "--x--",
+      ].join("\n"),
+    );
+    assert.strictEqual(dsn.reportingMta, null);
+    assert.strictEqual(dsn.recipients.length, 1);
+    assert.strictEqual(dsn.recipients[0].status, "5.0.0");
+    assert.strictEqual(dsn.originalHeaders, null);
+    assert.strictEqual(dsn.messageId, null);
+  });
+
+  it("should return null for messages without a delivery-status part", () => {
+    assert.strictEqual(
+      parseDsn("Subject: Hello\nContent-Type: text/plain\n\nHi there"),
+      null,
+    );
+  });
+
+  it("should reject non-string input", () => {
+    assert.throws(() => parseDsn(null), /rawEmail must be a string/);
+  });
+});
+
+describe("SMTP code seeding", () => {
+  it("should use seed codes when the message has none", () => {
+    const codes = extractSmtpCodes("Mailbox unavailable", {
+      extendedCode: "5.2.1",
+    });
+    assert.strictEqual(codes.extendedCode, "5.2.1");
+    assert.strictEqual(
+      getCodeBasedFallback("Mailbox unavailable", { extendedCode: "5.2.1" }),
+      "mailbox_disabled",
+    );
+  });
+
+  it("should prefer codes found in the message", () => {
+    const codes = extractSmtpCodes("550 5.1.1 User unknown", {
+      extendedCode: "5.0.0",
+    });
+    assert.strictEqual(codes.extendedCode, "5.1.1");
+  });
+});
+
+describe("classifyDsn", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should classify every recipient", async () => {
+    const results = await classifyDsn(postfixDsn);
+    assert.strictEqual(results.length, 3);
+
+    assert.strictEqual(results[0].recipient, "missing@gmail.com");
+    assert.strictEqual(results[0].dsn.status, "5.1.1");
+    assert.strictEqual(results[0].result.label, "user_unknown");
+
+    assert.strictEqual(results[1].recipient, "full@example.net");
+    assert.strictEqual(results[1].result.label, "mailbox_full");
+  });
+
+  it("should fall back to the Status field without a Diagnostic-Code", async () => {
+    const results = await classifyDsn(postfixDsn);
+    assert.strictEqual(results[2].recipient, "nodiag@example.org");
+    assert.strictEqual(results[2].result.label, "invalid_address");
+  });
+
+  it("should work on classifier instances", async () => {
+    const classifier = createClassifier();
+    const results = await classifier.classifyDsn(exchangeDsn);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].result.label, "mailbox_disabled");
+    classifier.dispose();
+  });
+
+  it("should return null for non-DSN messages", async () => {
+    assert.strictEqual(await classifyDsn("Subject: Hi\n\nHello"), null);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for the evaluation harness
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { readFile } from "node:fs/promises";
+
+import { summarizeEvaluation, formatEvaluation } from "../src/evaluation.js";
+import { createClassifier, evaluate, reset } from "../src/index.js";
+
+const fixturePath = new URL("./fixtures/calibration.jsonl", import.meta.url)
+  .pathname;
+
+function record(index, expected, predicted, modelLabel, source, confidence) {
+  return {
+    index,
+    message: `message ${index}`,
+    expected,
+    predicted,
+    modelLabel,
+    source,
+    confidence,
+    expectedScore: null,
+  };
+}
+
+const records = [
+  record(0, "a", "a", "a", "model", 0.9),
+  record(1, "a", "b", "b", "model", 0.8),
+  record(2, "b", "b", "a", "text_pattern", 0.6),
+  record(3, "b", "a", "b", "code_fallback", 0.4),
+  record(4, "c", "c", "c", "model", 0.95),
+];
+
+describe("summarizeEvaluation", () => {
+  const report = summarizeEvaluation(records, { labels: ["c", "b", "a", "x"] });
+
+  it("should compute accuracy with and without overrides", () => {
+    assert.strictEqual(report.samples, 5);
+    assert.strictEqual(report.accuracy, 3 / 5);
+    assert.strictEqual(report.modelAccuracy, 3 / 5);
+  });
+
+  it("should keep the model label order and drop unseen labels", () => {
+    assert.deepStrictEqual(report.labels, ["c", "b", "a"]);
+    assert.deepStrictEqual(report.confusion.matrix, [
+      [1, 0, 0],
+      [0, 1, 1],
+      [0, 1, 1],
+    ]);
+  });
+
+  it("should compute per-label and macro metrics", () => {
+    assert.deepStrictEqual(report.perLabel.c, {
+      precision: 1,
+      recall: 1,
+      f1: 1,
+      support: 1,
+    });
+    assert.strictEqual(report.perLabel.a.precision, 0.5);
+    assert.strictEqual(report.perLabel.a.recall, 0.5);
+    assert.strictEqual(report.macro.f1, (1 + 0.5 + 0.5) / 3);
+  });
+
+  it("should count whether overrides helped or hurt", () => {
+    assert.deepStrictEqual(report.fallbacks.text_pattern, {
+      used: 1,
+      changed: 1,
+      helped: 1,
+      hurt: 0,
+    });
+    assert.deepStrictEqual(report.fallbacks.code_fallback, {
+      used: 1,
+      changed: 1,
+      helped: 0,
+      hurt: 1,
+    });
+    assert.strictEqual(report.fallbacks.rule.used, 0);
+  });
+
+  it("should list the most confident mistakes first", () => {
+    assert.deepStrictEqual(
+      report.worst.map((entry) => entry.index),
+      [1, 3],
+    );
+    const limited = summarizeEvaluation(records, { worst: 1 });
+    assert.strictEqual(limited.worst.length, 1);
+  });
+
+  it("should add labels that are not model labels", () => {
+    const extra = summarizeEvaluation(
+      [
+        record(0, "a", "custom", "a", "rule", 0.5),
+        record(1, "custom", "custom", "a", "rule", 0.5),
+      ],
+      { labels: ["a", "b"] },
+    );
+    assert.deepStrictEqual(extra.labels, ["a", "custom"]);
+    assert.strictEqual(extra.perLabel.custom.precision, 0.5);
+    assert.deepStrictEqual(extra.fallbacks.rule, {
+      used: 2,
+      changed: 2,
+      helped: 1,
+      hurt: 1,
+    });
+  });
+
+  it("should handle an empty dataset", () => {
+    const empty = summarizeEvaluation([]);
+    assert.strictEqual(empty.accuracy, 0);
+    assert.deepStrictEqual(empty.labels, []);
+  });
+});
+
+describe("formatEvaluation", () => {
+  it("should render every section", () => {
+    const text = formatEvaluation(summarizeEvaluation(records));
+    assert.match(text, /Accuracy: 0\.6000 \(model alone: 0\.6000\)/);
+    assert.match(text, /^macro avg\s+0\.\d{4}/m);
+    assert.match(text, /^\[0\] a\s+1\s+1\s+0$/m);
+    assert.match(text, /^code_fallback\s+1\s+1\s+0\s+1$/m);
+    assert.match(text, /#1: expected a, got b \(model, confidence 0\.8000\)/);
+  });
+});
+
+describe("evaluate", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should evaluate a JSONL file like the same samples in an array", async () => {
+    const lines = (await readFile(fixturePath, "utf8")).trim().split("\n");
+    const samples = lines.map((line) => JSON.parse(line));
+
+    const fromFile = await evaluate(fixturePath);
+    const fromArray = await evaluate(samples);
+    assert.deepStrictEqual(fromFile, fromArray);
+    assert.strictEqual(fromFile.samples, samples.length);
+    assert.ok(fromFile.accuracy > 0.5);
+
+    const total = Object.values(fromFile.perLabel).reduce(
+      (sum, metrics) => sum + metrics.support,
+      0,
+    );
+    assert.strictEqual(total, samples.length);
+    for (const entry of fromFile.worst) {
+      assert.notStrictEqual(entry.predicted, entry.expected);
+      assert.strictEqual(entry.message, samples[entry.index].message);
+    }
+  });
+
+  it("should attribute rule overrides", async () => {
+    const classifier = createClassifier();
+    classifier.addRules([
+      { id: "all-quota", match: { pattern: "quota" }, label: "mailbox_full" },
+    ]);
+    const report = await classifier.evaluate([
+      { message: "552 Quota exceeded", label: "mailbox_full" },
+      { message: "550 quota policy violation", label: "policy_blocked" },
+    ]);
+    assert.strictEqual(report.fallbacks.rule.used, 2);
+    assert.strictEqual(report.perLabel.mailbox_full.precision, 0.5);
+  });
+
+  it("should reject invalid input", async () => {
+    const classifier = createClassifier();
+    await assert.rejects(
+      classifier.evaluate({}),
+      /dataset must be an array or a path, got object/,
+    );
+    await assert.rejects(
+      classifier.evaluate([{ message: "550 No such user" }]),
+      /Sample at index 0 label must be a non-empty string/,
+    );
+    await assert.rejects(
+      classifier.evaluate([{ message: "550 No such user", label: "a" }], {
+        worst: -1,
+      }),
+      /worst must be a non-negative integer/,
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for classification explanations
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  explain,
+  classify,
+  addRules,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+describe("explain", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should return the tokens with offsets into the message", async () => {
+    const message = "550 5.1.1 <Nobody@Example.com>: User unknown";
+    const explanation = await explain(message);
+
+    assert.deepStrictEqual(
+      explanation.tokens.map((token) => token.word),
+      ["550", "5", "1", "1", "nobody", "example", "com", "user", "unknown"],
+    );
+    for (const token of explanation.tokens) {
+      assert.strictEqual(
+        message.substring(token.start, token.end).toLowerCase(),
+        token.word,
+      );
+      assert.strictEqual(typeof token.id, "number");
+      assert.strictEqual(typeof token.attribution, "number");
+    }
+    assert.strictEqual(explanation.wordCount, 9);
+    assert.strictEqual(explanation.truncated, false);
+  });
+
+  it("should match the classification result", async () => {
+    const message = "452 4.2.2 Mailbox full, quota exceeded";
+    const explanation = await explain(message, { now: 0 });
+    assert.deepStrictEqual(
+      explanation.result,
+      await classify(message, { now: 0 }),
+    );
+    assert.strictEqual(explanation.label, "mailbox_full");
+    assert.strictEqual(explanation.target, "mailbox_full");
+  });
+
+  it("should attribute the label to the relevant words", async () => {
+    const explanation = await explain(
+      "550 5.7.1 Message rejected as spam by content filtering",
+    );
+    assert.strictEqual(explanation.label, "spam_blocked");
+    const top = [...explanation.tokens].sort(
+      (a, b) => b.attribution - a.attribution,
+    )[0];
+    assert.strictEqual(top.word, "spam");
+  });
+
+  it("should flag out-of-vocabulary words", async () => {
+    const explanation = await explain("Mailbox full zqxjvwk");
+    const oov = explanation.tokens.find((token) => token.word === "zqxjvwk");
+    assert.strictEqual(oov.oov, true);
+    assert.strictEqual(oov.id, 1);
+    assert.strictEqual(explanation.oovCount, 1);
+  });
+
+  it("should report truncation at MAX_LENGTH", async () => {
+    const message = `${"word ".repeat(120)}mailbox full`;
+    const explanation = await explain(message);
+    assert.strictEqual(explanation.truncated, true);
+    assert.strictEqual(explanation.wordCount, 122);
+    assert.strictEqual(explanation.tokens.length, 100);
+  });
+
+  it("should keep offsets when lowercasing changes the length", async () => {
+    const message = "İstanbul relay Kelvin denied";
+    const explanation = await explain(message);
+    assert.deepStrictEqual(
+      explanation.tokens.map((token) => token.word),
+      ["i", "stanbul", "relay", "kelvin", "denied"],
+    );
+    const kelvin = explanation.tokens[3];
+    assert.strictEqual(message.substring(kelvin.start, kelvin.end), "Kelvin");
+  });
+
+  it("should report which stages would have fired", async () => {
+    addRules([
+      {
+        id: "late-rule",
+        priority: "after_code",
+        match: { code: "550" },
+        label: "policy_blocked",
+      },
+    ]);
+    const explanation = await explain("550 5.1.1 User unknown");
+    assert.strictEqual(explanation.source, "text_pattern");
+    assert.deepStrictEqual(explanation.matches, {
+      rules: [{ id: "late-rule", priority: "after_code" }],
+      textPattern: "user_unknown",
+      providerReason: null,
+      smtpCodes: { mainCode: "550", extendedCode: "5.1.1" },
+      codeFallback: "user_unknown",
+    });
+  });
+
+  it("should attribute toward a requested label", async () => {
+    const explanation = await explain("550 5.1.1 User unknown", {
+      label: "mailbox_full",
+    });
+    assert.strictEqual(explanation.target, "mailbox_full");
+    await assert.rejects(
+      explain("550 5.1.1 User unknown", { label: "nope" }),
+      /Unknown label: nope/,
+    );
+  });
+
+  it("should work on classifier instances", async () => {
+    const classifier = createClassifier();
+    const explanation = await classifier.explain("Greylisted, try again later");
+    assert.ok(explanation.tokens.length > 0);
+    classifier.dispose();
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit tests for fine-tuning
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  trainWeights,
+  serializeWeights,
+  buildWeightsManifest,
+} from "../src/fine-tune.js";
+import { createClassifier, reset } from "../src/index.js";
+
+const modelPath = new URL("../model", import.meta.url).pathname;
+
+// Tiny model: vocabulary of 6, 3-dim embeddings, 4 hidden units, 2 labels
+function tinyWeights() {
+  const values = (size, seed) =>
+    Float32Array.from({ length: size }, (_, i) => Math.sin(seed + i) * 0.5);
+  return {
+    embedding: values(6 * 3, 1),
+    dense1Kernel: values(3 * 4, 2),
+    dense1Bias: new Float32Array(4),
+    dense2Kernel: values(4 * 2, 3),
+    dense2Bias: new Float32Array(2),
+  };
+}
+
+// Token 2 means label 0, token 3 means label 1, 0 is padding
+const tinyExamples = [
+  { tokens: [2, 4, 0, 0], labelId: 0 },
+  { tokens: [2, 5, 0, 0], labelId: 0 },
+  { tokens: [2, 2, 4, 0], labelId: 0 },
+  { tokens: [3, 4, 0, 0], labelId: 1 },
+  { tokens: [3, 5, 0, 0], labelId: 1 },
+  { tokens: [3, 3, 5, 0], labelId: 1 },
+];
+
+describe("trainWeights", () => {
+  it("should learn a separable task", () => {
+    const weights = tinyWeights();
+    const result = trainWeights(weights, tinyExamples, {
+      validation: tinyExamples,
+      epochs: 200,
+      batchSize: 2,
+      learningRate: 0.05,
+      trainEmbeddings: true,
+    });
+    assert.strictEqual(result.validation.accuracy, 1);
+    assert.ok(result.validation.loss < result.history[0].validationLoss);
+  });
+
+  it("should not modify the input weights", () => {
+    const weights = tinyWeights();
+    const before = serializeWeights(weights);
+    trainWeights(weights, tinyExamples, {
+      validation: tinyExamples,
+      epochs: 5,
+      learningRate: 0.05,
+      trainEmbeddings: true,
+    });
+    assert.deepStrictEqual(serializeWeights(weights), before);
+  });
+
+  it("should leave embeddings alone unless asked to", () => {
+    const weights = tinyWeights();
+    const result = trainWeights(weights, tinyExamples, {
+      validation: tinyExamples,
+      epochs: 5,
+      learningRate: 0.05,
+    });
+    assert.deepStrictEqual(result.weights.embedding, weights.embedding);
+    assert.notDeepStrictEqual(
+      result.weights.dense2Kernel,
+      weights.dense2Kernel,
+    );
+  });
+
+  it("should stop early when validation loss stops improving", () => {
+    // Validation labels are the opposite of the training labels
+    const flipped = tinyExamples.map((example) => ({
+      ...example,
+      labelId: 1 - example.labelId,
+    }));
+    const result = trainWeights(tinyWeights(), tinyExamples, {
+      validation: flipped,
+      epochs: 50,
+      learningRate: 0.05,
+      patience: 2,
+    });
+    assert.strictEqual(result.stoppedEarly, true);
+    assert.ok(result.history.length < 50);
+    assert.strictEqual(result.history.length - result.bestEpoch, 2);
+  });
+
+  it("should split off a repeatable validation set", () => {
+    const a = trainWeights(tinyWeights(), tinyExamples, { epochs: 2 });
+    const b = trainWeights(tinyWeights(), tinyExamples, { epochs: 2 });
+    assert.strictEqual(a.train, 5);
+    assert.strictEqual(a.validation.examples, 1);
+    assert.deepStrictEqual(a.history, b.history);
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(
+      () => trainWeights(tinyWeights(), tinyExamples, { epochs: 0 }),
+      /epochs must be a positive integer/,
+    );
+    assert.throws(
+      () => trainWeights(tinyWeights(), tinyExamples, { validationSplit: 1 }),
+      /validationSplit must be a number between 0 and 1/,
+    );
+    assert.throws(
+      () => trainWeights(tinyWeights(), tinyExamples.slice(0, 1)),
+      /At least 2 examples/,
+    );
+  });
+});
+
+describe("buildWeightsManifest", () => {
+  it("should match the shipped model.json", async () => {
+    const modelJson = JSON.parse(
+      await readFile(join(modelPath, "model.json"), "utf8"),
+    );
+    const weights = {
+      embedding: new Float32Array(5000 * 64),
+      dense1Kernel: new Float32Array(64 * 64),
+      dense1Bias: new Float32Array(64),
+      dense2Kernel: new Float32Array(64 * 16),
+      dense2Bias: new Float32Array(16),
+    };
+    assert.deepStrictEqual(
+      buildWeightsManifest(weights),
+      modelJson.weightsManifest,
+    );
+  });
+});
+
+describe("fineTune", () => {
+  after(() => {
+    reset();
+  });
+
+  const message = "550 The recipient does not exist here";
+  const target = "mailbox_disabled";
+
+  it("should write a model that initialize() can load", async () => {
+    const outputDir = await mkdtemp(join(tmpdir(), "bounce-tuned-"));
+    try {
+      const examples = Array.from({ length: 8 }, () => ({
+        message,
+        label: target,
+      }));
+
+      const classifier = createClassifier();
+      const before = await classifier.classify(message);
+      const report = await classifier.fineTune(examples, {
+        outputDir,
+        validation: examples,
+        epochs: 5,
+        learningRate: 0.01,
+      });
+
+      assert.strictEqual(report.modelPath, outputDir);
+      assert.strictEqual(report.history.length, 5);
+      assert.strictEqual(report.train, 8);
+
+      const tuned = createClassifier();
+      await tuned.initialize({ modelPath: outputDir });
+      const after = await tuned.classify(message);
+      assert.ok(after.scores[target] > before.scores[target]);
+      assert.deepStrictEqual(
+        await tuned.getLabels(),
+        await classifier.getLabels(),
+      );
+
+      // The source model is untouched
+      const again = await classifier.classify(message);
+      assert.strictEqual(again.scores[target], before.scores[target]);
+
+      const config = JSON.parse(
+        await readFile(join(outputDir, "config.json"), "utf8"),
+      );
+      assert.strictEqual(config.calibration, undefined);
+      assert.strictEqual(config.fine_tuned.examples, 8);
+    } finally {
+      await rm(outputDir, { recursive: true });
+    }
+  });
+
+  it("should reject invalid input", async () => {
+    const classifier = createClassifier();
+    await assert.rejects(
+      classifier.fineTune([{ message, label: target }]),
+      /outputDir must be a non-empty string/,
+    );
+    await assert.rejects(
+      classifier.fineTune([{ message, label: "nonsense" }], {
+        outputDir: join(tmpdir(), "unused"),
+      }),
+      /Example at index 0 has unknown label: nonsense/,
+    );
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for Gmail help-link interpretation
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  lookupGmailError,
+  GMAIL_ANCHORS,
+  classify,
+  explain,
+  reset,
+} from "../src/index.js";
+
+const OVER_QUOTA =
+  "452-4.2.2 The recipient's inbox is out of storage space. Please direct the recipient to https://support.google.com/mail/?p=OverQuotaTemp d2e1a72fcca58-6e9a3b2c1a5si123456b3a.2 - gsmtp";
+const UNSOLICITED =
+  "550-5.7.1 [203.0.113.5] Gmail has detected that this message is likely unsolicited mail. To reduce the amount of spam sent to Gmail, this message has been blocked. For more information, go to https://support.google.com/mail/?p=UnsolicitedMessageError 41be03b00d2f7-5cf5a2b1c3esi123456a12.44 - gsmtp";
+
+describe("lookupGmailError", () => {
+  it("should map help-link anchors to labels, reasons and URLs", () => {
+    assert.deepStrictEqual(lookupGmailError(OVER_QUOTA), {
+      provider: "google",
+      code: "OverQuotaTemp",
+      label: "mailbox_full",
+      reason: "over_quota",
+      description: "The recipient's mailbox is out of storage space",
+      url: "https://support.google.com/mail/?p=OverQuotaTemp",
+    });
+
+    const cases = [
+      [UNSOLICITED, "UnsolicitedMessageError", "spam_blocked"],
+      [
+        "550 5.7.26 Unauthenticated email from example.com is not accepted due to domain's DMARC policy. https://support.google.com/mail/answer/2451690?hl=en&p=DmarcRejection - gsmtp",
+        "DmarcRejection",
+        "auth_failure",
+      ],
+      [
+        "421-4.7.0 Try again later, closing connection. https://support.google.com/a/?p=ReceivingRate",
+        "ReceivingRate",
+        "rate_limited",
+      ],
+    ];
+    for (const [message, code, label] of cases) {
+      const found = lookupGmailError(message);
+      assert.deepStrictEqual([found.code, found.label], [code, label], message);
+    }
+  });
+
+  it("should accept a bare anchor only with the gsmtp suffix", () => {
+    const folded =
+      "550 5.1.1 The email account that you tried to reach does not exist. p=NoSuchUser a640c23a62f3a-a6f0d2b1c3esi12345.1 - gsmtp";
+    assert.strictEqual(lookupGmailError(folded).reason, "no_such_user");
+    assert.strictEqual(
+      lookupGmailError("550 5.1.1 Unknown user, see p=NoSuchUser"),
+      null,
+    );
+  });
+
+  it("should ignore unknown anchors and other replies", () => {
+    assert.strictEqual(
+      lookupGmailError("550 5.7.1 https://support.google.com/mail/?p=Whatever"),
+      null,
+    );
+    assert.strictEqual(
+      lookupGmailError("550 5.1.1 User unknown - gsmtp"),
+      null,
+    );
+    assert.strictEqual(lookupGmailError("toString p=toString - gsmtp"), null);
+    assert.throws(() => lookupGmailError(42), /message must be a string/);
+  });
+
+  it("should give every anchor a reason and description", () => {
+    for (const [anchor, entry] of Object.entries(GMAIL_ANCHORS)) {
+      assert.match(entry.reason, /^[a-z0-9_]+$/, anchor);
+      assert.ok(entry.description, anchor);
+    }
+  });
+});
+
+describe("Gmail knowledge in classify()", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should decide the label and add the provider reason", async () => {
+    const result = await classify(UNSOLICITED);
+    assert.strictEqual(result.label, "spam_blocked");
+    assert.strictEqual(result.provider.id, "google");
+    assert.deepStrictEqual(
+      [result.providerReason.code, result.providerReason.url],
+      [
+        "UnsolicitedMessageError",
+        "https://support.google.com/mail/?p=UnsolicitedMessageError",
+      ],
+    );
+
+    const explanation = await explain(OVER_QUOTA);
+    assert.strictEqual(explanation.label, "mailbox_full");
+    assert.strictEqual(explanation.matches.providerReason.reason, "over_quota");
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for the Microsoft 365 / Outlook.com knowledge base
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  lookupMicrosoftError,
+  classify,
+  explain,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+const BANNED_IP =
+  "550 5.7.606 Access denied, banned sending IP [203.0.113.5]. To request removal from this list please visit https://sender.office.com/ and follow the directions.";
+const DBEB =
+  "550 5.4.1 Recipient address rejected: Access denied. AS(201806281) [DM6NAM12FT034.eop-nam12.prod.protection.outlook.com]";
+
+describe("lookupMicrosoftError", () => {
+  it("should map identifiers to labels, reasons and URLs", () => {
+    assert.deepStrictEqual(lookupMicrosoftError(BANNED_IP), {
+      provider: "microsoft",
+      code: "5.7.606",
+      label: "ip_blacklisted",
+      reason: "banned_sending_ip",
+      description:
+        "Exchange Online Protection banned the sending IP, request removal in the delist portal",
+      url: "https://sender.office.com/",
+    });
+
+    const cases = [
+      [
+        "550 5.7.1 ... part of their network is on our block list (S3150)",
+        "S3150",
+        "outlook_blocklist",
+      ],
+      [
+        "550 5.7.649 Access denied, banned sending IP [203.0.113.5]",
+        "5.7.649",
+        "banned_sending_ip",
+      ],
+      [
+        "550 5.7.511 Access denied, banned sender[203.0.113.5]",
+        "5.7.511",
+        "banned_sender",
+      ],
+      [
+        "550 5.7.1 Service unavailable, message rejected AS(7124)",
+        "AS(7124)",
+        "spam_filter",
+      ],
+      [
+        "451 4.7.500 Server busy. Please try again later from [203.0.113.5]",
+        "4.7.500",
+        "throttling",
+      ],
+      [
+        "451 4.7.650 The mail server [203.0.113.5] has been temporarily rate limited due to IP reputation",
+        "4.7.650",
+        "ip_reputation_throttling",
+      ],
+    ];
+    for (const [message, code, reason] of cases) {
+      const found = lookupMicrosoftError(message);
+      assert.deepStrictEqual(
+        [found.code, found.reason],
+        [code, reason],
+        message,
+      );
+    }
+  });
+
+  it("should prefer Directory-Based Edge Blocking over the spam filter code", () => {
+    const found = lookupMicrosoftError(DBEB);
+    assert.strictEqual(found.reason, "directory_based_edge_blocking");
+    assert.strictEqual(found.label, "user_unknown");
+  });
+
+  it("should ignore generic codes", () => {
+    assert.strictEqual(lookupMicrosoftError("550 5.7.1 Relaying denied"), null);
+    assert.strictEqual(lookupMicrosoftError("550 5.7.6061 Something"), null);
+    assert.strictEqual(
+      lookupMicrosoftError("550 5.4.1 No route to host"),
+      null,
+    );
+    assert.throws(() => lookupMicrosoftError(42), /message must be a string/);
+  });
+});
+
+describe("Microsoft knowledge in classify()", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should decide the label ahead of the code fallback", async () => {
+    const uncertain = { codeFallbackThreshold: 0.99 };
+    const result = await classify(BANNED_IP, uncertain);
+    assert.strictEqual(result.label, "ip_blacklisted");
+    assert.strictEqual(result.action, "retry_different_ip");
+    assert.strictEqual(result.provider.id, "microsoft");
+    assert.strictEqual(result.providerReason.code, "5.7.606");
+    assert.strictEqual(result.usedFallback, undefined);
+
+    const dbeb = await classify(DBEB, uncertain);
+    assert.strictEqual(dbeb.label, "user_unknown");
+    assert.strictEqual(dbeb.action, "remove");
+
+    const explanation = await explain(BANNED_IP, uncertain);
+    assert.strictEqual(explanation.source, "provider");
+    assert.strictEqual(
+      explanation.matches.providerReason.reason,
+      "banned_sending_ip",
+    );
+  });
+
+  it("should keep a confident model prediction", async () => {
+    const explanation = await explain(BANNED_IP, {
+      codeFallbackThreshold: 0,
+      codeFallbackOnUnknown: false,
+    });
+    assert.strictEqual(explanation.source, "model");
+    assert.strictEqual(explanation.label, explanation.modelLabel);
+    // Still reported for the operator
+    assert.strictEqual(explanation.result.providerReason.code, "5.7.606");
+  });
+
+  it("should only apply to replies from Microsoft", async () => {
+    const throttled =
+      "451 4.7.500 Server busy. Please try again later from [203.0.113.5]";
+    const other = await classify(throttled, {
+      codeFallbackThreshold: 0.99,
+      remoteHost: "mx.example.com",
+    });
+    assert.strictEqual(other.provider, undefined);
+    assert.strictEqual(other.providerReason, undefined);
+
+    const outlook = await classify(throttled, {
+      codeFallbackThreshold: 0.99,
+      remoteHost: "example-com.mail.protection.outlook.com",
+    });
+    assert.strictEqual(outlook.provider.id, "microsoft");
+    assert.strictEqual(outlook.providerReason.reason, "throttling");
+    assert.strictEqual(outlook.label, "rate_limited");
+  });
+
+  it("should let before_model rules win", async () => {
+    const classifier = createClassifier({
+      rules: [
+        {
+          id: "local-606",
+          priority: "before_model",
+          match: { enhancedCode: "5.7.606" },
+          label: "policy_blocked",
+        },
+      ],
+    });
+    const result = await classifier.classify(BANNED_IP);
+    assert.strictEqual(result.label, "policy_blocked");
+    assert.strictEqual(result.ruleId, "local-606");
+    // Still reported for the operator
+    assert.strictEqual(result.providerReason.reason, "banned_sending_ip");
+    classifier.dispose();
+  });
+});
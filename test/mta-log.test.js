@@ -0,0 +1,203 @@
+/**
+ * Unit tests for MTA log parsing
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+
+import {
+  parseLog,
+  parseLogLine,
+  classifyLog,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+const log = readFileSync(
+  new URL("./fixtures/maillog.txt", import.meta.url),
+  "utf8",
+);
+
+describe("parseLogLine", () => {
+  it("should parse Postfix bounced and deferred lines", () => {
+    const lines = log.split("\n");
+    assert.deepStrictEqual(parseLogLine(lines[0]), [
+      {
+        format: "postfix",
+        queueId: "4F1A23C0D",
+        recipient: "user@example.com",
+        status: "bounced",
+        dsn: "5.1.1",
+        relayHost: "mx.example.com",
+        relayIp: "203.0.113.5",
+        reply:
+          "550 5.1.1 <user@example.com>: Recipient address rejected: User unknown in virtual mailbox table",
+      },
+    ]);
+
+    const [deferred] = parseLogLine(lines[1], "postfix");
+    assert.strictEqual(deferred.status, "deferred");
+    assert.strictEqual(deferred.relayHost, "mx.slow.example");
+    assert.strictEqual(deferred.relayIp, "198.51.100.7");
+    assert.match(deferred.reply, /Connection timed out$/);
+  });
+
+  it("should parse Exim failures and deferrals", () => {
+    const lines = log.split("\n");
+    const [bounced] = parseLogLine(lines[3], "exim");
+    assert.strictEqual(bounced.queueId, "1rNa2b-0001Xy-AB");
+    assert.strictEqual(bounced.relayHost, "mx.example.com");
+    assert.strictEqual(bounced.relayIp, "203.0.113.5");
+    assert.strictEqual(bounced.reply, "550 5.1.1 User unknown");
+    assert.strictEqual(bounced.dsn, "5.1.1");
+
+    const [deferred] = parseLogLine(lines[4]);
+    assert.strictEqual(deferred.status, "deferred");
+    assert.strictEqual(deferred.reply, "452 4.2.2 Mailbox full");
+
+    const [local] = parseLogLine(lines[5]);
+    assert.strictEqual(local.recipient, "nobody@nowhere.invalid");
+    assert.strictEqual(local.reply, "Unrouteable address");
+    assert.strictEqual(local.relayHost, null);
+  });
+
+  it("should parse Sendmail lines with one entry per recipient", () => {
+    const lines = log.split("\n");
+    const [bounced] = parseLogLine(lines[7], "sendmail");
+    assert.strictEqual(bounced.queueId, "40AC0Abc012345");
+    assert.strictEqual(bounced.relayHost, "mx.example.com");
+    assert.strictEqual(bounced.relayIp, "203.0.113.5");
+    assert.strictEqual(bounced.dsn, "5.1.1");
+    assert.strictEqual(bounced.reply, "User unknown");
+
+    const deferred = parseLogLine(lines[8]);
+    assert.deepStrictEqual(
+      deferred.map((entry) => [entry.recipient, entry.status, entry.reply]),
+      [
+        ["a@x.example", "deferred", "421 4.7.0 Try again later"],
+        ["b@x.example", "deferred", "421 4.7.0 Try again later"],
+      ],
+    );
+  });
+
+  it("should parse Haraka outbound lines", () => {
+    const lines = log.split("\n");
+    const [bounced] = parseLogLine(lines[10], "haraka");
+    assert.deepStrictEqual(bounced, {
+      format: "haraka",
+      queueId: "3E1F7A0C-2B4D-4C1E-9F3A-5D6E7F8A9B0C.1",
+      recipient: "user@example.com",
+      status: "bounced",
+      dsn: "5.1.1",
+      relayHost: null,
+      relayIp: null,
+      reply: "550 5.1.1 <user@example.com>: Recipient address rejected",
+    });
+
+    const [deferred] = parseLogLine(lines[11], "haraka");
+    assert.strictEqual(deferred.recipient, "grey@example.com");
+    assert.strictEqual(deferred.status, "deferred");
+    assert.strictEqual(deferred.dsn, "4.7.1");
+
+    // Temp failures of the whole message name no recipient
+    const [tempFail] = parseLogLine(lines[12], "haraka");
+    assert.deepStrictEqual(
+      [tempFail.queueId, tempFail.recipient, tempFail.status, tempFail.reply],
+      [
+        "3E1F7A0C-2B4D-4C1E-9F3A-5D6E7F8A9B0E.1",
+        null,
+        "deferred",
+        "connect ECONNREFUSED 198.51.100.7:25",
+      ],
+    );
+    const [bouncedMail] = parseLogLine(
+      "[INFO] [-] [outbound] bouncing mail: Too many failures (452 4.2.2 Mailbox full)",
+    );
+    assert.deepStrictEqual(
+      [bouncedMail.queueId, bouncedMail.status, bouncedMail.dsn],
+      [null, "bounced", "4.2.2"],
+    );
+  });
+
+  it("should skip successful deliveries and other lines", () => {
+    const lines = log.split("\n");
+    assert.deepStrictEqual(parseLogLine(lines[2]), []);
+    assert.deepStrictEqual(parseLogLine(lines[6]), []);
+    assert.deepStrictEqual(parseLogLine(lines[9]), []);
+    assert.deepStrictEqual(parseLogLine(lines[13]), []);
+    // A line of another format does not match a fixed format
+    assert.deepStrictEqual(parseLogLine(lines[0], "exim"), []);
+  });
+
+  it("should reject invalid input", () => {
+    assert.throws(() => parseLogLine(42), /line must be a string/);
+    assert.throws(
+      () => parseLogLine("", "qmail"),
+      /format must be one of auto, postfix, exim, sendmail, haraka/,
+    );
+  });
+});
+
+describe("parseLog", () => {
+  it("should parse a mixed log with line numbers", () => {
+    const entries = parseLog(log);
+    assert.deepStrictEqual(
+      entries.map((entry) => [entry.line, entry.format, entry.status]),
+      [
+        [1, "postfix", "bounced"],
+        [2, "postfix", "deferred"],
+        [4, "exim", "bounced"],
+        [5, "exim", "deferred"],
+        [6, "exim", "bounced"],
+        [8, "sendmail", "bounced"],
+        [9, "sendmail", "deferred"],
+        [9, "sendmail", "deferred"],
+        [11, "haraka", "bounced"],
+        [12, "haraka", "deferred"],
+        [13, "haraka", "deferred"],
+      ],
+    );
+  });
+
+  it("should accept arrays and a fixed format", () => {
+    const entries = parseLog(log.split("\n"), { format: "sendmail" });
+    assert.strictEqual(entries.length, 3);
+    assert.throws(() => parseLog(42), /lines must be a string or an array/);
+    assert.throws(
+      () => parseLog(["ok", null]),
+      /Line at index 1 must be a string, got object/,
+    );
+  });
+});
+
+describe("classifyLog", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should classify the reply of every entry", async () => {
+    const records = await classifyLog(log);
+    assert.strictEqual(records.length, 11);
+    assert.strictEqual(records[0].recipient, "user@example.com");
+    assert.strictEqual(records[0].queueId, "4F1A23C0D");
+    assert.strictEqual(records[0].result.label, "user_unknown");
+    assert.strictEqual(records[3].result.label, "mailbox_full");
+    assert.strictEqual(records[3].result.action, "retry");
+  });
+
+  it("should work on classifier instances", async () => {
+    const classifier = createClassifier();
+    const records = await classifier.classifyLog(log.split("\n").slice(3, 5), {
+      format: "exim",
+    });
+    assert.deepStrictEqual(
+      records.map((record) => [record.line, record.result.label]),
+      [
+        [1, "user_unknown"],
+        [2, "mailbox_full"],
+      ],
+    );
+    classifier.dispose();
+  });
+});
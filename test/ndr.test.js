@@ -0,0 +1,163 @@
+/**
+ * Unit tests for heuristic vendor bounce extraction
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+
+import {
+  extractBounceDetails,
+  classifyNdr,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+const fixture = (name) =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+describe("extractBounceDetails", () => {
+  it("should extract qmail-send notices", () => {
+    const details = extractBounceDetails(fixture("qmail.eml"));
+    assert.strictEqual(details.template, "qmail");
+    assert.strictEqual(details.reportingMta, "mail.example.com");
+    assert.strictEqual(details.recipients.length, 2);
+
+    const [first, second] = details.recipients;
+    assert.strictEqual(first.recipient, "nobody@example.net");
+    assert.strictEqual(first.remoteIp, "192.0.2.10");
+    assert.strictEqual(
+      first.diagnostic,
+      "550 5.1.1 <nobody@example.net>: Recipient address rejected: User unknown in virtual mailbox table",
+    );
+
+    assert.strictEqual(second.recipient, "someone@nonexistent.example");
+    assert.strictEqual(second.remoteIp, null);
+    assert.match(second.diagnostic, /couldn't find any host named/);
+  });
+
+  it("should ignore addresses in the returned original message", () => {
+    const details = extractBounceDetails(fixture("qmail.eml"));
+    assert.ok(
+      !details.recipients.some((r) => r.recipient === "fake@example.org"),
+    );
+    assert.ok(!/Below this line/.test(details.text));
+  });
+
+  it("should extract Yahoo failure notices with quoted-printable", () => {
+    const details = extractBounceDetails(fixture("yahoo.eml"));
+    assert.strictEqual(details.template, "yahoo");
+    assert.strictEqual(details.recipients.length, 1);
+    assert.strictEqual(details.recipients[0].recipient, "missing@yahoo.com");
+    assert.strictEqual(
+      details.recipients[0].diagnostic,
+      "554 delivery error: dd This user doesn't have a yahoo.com account (missing@yahoo.com) [0] - mta1234.mail.gq1.yahoo.com [RCPT_TO]",
+    );
+  });
+
+  it("should extract Exchange HTML NDRs", () => {
+    const details = extractBounceDetails(fixture("exchange.eml"));
+    assert.strictEqual(details.template, "exchange");
+    assert.strictEqual(
+      details.reportingMta,
+      "AM0PR01MB1234.eurprd01.prod.outlook.com",
+    );
+    assert.strictEqual(details.recipients.length, 1);
+    assert.strictEqual(details.recipients[0].recipient, "gone@contoso.com");
+    assert.strictEqual(
+      details.recipients[0].diagnostic,
+      "550 5.1.10 RESOLVER.ADR.RecipientNotFound; Recipient not found by SMTP address lookup",
+    );
+    assert.ok(!/<p>|color: red/.test(details.text), "HTML is stripped");
+  });
+
+  it("should extract the newer Office 365 layout", () => {
+    const details = extractBounceDetails(
+      [
+        "Subject: Undeliverable: Hello",
+        "Content-Type: text/plain",
+        "",
+        "Your message to user@contoso.com couldn't be delivered.",
+        "",
+        "Error Details",
+        "Reported error: 550 5.4.1 Recipient address rejected: Access denied.",
+        "DSN generated by: DM6PR01MB5678.namprd01.prod.outlook.com",
+        "Remote server: mx.contoso.com",
+      ].join("\n"),
+    );
+    assert.strictEqual(details.template, "exchange");
+    assert.strictEqual(
+      details.reportingMta,
+      "DM6PR01MB5678.namprd01.prod.outlook.com",
+    );
+    assert.deepStrictEqual(details.recipients, [
+      {
+        recipient: "user@contoso.com",
+        remoteServer: "mx.contoso.com",
+        remoteIp: null,
+        diagnostic: "550 5.4.1 Recipient address rejected: Access denied.",
+      },
+    ]);
+  });
+
+  it("should extract Postfix bodies", () => {
+    const details = extractBounceDetails(fixture("postfix.eml"));
+    assert.strictEqual(details.template, "postfix");
+    assert.strictEqual(details.reportingMta, "mail.example.com");
+    assert.strictEqual(details.recipients.length, 2);
+
+    const [full, slow] = details.recipients;
+    assert.strictEqual(full.recipient, "full@example.net");
+    assert.strictEqual(full.remoteServer, "mx.example.net");
+    assert.strictEqual(full.remoteIp, "198.51.100.7");
+    assert.strictEqual(
+      full.diagnostic,
+      "552 5.2.2 <full@example.net>: Mailbox full",
+    );
+
+    assert.strictEqual(slow.recipient, "slow@example.org");
+    assert.strictEqual(slow.remoteServer, "mx.example.org");
+    assert.strictEqual(slow.remoteIp, "203.0.113.9");
+    assert.strictEqual(slow.diagnostic, "Connection timed out");
+  });
+
+  it("should return null when no template matches", () => {
+    assert.strictEqual(
+      extractBounceDetails("Subject: Hello\n\nJust a regular message"),
+      null,
+    );
+  });
+
+  it("should reject non-string input", () => {
+    assert.throws(
+      () => extractBounceDetails(undefined),
+      /rawEmail must be a string/,
+    );
+  });
+});
+
+describe("classifyNdr", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should classify every extracted recipient", async () => {
+    const results = await classifyNdr(fixture("qmail.eml"));
+    assert.strictEqual(results.length, 2);
+    assert.strictEqual(results[0].recipient, "nobody@example.net");
+    assert.strictEqual(results[0].template, "qmail");
+    assert.strictEqual(results[0].details.remoteIp, "192.0.2.10");
+    assert.strictEqual(results[0].result.label, "user_unknown");
+  });
+
+  it("should work on classifier instances", async () => {
+    const classifier = createClassifier();
+    const results = await classifier.classifyNdr(fixture("postfix.eml"));
+    assert.strictEqual(results[0].result.label, "mailbox_full");
+    classifier.dispose();
+  });
+
+  it("should return null when no template matches", async () => {
+    assert.strictEqual(await classifyNdr("Subject: Hi\n\nHello"), null);
+  });
+});
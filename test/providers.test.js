@@ -0,0 +1,176 @@
+/**
+ * Unit tests for receiving-provider fingerprinting
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  identifyProvider,
+  classify,
+  createClassifier,
+  reset,
+} from "../src/index.js";
+
+const GMAIL =
+  "550-5.1.1 The email account that you tried to reach does not exist. For more information, go to https://support.google.com/mail/?p=NoSuchUser d2e1a72fcca58-6e9a3b2c1a5si123456b3a.2 - gsmtp";
+const OUTLOOK =
+  "550 5.7.1 Service unavailable, Client host [203.0.113.5] blocked using Spamhaus. To request removal from this list see https://www.spamhaus.org/query/ip/203.0.113.5 (AS3130). [BN8NAM11FT066.eop-nam11.prod.protection.outlook.com 2024-01-10T12:00:00.000Z 08DC0F6F1A2B3C4D]";
+const YAHOO =
+  "421 4.7.0 [TSS04] Messages from 203.0.113.5 temporarily deferred due to unexpected volume or user complaints - 4.16.55.1; see https://postmaster.yahooinc.com/error-codes";
+
+describe("identifyProvider", () => {
+  it("should recognize reply markers", () => {
+    assert.deepStrictEqual(identifyProvider(GMAIL), {
+      id: "google",
+      name: "Google",
+      source: "marker",
+      match: "gsmtp",
+    });
+    assert.strictEqual(identifyProvider(YAHOO).match, "[TSS04]");
+    assert.deepStrictEqual(
+      identifyProvider(
+        "550 Rejected by header based Anti-Spoofing policy: user@example.com - https://community.mimecast.com/docs/DOC-1369#550 [gVw3ZkJkOZuP2uCn8h7jDQ.us123]",
+      ),
+      {
+        id: "mimecast",
+        name: "Mimecast",
+        source: "marker",
+        match: "community.mimecast.com",
+      },
+    );
+    assert.strictEqual(
+      identifyProvider("554 5.7.1 Blocked (S3150)").id,
+      "microsoft",
+    );
+  });
+
+  it("should prefer hostnames in the reply over markers", () => {
+    assert.deepStrictEqual(identifyProvider(OUTLOOK), {
+      id: "microsoft",
+      name: "Microsoft",
+      source: "reply_host",
+      match: "bn8nam11ft066.eop-nam11.prod.protection.outlook.com",
+    });
+    assert.strictEqual(
+      identifyProvider(
+        "host mta7.am0.yahoodns.net[67.195.204.77] said: 554 delivery error",
+      ).source,
+      "reply_host",
+    );
+  });
+
+  it("should prefer the remote host", () => {
+    const provider = identifyProvider("550 5.1.1 User unknown - gsmtp", {
+      remoteHost: "MX0A-001.pphosted.com",
+    });
+    assert.deepStrictEqual(provider, {
+      id: "proofpoint",
+      name: "Proofpoint",
+      source: "remote_host",
+      match: "mx0a-001.pphosted.com",
+    });
+  });
+
+  it("should return null for unknown receivers", () => {
+    assert.strictEqual(identifyProvider("550 5.1.1 User unknown"), null);
+    assert.strictEqual(
+      identifyProvider("550 5.1.1 User unknown", {
+        remoteHost: "mx.example.com",
+      }),
+      null,
+    );
+    // Provider names and code-like words in ordinary text are not markers
+    assert.strictEqual(
+      identifyProvider("550 5.7.1 Message rejected, see the Mimecast policy"),
+      null,
+    );
+    assert.strictEqual(
+      identifyProvider("550 5.1.1 User unknown (ticket TS12, ref TSS04)"),
+      null,
+    );
+    assert.strictEqual(
+      identifyProvider("452 4.2.2 Mailbox full [TS01] for the TSS04 user"),
+      null,
+    );
+    assert.strictEqual(
+      identifyProvider("smtp; 421 [TS01] Try again later").id,
+      "yahoo",
+    );
+    // Sender or recipient addresses are not receiver evidence
+    assert.strictEqual(
+      identifyProvider("550 5.1.1 <someone@outlook.com>: User unknown"),
+      null,
+    );
+    // Generic codes Microsoft also uses are not Microsoft markers
+    for (const message of [
+      "451 4.7.500 Server busy, try again later",
+      "550 5.7.606 Rejected by local policy",
+    ]) {
+      assert.strictEqual(identifyProvider(message), null, message);
+    }
+    assert.throws(() => identifyProvider(null), /message must be a string/);
+  });
+});
+
+describe("providers in classify()", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should add the provider to the result", async () => {
+    const result = await classify(GMAIL);
+    assert.strictEqual(result.provider.id, "google");
+
+    const remote = await classify("550 5.1.1 User unknown", {
+      remoteHost: "mx1.mail.icloud.com",
+    });
+    assert.strictEqual(remote.provider.id, "apple");
+
+    const unknown = await classify("550 5.1.1 User unknown");
+    assert.strictEqual(unknown.provider, undefined);
+  });
+
+  it("should apply per-provider actions", async () => {
+    const classifier = createClassifier({
+      providerActions: { google: { user_unknown: "review" } },
+    });
+    assert.strictEqual((await classifier.classify(GMAIL)).action, "review");
+    assert.strictEqual(
+      (await classifier.classify("550 5.1.1 User unknown")).action,
+      "remove",
+    );
+    assert.strictEqual(
+      classifier.getAction("user_unknown", "google"),
+      "review",
+    );
+    assert.strictEqual(classifier.getAction("user_unknown", "yahoo"), "remove");
+    classifier.dispose();
+
+    assert.throws(
+      () => createClassifier({ providerActions: { google: "review" } }),
+      /providerActions.google must be an object/,
+    );
+  });
+
+  it("should match rules on the provider", async () => {
+    const classifier = createClassifier({
+      rules: [
+        {
+          id: "yahoo-deferral",
+          match: { provider: ["yahoo", "aol"], code: "421" },
+          label: "rate_limited",
+        },
+      ],
+    });
+    const result = await classifier.classify(YAHOO);
+    assert.strictEqual(result.ruleId, "yahoo-deferral");
+    assert.strictEqual(result.label, "rate_limited");
+
+    const other = await classifier.classify(
+      "421 4.7.0 Try again later, closing connection",
+    );
+    assert.strictEqual(other.ruleId, undefined);
+    classifier.dispose();
+  });
+});
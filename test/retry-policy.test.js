@@ -0,0 +1,275 @@
+/**
+ * Unit tests for the retry policy engine
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import { createRetryPolicy, classify, reset } from "../src/index.js";
+
+const HOUR = 3600000;
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+// Minimal classify() results
+const bounce = (label, action, extra = {}) => ({ label, action, ...extra });
+
+describe("createRetryPolicy", () => {
+  const policy = createRetryPolicy();
+
+  it("should give up on permanent failures", () => {
+    const decision = policy.decide(bounce("user_unknown", "remove"), [], {
+      now,
+    });
+    assert.deepStrictEqual(decision, {
+      decision: "give_up",
+      notBefore: null,
+      reason: "user_unknown is a permanent failure",
+      action: "remove",
+    });
+  });
+
+  it("should back off exponentially per label", () => {
+    const first = policy.decide(bounce("server_error", "retry"), [], { now });
+    assert.strictEqual(first.decision, "retry");
+    assert.deepStrictEqual(first.notBefore, new Date(now + 600000));
+
+    const attempts = [
+      { timestamp: now - 2 * HOUR, label: "server_error" },
+      { timestamp: now - HOUR, label: "server_error" },
+    ];
+    const third = policy.decide(bounce("server_error", "retry"), attempts, {
+      now,
+    });
+    assert.deepStrictEqual(third.notBefore, new Date(now + 2400000));
+    assert.match(third.reason, /attempt 3/);
+  });
+
+  it("should cap the delay at maxDelay", () => {
+    const attempts = Array.from({ length: 10 }, (_, i) => ({
+      timestamp: now - (10 - i) * 60000,
+      label: "greylisting",
+    }));
+    const decision = policy.decide(bounce("greylisting", "retry"), attempts, {
+      now,
+    });
+    assert.deepStrictEqual(decision.notBefore, new Date(now + HOUR));
+  });
+
+  it("should use retryAfter from the bounce message", () => {
+    const decision = policy.decide(
+      bounce("rate_limited", "retry", { retryAfter: 120 }),
+      [],
+      { now },
+    );
+    assert.deepStrictEqual(decision.notBefore, new Date(now + 120000));
+    assert.match(decision.reason, /server asked to retry in 120 seconds/);
+  });
+
+  it("should use absolute retry times from the bounce message", () => {
+    const notBefore = new Date(now + 5 * HOUR);
+    const decision = policy.decide(
+      bounce("rate_limited", "retry", {
+        retryAfter: 18000,
+        retry: {
+          minSeconds: 18000,
+          maxSeconds: 18000,
+          notBefore,
+          notAfter: null,
+          source: "timestamp",
+        },
+      }),
+      [],
+      { now },
+    );
+    assert.deepStrictEqual(decision.notBefore, notBefore);
+  });
+
+  it("should escalate a mailbox that stays full for 72 hours", () => {
+    const attempts = [
+      { timestamp: now - 72 * HOUR, label: "mailbox_full" },
+      { timestamp: now - 48 * HOUR, label: "mailbox_full" },
+      { timestamp: now - 24 * HOUR, label: "mailbox_full" },
+    ];
+    const decision = policy.decide(bounce("mailbox_full", "retry"), attempts, {
+      now,
+    });
+    assert.strictEqual(decision.decision, "give_up");
+    assert.strictEqual(decision.action, "remove");
+    assert.strictEqual(decision.reason, "mailbox_full persisted for 72 hours");
+  });
+
+  it("should restart escalation when the label changes", () => {
+    const attempts = [
+      { timestamp: now - 80 * HOUR, label: "mailbox_full" },
+      { timestamp: now - 10 * HOUR, label: "server_error" },
+      { timestamp: now - HOUR, label: "mailbox_full" },
+    ];
+    const decision = policy.decide(bounce("mailbox_full", "retry"), attempts, {
+      now,
+    });
+    assert.strictEqual(decision.decision, "retry");
+  });
+
+  it("should give up when the retry time is past the limit", () => {
+    const attempts = [{ timestamp: now - 70 * HOUR, label: "mailbox_full" }];
+    const decision = policy.decide(bounce("mailbox_full", "retry"), attempts, {
+      now,
+    });
+    assert.strictEqual(decision.decision, "give_up");
+    assert.match(decision.reason, /past the 72 hour limit/);
+  });
+
+  it("should switch IPs and exclude blocked ones", () => {
+    const attempts = [
+      { timestamp: now - HOUR, label: "ip_blacklisted", ip: "192.0.2.1" },
+    ];
+    const decision = policy.decide(
+      bounce("ip_blacklisted", "retry_different_ip"),
+      attempts,
+      { now, ip: "192.0.2.2" },
+    );
+    assert.strictEqual(decision.decision, "switch_ip");
+    assert.deepStrictEqual(decision.notBefore, new Date(now));
+    assert.deepStrictEqual(decision.excludeIps, ["192.0.2.1", "192.0.2.2"]);
+  });
+
+  it("should give up after too many blocked IPs", () => {
+    const attempts = ["192.0.2.1", "192.0.2.2", "192.0.2.3"].map((ip, i) => ({
+      timestamp: now - (3 - i) * HOUR,
+      label: "ip_blacklisted",
+      ip,
+    }));
+    const decision = policy.decide(
+      bounce("ip_blacklisted", "retry_different_ip"),
+      attempts,
+      { now, ip: "192.0.2.4" },
+    );
+    assert.strictEqual(decision.decision, "give_up");
+    assert.strictEqual(decision.action, "fix_configuration");
+  });
+
+  it("should retry transient replies for non-retry labels", () => {
+    const transient = policy.decide(
+      bounce("policy_blocked", "review", { smtpReply: { code: "451" } }),
+      [],
+      { now },
+    );
+    assert.strictEqual(transient.decision, "retry");
+
+    const permanent = policy.decide(
+      bounce("policy_blocked", "review", { smtpReply: { code: "554" } }),
+      [],
+      { now },
+    );
+    assert.strictEqual(permanent.decision, "give_up");
+    assert.strictEqual(permanent.action, "review");
+  });
+
+  it("should decide uncertain results by their label", () => {
+    const retried = policy.decide(
+      bounce("mailbox_full", "review", { uncertain: true }),
+      [],
+      { now },
+    );
+    assert.strictEqual(retried.decision, "retry");
+    assert.deepStrictEqual(retried.notBefore, new Date(now + HOUR));
+
+    // Uncertain results never give up with a destructive action
+    const full = policy.decide(
+      bounce("mailbox_full", "review", { uncertain: true }),
+      [{ timestamp: now - 72 * HOUR, label: "mailbox_full" }],
+      { now },
+    );
+    assert.strictEqual(full.decision, "give_up");
+    assert.strictEqual(full.action, "review");
+
+    const unknown = policy.decide(
+      bounce("user_unknown", "review", { uncertain: true }),
+      [],
+      { now },
+    );
+    assert.strictEqual(unknown.decision, "give_up");
+    assert.strictEqual(unknown.action, "review");
+  });
+
+  it("should accept per-label overrides", () => {
+    const custom = createRetryPolicy({
+      backoff: { server_error: { initialDelay: 60, maxAttempts: 2 } },
+    });
+    assert.strictEqual(custom.getBackoff("server_error").initialDelay, 60);
+    assert.strictEqual(custom.getBackoff("server_error").multiplier, 2);
+
+    const first = custom.decide(bounce("server_error", "retry"), [], { now });
+    assert.deepStrictEqual(first.notBefore, new Date(now + 60000));
+
+    const second = custom.decide(
+      bounce("server_error", "retry"),
+      [{ timestamp: now - 60000, label: "server_error" }],
+      { now },
+    );
+    assert.strictEqual(second.decision, "give_up");
+  });
+
+  it("should be deterministic for a fixed clock", () => {
+    const attempts = [
+      { timestamp: new Date(now - HOUR), label: "rate_limited" },
+    ];
+    const a = policy.decide(bounce("rate_limited", "retry"), attempts, { now });
+    const b = policy.decide(bounce("rate_limited", "retry"), attempts, { now });
+    assert.deepStrictEqual(a, b);
+  });
+
+  it("should reject invalid input", () => {
+    assert.throws(() => policy.decide(null), /classification result/);
+    assert.throws(
+      () => policy.decide(bounce("server_error", "retry"), "x"),
+      /attempts must be an array/,
+    );
+    assert.throws(
+      () =>
+        policy.decide(bounce("server_error", "retry"), [{ label: "x" }], {
+          now,
+        }),
+      /Attempt at index 0 timestamp/,
+    );
+  });
+
+  it("should reject invalid backoff settings", () => {
+    assert.throws(
+      () =>
+        createRetryPolicy({ backoff: { server_error: { initialDelay: 0 } } }),
+      /backoff.server_error.initialDelay must be a positive number/,
+    );
+    assert.throws(
+      () => createRetryPolicy({ defaultBackoff: { multiplier: "2" } }),
+      /defaultBackoff.multiplier must be a positive number/,
+    );
+    assert.throws(
+      () => createRetryPolicy({ defaultBackoff: { maxDelay: NaN } }),
+      /defaultBackoff.maxDelay must be a positive number/,
+    );
+    assert.throws(
+      () => createRetryPolicy({ backoff: { greylisting: { maxAttempts: 0 } } }),
+      /backoff.greylisting.maxAttempts must be a positive integer or null/,
+    );
+    assert.throws(
+      () => createRetryPolicy({ backoff: { greylisting: null } }),
+      /backoff.greylisting must be an object/,
+    );
+  });
+});
+
+describe("createRetryPolicy with classify", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should decide from a classification result", async () => {
+    const result = await classify("450 Greylisted, try again in 5 minutes", {
+      now,
+    });
+    const decision = createRetryPolicy().decide(result, [], { now });
+    assert.strictEqual(decision.decision, "retry");
+    assert.deepStrictEqual(decision.notBefore, new Date(now + 300000));
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit tests for retry timing extraction
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+
+import {
+  extractRetryInfo,
+  extractRetryTiming,
+  classify,
+  classifyDsn,
+  reset,
+} from "../src/index.js";
+
+const fixture = (name) =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+describe("extractRetryInfo", () => {
+  it("should extract simple durations", () => {
+    assert.deepStrictEqual(
+      extractRetryInfo("451 4.7.1 Try again in 5 minutes", { now }),
+      {
+        minSeconds: 300,
+        maxSeconds: 300,
+        notBefore: new Date(now + 300000),
+        notAfter: null,
+        source: "duration",
+      },
+    );
+  });
+
+  it("should extract days", () => {
+    const info = extractRetryInfo("Blocked, retry in 2 days", { now });
+    assert.strictEqual(info.minSeconds, 172800);
+  });
+
+  it("should extract compact durations", () => {
+    assert.strictEqual(
+      extractRetryInfo("Greylisted, retry in 5m", { now }).minSeconds,
+      300,
+    );
+    assert.strictEqual(
+      extractRetryInfo("Rate limited, try again after 1h30m", { now })
+        .minSeconds,
+      5400,
+    );
+    assert.strictEqual(
+      extractRetryInfo("wait 1 hour and 15 minutes", { now }).minSeconds,
+      4500,
+    );
+  });
+
+  it("should extract ranges", () => {
+    const info = extractRetryInfo(
+      "421 Please try again between 5 and 10 minutes from now",
+      { now },
+    );
+    assert.strictEqual(info.source, "range");
+    assert.strictEqual(info.minSeconds, 300);
+    assert.strictEqual(info.maxSeconds, 600);
+    assert.deepStrictEqual(info.notBefore, new Date(now + 300000));
+
+    const dashed = extractRetryInfo("Deferred, retry in 1-2 hours", { now });
+    assert.strictEqual(dashed.minSeconds, 3600);
+    assert.strictEqual(dashed.maxSeconds, 7200);
+  });
+
+  it("should not read status codes and addresses as ranges", () => {
+    const coded = extractRetryInfo("451 4.7.1 - 5 minutes greylisting", {
+      now,
+    });
+    assert.strictEqual(coded.source, "duration");
+    assert.strictEqual(coded.minSeconds, 300);
+    assert.strictEqual(coded.maxSeconds, 300);
+
+    const addressed = extractRetryInfo(
+      "421 Too many connections from 203.0.113.5 - 10 minutes block",
+      { now },
+    );
+    assert.strictEqual(addressed.source, "duration");
+    assert.strictEqual(addressed.minSeconds, 600);
+
+    const suffixed = extractRetryInfo(
+      "450 4.2.1 to 15 minutes, please slow down",
+      {
+        now,
+      },
+    );
+    assert.strictEqual(suffixed.source, "duration");
+    assert.strictEqual(suffixed.minSeconds, 900);
+
+    const units = extractRetryInfo("Blocked for 5 min - 10 min", { now });
+    assert.strictEqual(units.source, "range");
+    assert.strictEqual(units.maxSeconds, 600);
+  });
+
+  it("should extract ISO timestamps", () => {
+    const info = extractRetryInfo(
+      "452 Sending quota exceeded, try again after 2026-10-20 14:00 UTC",
+      { now },
+    );
+    assert.strictEqual(info.source, "timestamp");
+    assert.deepStrictEqual(
+      info.notBefore,
+      new Date("2026-10-20T14:00:00.000Z"),
+    );
+    assert.strictEqual(info.minSeconds, 26 * 3600);
+  });
+
+  it("should extract RFC 2822 timestamps with zones", () => {
+    const info = extractRetryInfo(
+      "Your IP is blocked until Tue, 20 Oct 2026 14:00:00 +0200",
+      { now },
+    );
+    assert.deepStrictEqual(
+      info.notBefore,
+      new Date("2026-10-20T12:00:00.000Z"),
+    );
+    assert.strictEqual(info.minSeconds, 24 * 3600);
+  });
+
+  it("should ignore timestamps in the past", () => {
+    assert.strictEqual(
+      extractRetryInfo("Blocked until 2020-01-01 00:00 UTC", { now }),
+      null,
+    );
+  });
+
+  it("should use Will-Retry-Until as an upper bound", () => {
+    const info = extractRetryInfo(
+      "Delivery delayed\nWill-Retry-Until: Wed, 21 Oct 2026 12:00:00 +0000",
+      { now },
+    );
+    assert.deepStrictEqual(info, {
+      minSeconds: 0,
+      maxSeconds: 2 * 86400,
+      notBefore: null,
+      notAfter: new Date("2026-10-21T12:00:00.000Z"),
+      source: "will-retry-until",
+    });
+  });
+
+  it("should combine a duration with Will-Retry-Until", () => {
+    const info = extractRetryInfo("Greylisted for 300 seconds", {
+      now,
+      willRetryUntil: "Wed, 21 Oct 2026 12:00:00 +0000",
+    });
+    assert.strictEqual(info.source, "duration");
+    assert.strictEqual(info.minSeconds, 300);
+    assert.deepStrictEqual(info.notAfter, new Date("2026-10-21T12:00:00.000Z"));
+  });
+
+  it("should accept a Date for now", () => {
+    const info = extractRetryInfo("retry in 10 seconds", {
+      now: new Date(now),
+    });
+    assert.deepStrictEqual(info.notBefore, new Date(now + 10000));
+  });
+
+  it("should return null without timing", () => {
+    assert.strictEqual(extractRetryInfo("550 5.1.1 User unknown"), null);
+    assert.strictEqual(extractRetryInfo(null), null);
+  });
+});
+
+describe("extractRetryTiming compatibility", () => {
+  it("should return seconds for compact and day durations", () => {
+    assert.strictEqual(extractRetryTiming("retry in 1h30m"), 5400);
+    assert.strictEqual(extractRetryTiming("retry in 1 day"), 86400);
+  });
+
+  it("should ignore absolute timestamps", () => {
+    assert.strictEqual(
+      extractRetryTiming("try again after 2999-01-01 00:00 UTC"),
+      null,
+    );
+  });
+});
+
+describe("classify with retry timing", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should expose the structured retry timing", async () => {
+    const result = await classify(
+      "451 4.7.1 Greylisted, try again between 5 and 10 minutes",
+      { now },
+    );
+    assert.strictEqual(result.retry.source, "range");
+    assert.strictEqual(result.retry.maxSeconds, 600);
+    assert.strictEqual(result.retryAfter, 300);
+  });
+
+  it("should set retryAfter only for delays of up to a day", async () => {
+    const absolute = await classify(
+      "452 Sending quota exceeded, try again after 2026-10-20 14:00 UTC",
+      { now },
+    );
+    assert.strictEqual(absolute.retry.source, "timestamp");
+    assert.deepStrictEqual(
+      absolute.retry.notBefore,
+      new Date("2026-10-20T14:00:00.000Z"),
+    );
+    assert.strictEqual(absolute.retryAfter, undefined);
+
+    const long = await classify("Blocked, retry in 2 days", { now });
+    assert.strictEqual(long.retry.minSeconds, 2 * 86400);
+    assert.strictEqual(long.retryAfter, undefined);
+  });
+
+  it("should pass Will-Retry-Until from DSNs", async () => {
+    const entries = await classifyDsn(fixture("postfix-dsn.eml"));
+    const delayed = entries.find((entry) => entry.dsn.willRetryUntil);
+    assert.ok(delayed, "fixture has a delayed recipient");
+    assert.ok(delayed.result.retry.notAfter instanceof Date);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Unit tests for user-defined override rules
+ */
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert";
+import { fileURLToPath } from "node:url";
+
+import {
+  createClassifier,
+  classify,
+  addRules,
+  loadRules,
+  removeRule,
+  getRules,
+  initialize,
+  reset,
+} from "../src/index.js";
+
+const rulesPath = fileURLToPath(
+  new URL("./fixtures/rules.json", import.meta.url),
+);
+
+describe("override rules", () => {
+  afterEach(() => {
+    reset();
+  });
+
+  it("should override the built-in text patterns", async () => {
+    addRules([
+      {
+        id: "local-unknown",
+        match: { pattern: "user unknown" },
+        label: "mailbox_disabled",
+        metadata: { source: "test" },
+      },
+    ]);
+    const result = await classify("550 5.1.1 User unknown");
+    assert.strictEqual(result.label, "mailbox_disabled");
+    assert.strictEqual(result.action, "remove");
+    assert.strictEqual(result.ruleId, "local-unknown");
+    assert.deepStrictEqual(result.metadata, { source: "test" });
+    assert.strictEqual(result.usedFallback, undefined);
+  });
+
+  it("should set a custom action", async () => {
+    addRules([
+      {
+        id: "quota-review",
+        match: { enhancedCode: "5.2.2" },
+        label: "mailbox_full",
+        action: "remove",
+      },
+    ]);
+    const result = await classify("552 5.2.2 Mailbox full");
+    assert.strictEqual(result.label, "mailbox_full");
+    assert.strictEqual(result.action, "remove");
+  });
+
+  it("should let built-in text patterns win over before_model rules", async () => {
+    addRules([
+      {
+        id: "late",
+        priority: "before_model",
+        match: { code: "550" },
+        label: "policy_blocked",
+      },
+    ]);
+    const unknown = await classify("550 5.1.1 User unknown");
+    assert.strictEqual(unknown.label, "user_unknown");
+    assert.strictEqual(unknown.ruleId, undefined);
+
+    const other = await classify("550 Message rejected by local policy");
+    assert.strictEqual(other.ruleId, "late");
+    assert.strictEqual(other.label, "policy_blocked");
+  });
+
+  it("should only use before_code and after_code rules for unconfident predictions", async () => {
+    const classifier = createClassifier({
+      codeFallbackThreshold: 0,
+      rules: [
+        {
+          id: "code-rule",
+          priority: "before_code",
+          match: { code: "421" },
+          label: "rate_limited",
+        },
+      ],
+    });
+    const confident = await classifier.classify(
+      "421 4.7.0 Connection refused, too many connections",
+    );
+    assert.strictEqual(confident.ruleId, undefined);
+
+    const lenient = createClassifier({
+      codeFallbackThreshold: 1,
+      rules: [
+        {
+          id: "code-rule",
+          priority: "before_code",
+          match: { code: "421" },
+          label: "rate_limited",
+        },
+        {
+          id: "last-resort",
+          priority: "after_code",
+          match: { pattern: "." },
+          label: "server_error",
+        },
+      ],
+    });
+    const fallback = await lenient.classify("421 4.7.0 Try later");
+    assert.strictEqual(fallback.ruleId, "code-rule");
+    assert.strictEqual(fallback.label, "rate_limited");
+
+    // SMTP_CODE_MAP knows 5.1.1, so the after_code rule does not fire
+    const mapped = await lenient.classify("550 5.1.1 Gone away");
+    assert.strictEqual(mapped.ruleId, undefined);
+
+    const last = await lenient.classify("Something odd happened");
+    assert.strictEqual(last.ruleId, "last-resort");
+
+    classifier.dispose();
+    lenient.dispose();
+  });
+
+  it("should match on the remote host", async () => {
+    addRules([
+      {
+        id: "outlook-host",
+        match: { host: "*.outlook.com", code: "550" },
+        label: "policy_blocked",
+      },
+    ]);
+    const matched = await classify(
+      "host mx1.eur.outlook.com[192.0.2.1] said: 550 Rejected",
+    );
+    assert.strictEqual(matched.ruleId, "outlook-host");
+
+    const other = await classify(
+      "host mx.example.com[192.0.2.1] said: 550 Rejected",
+    );
+    assert.strictEqual(other.ruleId, undefined);
+
+    const fromOption = await classify("550 Rejected", {
+      remoteHost: "mx2.outlook.com",
+    });
+    assert.strictEqual(fromOption.ruleId, "outlook-host");
+  });
+
+  it("should load rules from JSON with string regexes", async () => {
+    await loadRules(rulesPath);
+    assert.deepStrictEqual(
+      getRules().map((rule) => rule.id),
+      ["acme-new-quota-wording", "acme-policy-554"],
+    );
+    const result = await classify("452 Your storage allotment is used up");
+    assert.strictEqual(result.label, "mailbox_full");
+    assert.strictEqual(result.ruleId, "acme-new-quota-wording");
+    assert.deepStrictEqual(result.metadata, { ticket: "OPS-1234" });
+  });
+
+  it("should match every message with g and y flags", async () => {
+    addRules([
+      {
+        id: "regexp-global",
+        match: { pattern: /allotment/giy },
+        label: "mailbox_full",
+      },
+      {
+        id: "string-global",
+        match: { pattern: "vault is stuffed", flags: "gi" },
+        label: "mailbox_full",
+      },
+    ]);
+    assert.strictEqual(getRules()[0].match.pattern.flags, "giy");
+    for (const message of [
+      "allotment used up",
+      "allotment used up",
+      "452 Vault is stuffed",
+      "452 Vault is stuffed",
+    ]) {
+      const result = await classify(message);
+      assert.strictEqual(result.label, "mailbox_full", message);
+      assert.ok(result.ruleId, message);
+    }
+  });
+
+  it("should load rules at initialization", async () => {
+    await initialize({ rules: rulesPath });
+    assert.strictEqual(getRules().length, 2);
+  });
+
+  it("should replace rules with the same id and remove rules", () => {
+    addRules([{ id: "a", match: { code: "550" }, label: "user_unknown" }]);
+    addRules([{ id: "a", match: { code: "551" }, label: "user_unknown" }]);
+    assert.strictEqual(getRules().length, 1);
+    assert.strictEqual(getRules()[0].match.code, "551");
+
+    assert.strictEqual(removeRule("a"), true);
+    assert.strictEqual(removeRule("a"), false);
+    assert.deepStrictEqual(getRules(), []);
+  });
+
+  it("should keep rules per instance", () => {
+    const a = createClassifier();
+    a.addRules([{ id: "x", match: { code: "550" }, label: "user_unknown" }]);
+    assert.strictEqual(a.getRules().length, 1);
+    assert.strictEqual(createClassifier().getRules().length, 0);
+    assert.strictEqual(getRules().length, 0);
+  });
+
+  it("should reject invalid rules without partial updates", () => {
+    assert.throws(() => addRules("nope"), /rules must be an array/);
+    assert.throws(
+      () => addRules([{ match: { code: "550" }, label: "x" }]),
+      /Rule at index 0 must have a string id/,
+    );
+    assert.throws(
+      () => addRules([{ id: "a", label: "user_unknown", match: {} }]),
+      /Rule "a" must match on at least one of/,
+    );
+    assert.throws(
+      () =>
+        addRules([
+          {
+            id: "b",
+            label: "user_unknown",
+            priority: "sometime",
+            match: { code: "550" },
+          },
+        ]),
+      /priority must be one of/,
+    );
+    assert.throws(
+      () =>
+        addRules([
+          { id: "ok", label: "user_unknown", match: { code: "550" } },
+          { id: "bad", label: "user_unknown", match: { pattern: "(" } },
+        ]),
+      /Rule "bad" pattern is not a valid regex/,
+    );
+    assert.deepStrictEqual(getRules(), []);
+  });
+});
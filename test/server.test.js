@@ -0,0 +1,250 @@
+/**
+ * Unit tests for the HTTP classification service
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { request } from "node:http";
+
+import { createServer } from "../src/server.js";
+import { createClassifier, MAX_MESSAGE_LENGTH } from "../src/index.js";
+
+// Start a server on a free port and return its base URL
+async function start(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("createServer", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const classifier = createClassifier();
+    server = createServer(classifier, { maxBatchMessages: 3 });
+    base = await start(server);
+    await classifier.initialize();
+  });
+
+  after(async () => {
+    await server.shutdown();
+  });
+
+  it("should classify a message with options", async () => {
+    const { status, body } = await post(`${base}/classify`, {
+      message: "550 5.1.1 User unknown",
+      topK: 2,
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.label, "user_unknown");
+    assert.strictEqual(body.alternatives.length, 2);
+  });
+
+  it("should classify a batch with per-message errors", async () => {
+    const { status, body } = await post(`${base}/classify/batch`, {
+      messages: ["452 4.2.2 Mailbox full", 42],
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.results[0].label, "mailbox_full");
+    assert.deepStrictEqual(body.results[1], {
+      error: "Message at index 1 must be a string, got number",
+    });
+  });
+
+  it("should answer validation errors with a JSON body", async () => {
+    let response = await post(`${base}/classify`, { message: "   " });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body, {
+      error: "Message must not be empty or whitespace-only",
+    });
+
+    response = await post(`${base}/classify`, {
+      message: "550 No such user",
+      topK: -1,
+    });
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, /topK must be a non-negative integer/);
+
+    response = await post(`${base}/classify`, {
+      message: "550 No such user",
+      remoteHost: 42,
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(
+      response.body.error,
+      "remoteHost must be a string, got number",
+    );
+
+    response = await post(`${base}/classify`, "{not json");
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, "Request body is not valid JSON");
+
+    response = await post(`${base}/classify/batch`, { messages: "x" });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it("should limit request sizes", async () => {
+    const response = await post(`${base}/classify`, {
+      message: "x".repeat(MAX_MESSAGE_LENGTH * 10),
+    });
+    assert.strictEqual(response.status, 413);
+    assert.match(response.body.error, /Request body exceeds \d+ bytes/);
+
+    // Messages up to the maximum length still fit with JSON escaping
+    const long = await post(`${base}/classify`, {
+      message: "550 " + "\u0001".repeat(MAX_MESSAGE_LENGTH - 4),
+    });
+    assert.strictEqual(long.status, 200);
+
+    const batch = await post(`${base}/classify/batch`, {
+      messages: ["a", "b", "c", "d"],
+    });
+    assert.strictEqual(batch.status, 413);
+  });
+
+  it("should stop reading a body that grows past the limit", async () => {
+    // Chunked upload without Content-Length
+    const status = await new Promise((resolve, reject) => {
+      const req = request(
+        `${base}/classify`,
+        { method: "POST", headers: { "Transfer-Encoding": "chunked" } },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        },
+      );
+      req.on("error", reject);
+      const chunk = "x".repeat(64 * 1024);
+      for (let i = 0; i < 20; i++) req.write(chunk);
+      req.end();
+    });
+    assert.strictEqual(status, 413);
+  });
+
+  it("should list labels and report health", async () => {
+    const labels = await (await fetch(`${base}/labels`)).json();
+    assert.strictEqual(labels.labels.length, 16);
+
+    const health = await fetch(`${base}/healthz`);
+    assert.strictEqual(health.status, 200);
+    assert.deepStrictEqual(await health.json(), { status: "ok" });
+
+    const ready = await fetch(`${base}/readyz`);
+    assert.strictEqual(ready.status, 200);
+    assert.deepStrictEqual(await ready.json(), { status: "ready" });
+  });
+
+  it("should answer unknown routes and methods", async () => {
+    const missing = await fetch(`${base}/nope`);
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(await missing.json(), { error: "Not found: /nope" });
+
+    const wrongMethod = await fetch(`${base}/classify`);
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual(wrongMethod.headers.get("allow"), "POST");
+  });
+});
+
+// Stub classifier whose first load fails and whose classify() fails
+function createFlakyClassifier() {
+  let attempts = 0;
+  let loaded = false;
+  return {
+    async initialize() {
+      attempts++;
+      await Promise.resolve();
+      if (attempts === 1) throw new Error("Model files are missing");
+      loaded = true;
+    },
+    isReady: () => loaded,
+    async classify() {
+      throw new Error("Model weights are corrupt");
+    },
+  };
+}
+
+describe("readiness and shutdown", () => {
+  it("should not be ready when the model cannot be loaded", async () => {
+    const classifier = createClassifier({ modelPath: "/nonexistent/model" });
+    const server = createServer(classifier);
+    const base = await start(server);
+    try {
+      // Wait for the failed load
+      await classifier.initialize().catch(() => {});
+      const ready = await fetch(`${base}/readyz`);
+      assert.strictEqual(ready.status, 503);
+      assert.match((await ready.json()).error, /Model could not be loaded/);
+
+      const classify = await post(`${base}/classify`, { message: "550" });
+      assert.strictEqual(classify.status, 503);
+
+      const health = await fetch(`${base}/healthz`);
+      assert.strictEqual(health.status, 200);
+    } finally {
+      await server.shutdown();
+    }
+  });
+
+  it("should load the model again after a failure", async () => {
+    const server = createServer(createFlakyClassifier());
+    const base = await start(server);
+    try {
+      let ready = await fetch(`${base}/readyz`);
+      assert.strictEqual(ready.status, 503);
+      assert.deepStrictEqual(await ready.json(), {
+        error: "Model could not be loaded: Model files are missing",
+      });
+
+      ready = await fetch(`${base}/readyz`);
+      assert.strictEqual(ready.status, 200);
+    } finally {
+      await server.shutdown();
+    }
+  });
+
+  it("should answer internal errors with status 500", async () => {
+    const errors = [];
+    const server = createServer(createFlakyClassifier(), {
+      onError: (error) => errors.push(error.message),
+    });
+    const base = await start(server);
+    try {
+      // The first request loads the model again
+      const response = await post(`${base}/classify`, { message: "550" });
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(response.body, {
+        error: "Internal server error",
+      });
+      assert.deepStrictEqual(errors, ["Model weights are corrupt"]);
+    } finally {
+      await server.shutdown();
+    }
+  });
+
+  it("should finish open requests and then close", async () => {
+    const classifier = createClassifier();
+    const server = createServer(classifier);
+    const base = await start(server);
+    await classifier.initialize();
+
+    const pending = post(`${base}/classify`, { message: "550 No such user" });
+    // Let the request reach the server before shutting down
+    await new Promise((resolve) => server.once("request", resolve));
+    const closed = server.shutdown();
+    assert.strictEqual(server.shutdown(), closed);
+
+    const { status } = await pending;
+    assert.strictEqual(status, 200);
+    await closed;
+    assert.strictEqual(server.listening, false);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the SMTP reply parser
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  parseSmtpReply,
+  extractSmtpCodes,
+  getCodeBasedFallback,
+  classify,
+  reset,
+} from "../src/index.js";
+
+describe("parseSmtpReply", () => {
+  it("should parse a single-line reply", () => {
+    assert.deepStrictEqual(parseSmtpReply("550 5.1.1 User unknown"), {
+      code: "550",
+      enhancedCode: "5.1.1",
+      text: "User unknown",
+      host: null,
+      ip: null,
+      multiline: false,
+      inconsistent: false,
+    });
+  });
+
+  it("should join multi-line replies", () => {
+    const reply = parseSmtpReply(
+      [
+        "550-5.7.1 [192.0.2.1] Our system has detected that this message is",
+        "550-5.7.1 likely unsolicited mail.",
+        "550 5.7.1 https://support.google.com/mail/?p=UnsolicitedMessageError - gsmtp",
+      ].join("\r\n"),
+    );
+    assert.strictEqual(reply.code, "550");
+    assert.strictEqual(reply.enhancedCode, "5.7.1");
+    assert.strictEqual(
+      reply.text,
+      "[192.0.2.1] Our system has detected that this message is likely unsolicited mail. https://support.google.com/mail/?p=UnsolicitedMessageError - gsmtp",
+    );
+    assert.strictEqual(reply.multiline, true);
+    assert.strictEqual(reply.inconsistent, false);
+  });
+
+  it("should join multi-line replies unfolded onto one line", () => {
+    const reply = parseSmtpReply(
+      "550-5.1.1 The email account that you tried to reach does not exist. Please try double-checking the recipient's email address. 550 5.1.1 https://support.google.com/mail/?p=NoSuchUser a1si123 - gsmtp",
+    );
+    assert.strictEqual(reply.code, "550");
+    assert.strictEqual(reply.multiline, true);
+    assert.strictEqual(
+      reply.text,
+      "The email account that you tried to reach does not exist. Please try double-checking the recipient's email address. https://support.google.com/mail/?p=NoSuchUser a1si123 - gsmtp",
+    );
+  });
+
+  it("should extract host and IP from a Postfix prefix", () => {
+    const reply = parseSmtpReply(
+      "host mx.Example.com[192.0.2.1] said: 550 5.1.1 <user@example.com>: Recipient address rejected: User unknown (in reply to RCPT TO command)",
+    );
+    assert.strictEqual(reply.host, "mx.example.com");
+    assert.strictEqual(reply.ip, "192.0.2.1");
+    assert.strictEqual(reply.code, "550");
+    assert.strictEqual(reply.enhancedCode, "5.1.1");
+    assert.strictEqual(
+      reply.text,
+      "<user@example.com>: Recipient address rejected: User unknown",
+    );
+  });
+
+  it("should extract host and IP from an Exim prefix", () => {
+    const reply = parseSmtpReply(
+      "SMTP error from remote mail server after RCPT TO:<user@example.com>:\n    host mx.example.com [2001:db8::25]: 550 5.1.1 No such user",
+    );
+    assert.strictEqual(reply.host, "mx.example.com");
+    assert.strictEqual(reply.ip, "2001:db8::25");
+    assert.strictEqual(reply.code, "550");
+    assert.strictEqual(reply.text, "No such user");
+  });
+
+  it("should handle DSN diagnostic type prefixes", () => {
+    const reply = parseSmtpReply("smtp; 421 4.7.0 [TSS04] Try again later");
+    assert.strictEqual(reply.code, "421");
+    assert.strictEqual(reply.enhancedCode, "4.7.0");
+    assert.strictEqual(reply.text, "[TSS04] Try again later");
+  });
+
+  it("should flag a 4xx reply with a 5.x.x enhanced code", () => {
+    const reply = parseSmtpReply("451 5.7.1 Please try again later");
+    assert.strictEqual(reply.inconsistent, true);
+  });
+
+  it("should flag multi-line replies with different codes", () => {
+    const reply = parseSmtpReply("421-4.7.0 First line\n450 4.7.0 Second line");
+    assert.strictEqual(reply.multiline, true);
+    assert.strictEqual(reply.inconsistent, true);
+  });
+
+  it("should find enhanced codes without a reply code", () => {
+    const reply = parseSmtpReply(
+      "Sorry, I couldn't find any host named example.invalid. (#5.1.2)",
+    );
+    assert.strictEqual(reply.code, null);
+    assert.strictEqual(reply.enhancedCode, "5.1.2");
+  });
+
+  it("should not mistake IP addresses or durations for codes", () => {
+    assert.strictEqual(
+      parseSmtpReply("Connection from 5.6.7.8 blocked").enhancedCode,
+      null,
+    );
+    assert.strictEqual(parseSmtpReply("Greylisted for 300 seconds").code, null);
+    assert.strictEqual(parseSmtpReply("try again in 450 seconds").code, null);
+  });
+
+  it("should only take codes at the start or behind known prefixes", () => {
+    assert.strictEqual(parseSmtpReply("Mailbox full: 250 MB used").code, null);
+    assert.strictEqual(
+      parseSmtpReply("Quota exceeded: 450 messages per hour").code,
+      null,
+    );
+    assert.strictEqual(
+      parseSmtpReply("Remote host said: 250 2.0.0 Ok").code,
+      null,
+    );
+    assert.strictEqual(
+      parseSmtpReply(
+        "Host mx.example.org[198.51.100.5] refused to talk to me: 421 Service temporarily unavailable",
+      ).code,
+      "421",
+    );
+    assert.strictEqual(
+      parseSmtpReply(
+        "Remote Server returned '550 5.1.10 RESOLVER.ADR.RecipientNotFound; Recipient not found by SMTP address lookup'",
+      ).code,
+      "550",
+    );
+    assert.strictEqual(
+      parseSmtpReply("#550 5.1.1 RESOLVER.ADR.RecipNotFound; not found ##")
+        .code,
+      "550",
+    );
+  });
+
+  it("should return empty fields for non-string input", () => {
+    assert.strictEqual(parseSmtpReply(null).code, null);
+  });
+});
+
+describe("extractSmtpCodes with reply parsing", () => {
+  it("should find codes behind MTA prefixes", () => {
+    assert.deepStrictEqual(
+      extractSmtpCodes("host mx.example.com[192.0.2.1] said: 552 5.2.2 Full"),
+      { mainCode: "552", extendedCode: "5.2.2" },
+    );
+  });
+
+  it("should use codes behind MTA prefixes for the fallback", () => {
+    assert.strictEqual(
+      getCodeBasedFallback("Remote host said: 552 Requested action aborted"),
+      "mailbox_full",
+    );
+  });
+});
+
+describe("classify with reply parsing", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should expose the parsed reply", async () => {
+    const result = await classify(
+      "host mx.example.com[192.0.2.1] said: 550 5.1.1 User unknown",
+    );
+    assert.strictEqual(result.smtpReply.code, "550");
+    assert.strictEqual(result.smtpReply.enhancedCode, "5.1.1");
+    assert.strictEqual(result.smtpReply.host, "mx.example.com");
+    assert.strictEqual(result.smtpReply.ip, "192.0.2.1");
+  });
+
+  it("should omit the parsed reply when there are no codes", async () => {
+    const result = await classify("Connection refused");
+    assert.strictEqual(result.smtpReply, undefined);
+  });
+});
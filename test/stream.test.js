@@ -0,0 +1,212 @@
+/**
+ * Unit tests for classification streams
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { Readable, Writable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { setTimeout } from "node:timers";
+
+import { createClassifyStream, classifyIterable } from "../src/stream.js";
+import { createClassifier } from "../src/index.js";
+
+// Run records through a classify stream and collect the output
+async function collect(records, options) {
+  const output = [];
+  await pipeline(
+    Readable.from(records),
+    createClassifyStream(options),
+    new Writable({
+      objectMode: true,
+      write(record, _encoding, callback) {
+        output.push(record);
+        callback();
+      },
+    }),
+  );
+  return output;
+}
+
+// Classifier stand-in with slow, out-of-order answers
+function slowClassifier({ initDelay = 0 } = {}) {
+  const stats = { inFlight: 0, maxInFlight: 0, initialized: false };
+  return {
+    stats,
+    async initialize() {
+      await new Promise((resolve) => setTimeout(resolve, initDelay));
+      stats.initialized = true;
+    },
+    async classify(message) {
+      assert.ok(stats.initialized, "classify before initialize");
+      stats.inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      // Later records finish first
+      await new Promise((resolve) => setTimeout(resolve, 20 - message.length));
+      stats.inFlight--;
+      if (message === "fail") throw new Error("Classification failed");
+      return { label: message };
+    },
+  };
+}
+
+const records = Array.from({ length: 10 }, (_, i) => ({
+  id: i,
+  message: "x".repeat(i + 1),
+}));
+
+describe("createClassifyStream", () => {
+  it("should attach results to the records", async () => {
+    const output = await collect(
+      [
+        { id: 1, event: { diagnostic: "550 5.1.1 User unknown" } },
+        { id: 2, event: { diagnostic: "452 4.2.2 Mailbox full" } },
+      ],
+      { field: "event.diagnostic", resultKey: "bounce" },
+    );
+    assert.deepStrictEqual(
+      output.map((record) => [record.id, record.bounce.label]),
+      [
+        [1, "user_unknown"],
+        [2, "mailbox_full"],
+      ],
+    );
+    assert.strictEqual(output[0].event.diagnostic, "550 5.1.1 User unknown");
+  });
+
+  it("should keep input order and limit concurrency", async () => {
+    const classifier = slowClassifier({ initDelay: 10 });
+    const output = await collect(records, { classifier, concurrency: 3 });
+    assert.deepStrictEqual(
+      output.map((record) => record.id),
+      records.map((record) => record.id),
+    );
+    assert.strictEqual(classifier.stats.maxInFlight, 3);
+  });
+
+  it("should annotate records that fail", async () => {
+    const errors = [];
+    const output = await collect(
+      [{ message: "550 No such user" }, { text: "no message" }, "plain", 42],
+      { onError: (error, record) => errors.push([error.message, record]) },
+    );
+    assert.strictEqual(output.length, 4);
+    assert.strictEqual(output[0].classification.label, "user_unknown");
+    assert.deepStrictEqual(output[1], {
+      text: "no message",
+      error: 'Field "message" must be a string, got undefined',
+    });
+    assert.deepStrictEqual(output[2], {
+      record: "plain",
+      error: "Record must be an object, got string",
+    });
+    assert.strictEqual(output[3].error, "Record must be an object, got number");
+    assert.strictEqual(errors.length, 3);
+  });
+
+  it("should drop records that fail when asked to", async () => {
+    const classifier = slowClassifier();
+    const output = await collect(
+      [{ message: "ok" }, { message: "fail" }, { message: "fine" }],
+      { classifier, errors: "drop", concurrency: 2 },
+    );
+    assert.deepStrictEqual(
+      output.map((record) => record.classification.label),
+      ["ok", "fine"],
+    );
+  });
+
+  it("should fail the stream with the record index when onError throws", async () => {
+    const handlerError = new Error("Log sink closed");
+    await assert.rejects(
+      collect([{ message: "ok" }, { message: "fail" }, { message: "fine" }], {
+        classifier: slowClassifier(),
+        concurrency: 2,
+        onError: () => {
+          throw handlerError;
+        },
+      }),
+      (error) => {
+        assert.strictEqual(
+          error.message,
+          "onError failed for the record at index 1: Log sink closed",
+        );
+        assert.strictEqual(error.index, 1);
+        assert.strictEqual(error.cause, handlerError);
+        return true;
+      },
+    );
+  });
+
+  it("should fail the stream when the model cannot be loaded", async () => {
+    const classifier = createClassifier({ modelPath: "/nonexistent/model" });
+    await assert.rejects(collect(records, { classifier }), /ENOENT/);
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(
+      () => createClassifyStream({ errors: "ignore" }),
+      /errors must be one of annotate, drop/,
+    );
+    assert.throws(
+      () => createClassifyStream({ concurrency: 0 }),
+      /concurrency must be a positive integer/,
+    );
+    assert.throws(
+      () => createClassifyStream({ field: "" }),
+      /field must be a non-empty string/,
+    );
+  });
+});
+
+describe("classifyIterable", () => {
+  it("should classify an async iterable in order", async () => {
+    async function* source() {
+      yield* records;
+    }
+    const classifier = slowClassifier();
+    const output = [];
+    for await (const record of classifyIterable(source(), {
+      classifier,
+      concurrency: 4,
+    })) {
+      output.push(record);
+    }
+    assert.deepStrictEqual(
+      output.map((record) => record.classification.label),
+      records.map((record) => record.message),
+    );
+    assert.strictEqual(classifier.stats.maxInFlight, 4);
+  });
+
+  it("should accept plain arrays and the default classifier", async () => {
+    const output = [];
+    for await (const record of classifyIterable([
+      { message: "452 4.2.2 Mailbox full" },
+    ])) {
+      output.push(record);
+    }
+    assert.strictEqual(output[0].classification.label, "mailbox_full");
+  });
+
+  it("should stop at the record whose onError throws", async () => {
+    const output = [];
+    await assert.rejects(async () => {
+      for await (const record of classifyIterable(
+        [{ message: "ok" }, { message: "fail" }, { message: "fine" }],
+        {
+          classifier: slowClassifier(),
+          onError: () => {
+            throw new Error("Log sink closed");
+          },
+        },
+      )) {
+        output.push(record);
+      }
+    }, /onError failed for the record at index 1: Log sink closed/);
+    assert.deepStrictEqual(
+      output.map((record) => record.classification.label),
+      ["ok"],
+    );
+  });
+});
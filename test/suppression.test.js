@@ -0,0 +1,280 @@
+/**
+ * Unit tests for recipient suppression tracking
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+
+import {
+  createSuppressionTracker,
+  createMemoryStore,
+  createClassifier,
+  classify,
+  reset,
+} from "../src/index.js";
+
+const HOUR = 3600000;
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+const bounce = (label) => ({ label });
+
+describe("createSuppressionTracker", () => {
+  it("should start recipients as active", async () => {
+    const tracker = createSuppressionTracker();
+    const state = await tracker.getState("User@Example.com");
+    assert.strictEqual(state.recipient, "user@example.com");
+    assert.strictEqual(state.status, "active");
+    assert.strictEqual(await tracker.isSuppressed("user@example.com"), false);
+  });
+
+  it("should suppress remove labels immediately", async () => {
+    const tracker = createSuppressionTracker();
+    const state = await tracker.record(
+      "user@example.com",
+      bounce("user_unknown"),
+      now,
+    );
+    assert.strictEqual(state.status, "suppressed");
+    assert.strictEqual(state.reason, "user_unknown is a permanent failure");
+    assert.strictEqual(state.suppressedAt, now);
+    assert.strictEqual(await tracker.isSuppressed("USER@example.com"), true);
+  });
+
+  it("should escalate soft bounces within the window", async () => {
+    const tracker = createSuppressionTracker({
+      softBounceThreshold: 3,
+      window: 24 * 3600,
+    });
+
+    let state = await tracker.record(
+      "a@example.com",
+      bounce("server_error"),
+      now,
+    );
+    assert.strictEqual(state.status, "soft_bouncing");
+
+    state = await tracker.record(
+      "a@example.com",
+      bounce("rate_limited"),
+      now + HOUR,
+    );
+    assert.strictEqual(state.softBounces.length, 2);
+
+    state = await tracker.record(
+      "a@example.com",
+      bounce("server_error"),
+      now + 2 * HOUR,
+    );
+    assert.strictEqual(state.status, "suppressed");
+    assert.strictEqual(state.reason, "3 soft bounces within 24 hours");
+  });
+
+  it("should forget soft bounces outside the window", async () => {
+    const tracker = createSuppressionTracker({
+      softBounceThreshold: 2,
+      window: 24 * 3600,
+    });
+    await tracker.record("a@example.com", bounce("server_error"), now);
+    const state = await tracker.record(
+      "a@example.com",
+      bounce("server_error"),
+      now + 30 * HOUR,
+    );
+    assert.strictEqual(state.status, "soft_bouncing");
+    assert.strictEqual(state.softBounces.length, 1);
+  });
+
+  it("should apply per-label thresholds", async () => {
+    const tracker = createSuppressionTracker({
+      thresholds: { mailbox_full: { count: 2, window: 72 * 3600 } },
+    });
+    await tracker.record("a@example.com", bounce("mailbox_full"), now);
+    const state = await tracker.record(
+      "a@example.com",
+      bounce("mailbox_full"),
+      now + 48 * HOUR,
+    );
+    assert.strictEqual(state.status, "suppressed");
+    assert.strictEqual(
+      state.reason,
+      "2 mailbox_full soft bounces within 72 hours",
+    );
+  });
+
+  it("should ignore sender side problems", async () => {
+    const tracker = createSuppressionTracker();
+    const state = await tracker.record(
+      "a@example.com",
+      bounce("ip_blacklisted"),
+      now,
+    );
+    assert.strictEqual(state.status, "active");
+    assert.deepStrictEqual((await tracker.exportState()).recipients, {});
+  });
+
+  it("should clear soft bounces on delivery", async () => {
+    const tracker = createSuppressionTracker();
+    await tracker.record("a@example.com", bounce("server_error"), now);
+    const state = await tracker.recordDelivery("a@example.com", now + HOUR);
+    assert.strictEqual(state.status, "active");
+    assert.deepStrictEqual(state.softBounces, []);
+  });
+
+  it("should keep suppression until released", async () => {
+    const tracker = createSuppressionTracker();
+    await tracker.record("a@example.com", bounce("user_unknown"), now);
+    await tracker.recordDelivery("a@example.com", now + HOUR);
+    assert.strictEqual(await tracker.isSuppressed("a@example.com"), true);
+
+    await tracker.release("a@example.com");
+    assert.strictEqual(await tracker.isSuppressed("a@example.com"), false);
+  });
+
+  it("should export and import state as JSON", async () => {
+    const tracker = createSuppressionTracker();
+    await tracker.record("a@example.com", bounce("user_unknown"), now);
+    await tracker.record("b@example.com", bounce("greylisting"), now);
+
+    const json = JSON.stringify(await tracker.exportState());
+    const restored = createSuppressionTracker();
+    await restored.importState(json);
+
+    assert.deepStrictEqual(
+      await restored.exportState(),
+      await tracker.exportState(),
+    );
+    assert.strictEqual(await restored.isSuppressed("a@example.com"), true);
+    assert.strictEqual(
+      (await restored.getState("b@example.com")).status,
+      "soft_bouncing",
+    );
+  });
+
+  it("should reject unknown state versions", async () => {
+    const tracker = createSuppressionTracker();
+    await assert.rejects(
+      tracker.importState({ version: 99, recipients: {} }),
+      /Unsupported suppression state/,
+    );
+  });
+
+  it("should work with async storage adapters", async () => {
+    const memory = createMemoryStore();
+    const calls = [];
+    const store = {
+      get: async (key) => memory.get(key),
+      set: async (key, state) => {
+        calls.push(key);
+        memory.set(key, state);
+      },
+      delete: async (key) => memory.delete(key),
+      entries: async () => memory.entries(),
+      clear: async () => memory.clear(),
+    };
+
+    const tracker = createSuppressionTracker({ store });
+    await tracker.record("a@example.com", bounce("user_unknown"), now);
+    assert.deepStrictEqual(calls, ["a@example.com"]);
+    assert.strictEqual(await tracker.isSuppressed("a@example.com"), true);
+  });
+
+  it("should use a custom action mapping", async () => {
+    const classifier = createClassifier({
+      actionMap: { mailbox_full: "remove" },
+    });
+    const tracker = createSuppressionTracker({
+      getAction: classifier.getAction,
+    });
+    const state = await tracker.record(
+      "a@example.com",
+      bounce("mailbox_full"),
+      now,
+    );
+    assert.strictEqual(state.status, "suppressed");
+  });
+
+  it("should follow the action of the result", async () => {
+    const tracker = createSuppressionTracker();
+
+    // An uncertain guess marked for review does not suppress
+    const review = await tracker.record(
+      "a@example.com",
+      { label: "user_unknown", action: "review", uncertain: true },
+      now,
+    );
+    assert.strictEqual(review.status, "active");
+
+    const removed = await tracker.record(
+      "b@example.com",
+      { label: "mailbox_full", action: "remove" },
+      now,
+    );
+    assert.strictEqual(removed.status, "suppressed");
+
+    const retried = await tracker.record(
+      "c@example.com",
+      { label: "ip_blacklisted", action: "retry" },
+      now,
+    );
+    assert.strictEqual(retried.status, "soft_bouncing");
+  });
+
+  it("should reject invalid input", async () => {
+    assert.throws(
+      () => createSuppressionTracker({ softBounceThreshold: 0 }),
+      /softBounceThreshold must be a positive integer/,
+    );
+    assert.throws(
+      () =>
+        createSuppressionTracker({
+          thresholds: { mailbox_full: { count: 0 } },
+        }),
+      /thresholds.mailbox_full.count must be a positive integer/,
+    );
+    assert.throws(
+      () =>
+        createSuppressionTracker({
+          thresholds: { mailbox_full: { count: 2, window: -1 } },
+        }),
+      /thresholds.mailbox_full.window must be a positive number of seconds/,
+    );
+    assert.throws(
+      () => createSuppressionTracker({ thresholds: { mailbox_full: 2 } }),
+      /thresholds.mailbox_full must be an object/,
+    );
+    const tracker = createSuppressionTracker();
+    await assert.rejects(
+      tracker.record("", bounce("user_unknown")),
+      /recipient must be a non-empty string/,
+    );
+    await assert.rejects(
+      tracker.record("a@example.com", null),
+      /classification result/,
+    );
+  });
+});
+
+describe("createSuppressionTracker with classify", () => {
+  after(() => {
+    reset();
+  });
+
+  it("should suppress on a classified hard bounce", async () => {
+    const tracker = createSuppressionTracker();
+    const result = await classify("550 5.1.1 User unknown");
+    const state = await tracker.record("a@example.com", result, now);
+    assert.strictEqual(state.status, "suppressed");
+  });
+
+  it("should honor instance action overrides", async () => {
+    const classifier = createClassifier({
+      actionMap: { user_unknown: "review" },
+    });
+    const tracker = createSuppressionTracker();
+    const result = await classifier.classify("550 5.1.1 User unknown");
+    assert.strictEqual(result.action, "review");
+    const state = await tracker.record("a@example.com", result, now);
+    assert.strictEqual(state.status, "active");
+    classifier.dispose();
+  });
+});
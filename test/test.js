@@ -8,10 +8,12 @@ import assert from "node:assert";
 
 import {
   classify,
+  classifyBatch,
   initialize,
   getLabels,
   isReady,
   reset,
+  createClassifier,
   extractSmtpCodes,
   extractRetryTiming,
   identifyBlocklist,
@@ -422,8 +424,8 @@ describe("Helper Functions", () => {
       assert.ok(CODE_FALLBACK_THRESHOLD <= 1);
     });
 
-    it("should be 0.5 (50% confidence threshold)", () => {
-      assert.strictEqual(CODE_FALLBACK_THRESHOLD, 0.5);
+    it("should be 0.3 (30% calibrated probability threshold)", () => {
+      assert.strictEqual(CODE_FALLBACK_THRESHOLD, 0.3);
     });
   });
 
@@ -838,6 +840,281 @@ describe("Reset functionality", () => {
   });
 });
 
+describe("classifyBatch", () => {
+  before(async () => {
+    await initialize();
+  });
+
+  after(() => {
+    reset();
+  });
+
+  const messages = [
+    "550 5.1.1 User unknown",
+    "552 5.2.2 Mailbox full",
+    "450 Greylisted, try again in 5 minutes",
+    "550 blocked using zen.spamhaus.org",
+    "550 5.7.1 SPF validation failed",
+  ];
+
+  it("should return results in input order", async () => {
+    const results = await classifyBatch(messages);
+    assert.strictEqual(results.length, messages.length);
+    assert.strictEqual(results[0].label, "user_unknown");
+    assert.strictEqual(results[1].label, "mailbox_full");
+    assert.strictEqual(results[2].retryAfter, 300);
+    assert.ok(results[3].blocklist);
+  });
+
+  it("should match single-message classification", async () => {
+    const now = Date.now();
+    const results = await classifyBatch(messages, { now });
+    for (let i = 0; i < messages.length; i++) {
+      assert.deepStrictEqual(results[i], await classify(messages[i], { now }));
+    }
+  });
+
+  it("should span several forward passes with a small batchSize", async () => {
+    const now = Date.now();
+    const results = await classifyBatch(messages, { batchSize: 2, now });
+    assert.deepStrictEqual(results, await classifyBatch(messages, { now }));
+  });
+
+  it("should report per-item errors without failing the batch", async () => {
+    const results = await classifyBatch([
+      "550 5.1.1 User unknown",
+      null,
+      123,
+      "   ",
+      "552 5.2.2 Mailbox full",
+    ]);
+    assert.strictEqual(results[0].label, "user_unknown");
+    assert.match(results[1].error, /index 1 must be a non-empty string/);
+    assert.match(results[2].error, /index 2 must be a string, got number/);
+    assert.match(results[3].error, /must not be empty or whitespace-only/);
+    assert.strictEqual(results[4].label, "mailbox_full");
+  });
+
+  it("should return an empty array for an empty batch", async () => {
+    assert.deepStrictEqual(await classifyBatch([]), []);
+  });
+
+  it("should reject invalid arguments", async () => {
+    await assert.rejects(
+      async () => classifyBatch("550 User unknown"),
+      /messages must be an array, got string/,
+    );
+    await assert.rejects(
+      async () => classifyBatch(messages, { batchSize: 0 }),
+      /batchSize must be a positive integer/,
+    );
+  });
+});
+
+describe("createClassifier", () => {
+  afterEach(() => {
+    reset();
+  });
+
+  it("should create an independent instance", async () => {
+    const classifier = createClassifier();
+    assert.strictEqual(classifier.isReady(), false);
+
+    await classifier.initialize();
+    assert.strictEqual(classifier.isReady(), true);
+    assert.strictEqual(isReady(), false, "Default instance stays untouched");
+
+    classifier.dispose();
+  });
+
+  it("should keep working when the default instance is reset", async () => {
+    const classifier = createClassifier();
+    await classifier.initialize();
+    await initialize();
+
+    reset();
+    assert.strictEqual(isReady(), false);
+    assert.strictEqual(classifier.isReady(), true);
+
+    const result = await classifier.classify("550 5.1.1 User unknown");
+    assert.strictEqual(result.label, "user_unknown");
+
+    classifier.dispose();
+  });
+
+  it("should release the model on dispose and reload on next use", async () => {
+    const classifier = createClassifier();
+    await classifier.initialize();
+
+    classifier.dispose();
+    assert.strictEqual(classifier.isReady(), false);
+
+    const labels = await classifier.getLabels();
+    assert.strictEqual(labels.length, 16);
+    assert.strictEqual(classifier.isReady(), true);
+
+    classifier.dispose();
+  });
+
+  it("should use its own action map", async () => {
+    const classifier = createClassifier({
+      actionMap: { mailbox_full: "remove" },
+    });
+    const result = await classifier.classify("552 5.2.2 Mailbox full");
+    assert.strictEqual(result.label, "mailbox_full");
+    assert.strictEqual(result.action, "remove");
+    assert.strictEqual(classifier.getAction("user_unknown"), "remove");
+    assert.strictEqual(getAction("mailbox_full"), "retry");
+
+    classifier.dispose();
+  });
+
+  it("should use its own code fallback threshold", async () => {
+    const classifier = createClassifier({ codeFallbackThreshold: 1 });
+
+    // Any ML prediction is below a threshold of 1, so the code fallback applies
+    const result = await classifier.classify("550 5.2.2 storage limits");
+    assert.strictEqual(result.usedFallback, true);
+    assert.strictEqual(result.label, "mailbox_full");
+
+    classifier.dispose();
+  });
+
+  it("should load a model from a custom path", async () => {
+    const modelPath = new URL("../model", import.meta.url).pathname;
+    const classifier = createClassifier({ modelPath });
+    const result = await classifier.classify("550 5.1.1 User unknown");
+    assert.strictEqual(result.label, "user_unknown");
+
+    classifier.dispose();
+  });
+
+  it("should fail to initialize from a missing model path", async () => {
+    const classifier = createClassifier({ modelPath: "/nonexistent/model" });
+    await assert.rejects(async () => classifier.initialize(), /ENOENT/);
+    assert.strictEqual(classifier.isReady(), false);
+  });
+
+  it("should validate options", () => {
+    assert.throws(
+      () => createClassifier({ modelPath: 123 }),
+      /modelPath must be a string, got number/,
+    );
+    assert.throws(
+      () => createClassifier({ modelPath: "  " }),
+      /modelPath must not be empty/,
+    );
+    assert.throws(
+      () => createClassifier({ codeFallbackThreshold: 2 }),
+      /codeFallbackThreshold must be a number between 0 and 1/,
+    );
+  });
+});
+
+describe("Abstention and alternatives", () => {
+  // Labeled by the model, no text pattern or rule applies
+  const MODEL_MESSAGE = "550 The recipient does not exist here";
+
+  before(async () => {
+    await initialize();
+  });
+
+  after(() => {
+    reset();
+  });
+
+  it("should return ranked runner-up labels", async () => {
+    const result = await classify(MODEL_MESSAGE, { topK: 3 });
+    assert.strictEqual(result.alternatives.length, 3);
+    assert.ok(result.alternatives.every((alt) => alt.label !== result.label));
+    for (let i = 1; i < result.alternatives.length; i++) {
+      assert.ok(
+        result.alternatives[i - 1].score >= result.alternatives[i].score,
+      );
+    }
+    assert.strictEqual(
+      result.alternatives[0].score,
+      result.scores[result.alternatives[0].label],
+    );
+  });
+
+  it("should not return alternatives by default", async () => {
+    const result = await classify(MODEL_MESSAGE);
+    assert.strictEqual(result.alternatives, undefined);
+    assert.strictEqual(result.uncertain, undefined);
+  });
+
+  it("should abstain below the confidence threshold", async () => {
+    const result = await classify(MODEL_MESSAGE, {
+      abstainBelow: 1,
+    });
+    assert.strictEqual(result.label, "user_unknown");
+    assert.strictEqual(result.uncertain, true);
+    assert.strictEqual(result.action, "review");
+  });
+
+  it("should abstain below the minimum margin", async () => {
+    const confident = await classify(MODEL_MESSAGE, {
+      minMargin: 0.15,
+    });
+    assert.strictEqual(confident.uncertain, undefined);
+    assert.strictEqual(confident.action, "remove");
+
+    const result = await classify(MODEL_MESSAGE, { minMargin: 1 });
+    assert.strictEqual(result.uncertain, true);
+    assert.strictEqual(result.action, "review");
+  });
+
+  it("should not mark text pattern labels as uncertain", async () => {
+    const result = await classify("552 5.2.2 Mailbox full", {
+      abstainBelow: 1,
+    });
+    assert.strictEqual(result.label, "mailbox_full");
+    assert.strictEqual(result.uncertain, undefined);
+    assert.strictEqual(result.action, "retry");
+  });
+
+  it("should take the code fallback threshold per call", async () => {
+    const result = await classify("550 5.2.2 storage limits", {
+      codeFallbackThreshold: 1,
+    });
+    assert.strictEqual(result.usedFallback, true);
+    assert.strictEqual(result.label, "mailbox_full");
+  });
+
+  it("should apply the options in batches", async () => {
+    const [result] = await classifyBatch([MODEL_MESSAGE], {
+      topK: 2,
+      abstainBelow: 1,
+    });
+    assert.strictEqual(result.alternatives.length, 2);
+    assert.strictEqual(result.uncertain, true);
+  });
+
+  it("should validate options", async () => {
+    await assert.rejects(
+      classify(MODEL_MESSAGE, { topK: -1 }),
+      /topK must be a non-negative integer/,
+    );
+    await assert.rejects(
+      classify(MODEL_MESSAGE, { abstainBelow: 2 }),
+      /abstainBelow must be a number between 0 and 1/,
+    );
+    await assert.rejects(
+      classifyBatch([MODEL_MESSAGE], { minMargin: "x" }),
+      /minMargin must be a number between 0 and 1/,
+    );
+    await assert.rejects(classify(MODEL_MESSAGE, { remoteHost: 42 }), {
+      code: "ERR_INVALID_INPUT",
+      message: "remoteHost must be a string, got number",
+    });
+    await assert.rejects(classify(MODEL_MESSAGE, { smtpCodes: "550" }), {
+      code: "ERR_INVALID_INPUT",
+      message: "smtpCodes must be an object",
+    });
+  });
+});
+
 describe("Edge cases", () => {
   before(async () => {
     await initialize();
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for the training pipeline
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert";
+import { mkdtemp, readFile, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { buildVocabulary, tokenize } from "../src/tokenizer.js";
+import { trainModel } from "../src/training.js";
+import { createClassifier } from "../src/index.js";
+
+// Three labels that a bag of words separates easily
+const templates = {
+  full: ["452 Mailbox full", "552 Quota exceeded for this mailbox"],
+  unknown: ["550 No such user", "550 Recipient unknown here"],
+  later: ["421 Try again later", "451 Temporary failure, try later"],
+};
+const corpus = Object.entries(templates).flatMap(([label, messages]) =>
+  Array.from({ length: 8 }, (_, i) => ({
+    message: `${messages[i % messages.length]} (ref ${i})`,
+    label,
+  })),
+);
+
+const tempDirs = [];
+async function tempDir() {
+  const dir = await mkdtemp(join(tmpdir(), "bounce-trained-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+describe("buildVocabulary", () => {
+  it("should order words by frequency, then alphabetically", () => {
+    const vocab = buildVocabulary(["b a", "B c!", "a b d"], 10);
+    assert.deepStrictEqual(vocab, ["", "[UNK]", "b", "a", "c", "d"]);
+  });
+
+  it("should keep the reserved entries within maxTokens", () => {
+    const vocab = buildVocabulary(["b a", "b c"], 3);
+    assert.deepStrictEqual(vocab, ["", "[UNK]", "b"]);
+  });
+
+  it("should tokenize like inference does", () => {
+    const vocab = buildVocabulary(["Mailbox FULL."], 10);
+    const vocabMap = new Map(vocab.map((word, id) => [word, id]));
+    assert.deepStrictEqual(tokenize("mailbox: full, sorry", vocabMap, 4), [
+      vocab.indexOf("mailbox"),
+      vocab.indexOf("full"),
+      1,
+      0,
+    ]);
+  });
+});
+
+describe("trainModel", () => {
+  after(async () => {
+    for (const dir of tempDirs) {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  const options = {
+    maxLength: 12,
+    embeddingDim: 8,
+    hiddenUnits: 8,
+    epochs: 150,
+    batchSize: 4,
+    learningRate: 0.02,
+    patience: 150,
+    dropout: 0,
+  };
+
+  it("should write a model that initialize() can load", async () => {
+    const outputDir = await tempDir();
+    const report = await trainModel(corpus, { ...options, outputDir });
+
+    assert.strictEqual(report.modelPath, outputDir);
+    assert.deepStrictEqual(report.labels, ["full", "later", "unknown"]);
+    assert.strictEqual(report.train + report.validation.examples, 24);
+    assert.strictEqual(report.validation.accuracy, 1);
+
+    const config = JSON.parse(
+      await readFile(join(outputDir, "config.json"), "utf8"),
+    );
+    assert.strictEqual(config.max_length, 12);
+    assert.strictEqual(config.embedding_dim, 8);
+    assert.strictEqual(config.num_labels, 3);
+    assert.strictEqual(config.max_tokens, report.vocabSize);
+
+    const modelJson = JSON.parse(
+      await readFile(join(outputDir, "model.json"), "utf8"),
+    );
+    const layers = modelJson.modelTopology.model_config.config.layers;
+    assert.deepStrictEqual(layers[0].config.batch_input_shape, [null, 12]);
+    assert.strictEqual(layers.at(-1).config.units, 3);
+
+    const classifier = createClassifier({ modelPath: outputDir });
+    assert.deepStrictEqual(await classifier.getLabels(), report.labels);
+    // Text patterns decide the final label, the scores come from the model
+    const { scores } = await classifier.classify("Sorry, mailbox full");
+    assert.ok(scores.full > scores.later && scores.full > scores.unknown);
+  });
+
+  it("should read a JSONL corpus and keep the given label order", async () => {
+    const outputDir = await tempDir();
+    const corpusPath = join(outputDir, "corpus.jsonl");
+    await writeFile(
+      corpusPath,
+      corpus.map((example) => JSON.stringify(example)).join("\n") + "\n",
+    );
+
+    const labels = ["unknown", "full", "later", "unused"];
+    const report = await trainModel(corpusPath, {
+      ...options,
+      epochs: 2,
+      labels,
+      outputDir: join(outputDir, "model"),
+    });
+    assert.deepStrictEqual(report.labels, labels);
+
+    const saved = JSON.parse(
+      await readFile(join(outputDir, "model", "labels.json"), "utf8"),
+    );
+    assert.deepStrictEqual(Object.values(saved.id_to_label), labels);
+    assert.strictEqual(saved.label_to_id.full, 1);
+  });
+
+  it("should be repeatable for the same seed", async () => {
+    const a = await trainModel(corpus, {
+      ...options,
+      epochs: 3,
+      outputDir: await tempDir(),
+    });
+    const b = await trainModel(corpus, {
+      ...options,
+      epochs: 3,
+      outputDir: await tempDir(),
+    });
+    assert.deepStrictEqual(a.history, b.history);
+  });
+
+  it("should reject invalid input", async () => {
+    const outputDir = join(tmpdir(), "unused");
+    await assert.rejects(
+      trainModel(corpus),
+      /outputDir must be a non-empty string/,
+    );
+    await assert.rejects(
+      trainModel(corpus, { outputDir, labels: ["full", "later"] }),
+      /Example at index 8 has a label outside the label set: unknown/,
+    );
+    await assert.rejects(
+      trainModel([{ message: "", label: "full" }], { outputDir }),
+      /Example at index 0 message must be a non-empty string/,
+    );
+    await assert.rejects(
+      trainModel(corpus, { outputDir, maxLength: 0 }),
+      /maxLength must be an integer of at least 1/,
+    );
+  });
+});